@@ -0,0 +1,70 @@
+// =================================================================================
+// QUESTION ANALYTICS
+// =================================================================================
+// Compares how each question actually played as a daily puzzle with how it is
+// labelled, from the per-question tallies in `results.js`. Questions only get
+// flagged once enough players have answered them for the numbers to mean
+// something.
+import { getQuestionType } from '../../src/questionRules.js';
+import { listQuestions } from './questions.js';
+import { getQuestionTallies } from './results.js';
+
+/**
+ * Answers needed before a question's difficulty or distractors are flagged.
+ */
+export const MIN_RESPONSES = 20;
+
+// The difficulty a solve rate suggests: the first band whose minimum it reaches.
+const DIFFICULTY_BANDS = [
+    { difficulty: 'Easy', minSolveRate: 0.7 },
+    { difficulty: 'Medium', minSolveRate: 0.4 },
+    { difficulty: 'Hard', minSolveRate: 0 },
+];
+
+/**
+ * Returns the difficulty label a solve rate suggests.
+ * @param {number} solveRate - The share of players who got it right, 0 to 1.
+ * @returns {string} `Easy`, `Medium` or `Hard`.
+ */
+export function getObservedDifficulty(solveRate) {
+    return DIFFICULTY_BANDS.find(band => solveRate >= band.minSolveRate).difficulty;
+}
+
+/**
+ * Builds the analytics for every question in the bank, in display order.
+ * @returns {Promise<Array>} For each question: `{ questionId, subject,
+ * difficulty, total, correct, solveRate, counts, observedDifficulty,
+ * unusedDistractors, flags }`. `solveRate` and `observedDifficulty` are null
+ * until the question has been answered; `flags` holds `difficulty` when the
+ * observed difficulty disagrees with the label and `distractor` when a wrong
+ * option is never picked.
+ */
+export async function getQuestionAnalytics() {
+    const [questions, tallies] = await Promise.all([listQuestions(), getQuestionTallies()]);
+    return questions.map(question => {
+        const { total = 0, correct = 0, counts = {} } = tallies[question.id] || {};
+        const solveRate = total > 0 ? correct / total : null;
+        const observedDifficulty = solveRate === null ? null : getObservedDifficulty(solveRate);
+        const unusedDistractors = getQuestionType(question) === 'choice'
+            ? Object.keys(question.options).filter(letter => letter !== question.answer && !counts[letter])
+            : [];
+
+        const flags = [];
+        if (total >= MIN_RESPONSES) {
+            if (observedDifficulty !== question.difficulty) flags.push('difficulty');
+            if (unusedDistractors.length > 0) flags.push('distractor');
+        }
+        return {
+            questionId: question.id,
+            subject: question.subject,
+            difficulty: question.difficulty,
+            total,
+            correct,
+            solveRate,
+            counts,
+            observedDifficulty,
+            unusedDistractors,
+            flags,
+        };
+    });
+}
@@ -0,0 +1,37 @@
+// =================================================================================
+// ADMIN AUDIT LOG
+// =================================================================================
+import { getStore } from './store.js';
+
+const AUDIT_KEY = 'audit';
+const MAX_ENTRIES = 500;
+
+/**
+ * Records an admin change, newest first, keeping the most recent entries.
+ * @param {string} username - The admin who made the change.
+ * @param {string} action - What they did, e.g. `create`, `update`, `delete`.
+ * @param {number|null} questionId - The question affected, if any.
+ * @param {Object} [details] - Anything else worth keeping.
+ */
+export async function recordAudit(username, action, questionId, details = {}) {
+    const store = getStore();
+    const entries = (await store.get(AUDIT_KEY)) || [];
+    entries.unshift({
+        at: new Date().toISOString(),
+        username,
+        action,
+        questionId,
+        ...details,
+    });
+    await store.set(AUDIT_KEY, entries.slice(0, MAX_ENTRIES));
+}
+
+/**
+ * Lists recorded admin changes, newest first.
+ * @param {number} [limit] - The maximum number of entries to return.
+ * @returns {Promise<Array>} The entries.
+ */
+export async function listAudit(limit = 100) {
+    const entries = (await getStore().get(AUDIT_KEY)) || [];
+    return entries.slice(0, limit);
+}
@@ -0,0 +1,136 @@
+// =================================================================================
+// ADMIN AUTHENTICATION
+// =================================================================================
+// Admin accounts come from the `OATDLE_ADMINS` environment variable, a JSON
+// object mapping usernames to password hashes produced by
+// `npm run hash-password`. Logging in creates an opaque session token; only its
+// SHA-256 digest is stored, so a leaked store cannot be replayed as a session.
+import { createHash, randomBytes, scrypt, timingSafeEqual } from 'node:crypto';
+import { promisify } from 'node:util';
+import { HttpError } from './http.js';
+import { getStore } from './store.js';
+
+const scryptAsync = promisify(scrypt);
+const KEY_LENGTH = 64;
+const DEFAULT_SESSION_HOURS = 12;
+
+// Verified against when the username is unknown, so a miss costs as long as a hit.
+const DUMMY_HASH = `scrypt:${'0'.repeat(32)}:${'0'.repeat(KEY_LENGTH * 2)}`;
+
+/**
+ * Hashes a password for the `OATDLE_ADMINS` configuration.
+ * @param {string} password - The plain-text password.
+ * @returns {Promise<string>} The hash, as `scrypt:<salt>:<key>` in hex.
+ */
+export async function hashPassword(password) {
+    const salt = randomBytes(16);
+    const key = await scryptAsync(password, salt, KEY_LENGTH);
+    return `scrypt:${salt.toString('hex')}:${key.toString('hex')}`;
+}
+
+/**
+ * Checks a password against a stored hash in constant time.
+ * @param {string} password - The plain-text password.
+ * @param {string} stored - The hash from `hashPassword`.
+ * @returns {Promise<boolean>} Whether the password matches.
+ */
+export async function verifyPassword(password, stored) {
+    const [scheme, salt, key] = String(stored).split(':');
+    if (scheme !== 'scrypt' || !salt || !key) return false;
+    const expected = Buffer.from(key, 'hex');
+    const actual = await scryptAsync(password, Buffer.from(salt, 'hex'), expected.length);
+    return timingSafeEqual(actual, expected);
+}
+
+/**
+ * Reads the configured admin accounts.
+ * @returns {Object<string, string>} Password hashes keyed by username.
+ */
+function loadAdmins() {
+    const raw = process.env.OATDLE_ADMINS;
+    if (!raw) return {};
+    try {
+        return JSON.parse(raw);
+    } catch {
+        console.error('OATDLE_ADMINS is not valid JSON; admin login is disabled.');
+        return {};
+    }
+}
+
+function sessionTtlSeconds() {
+    const hours = Number(process.env.OATDLE_SESSION_TTL_HOURS) || DEFAULT_SESSION_HOURS;
+    return hours * 60 * 60;
+}
+
+function sessionKey(token) {
+    return `session:${createHash('sha256').update(token).digest('hex')}`;
+}
+
+/**
+ * Verifies credentials and opens a new session.
+ * @param {string} username - The admin username.
+ * @param {string} password - The plain-text password.
+ * @returns {Promise<Object>} The session: `{ token, username, expiresAt }`.
+ */
+export async function login(username, password) {
+    const admins = loadAdmins();
+    const known = typeof username === 'string' && Object.hasOwn(admins, username);
+    const valid = await verifyPassword(String(password ?? ''), known ? admins[username] : DUMMY_HASH);
+    if (!known || !valid) {
+        throw new HttpError(401, 'Incorrect username or password.');
+    }
+
+    const token = randomBytes(32).toString('hex');
+    const ttlSeconds = sessionTtlSeconds();
+    const expiresAt = Date.now() + ttlSeconds * 1000;
+    await getStore().set(sessionKey(token), { username, expiresAt }, { ttlSeconds });
+    return { token, username, expiresAt };
+}
+
+/**
+ * Ends a session.
+ * @param {string} token - The session token.
+ */
+export async function logout(token) {
+    await getStore().delete(sessionKey(token));
+}
+
+function bearerToken(req) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer ([0-9a-f]{64})$/i);
+    return match ? match[1] : null;
+}
+
+/**
+ * Looks up the session behind a request's bearer token.
+ * @param {Object} req - The incoming request.
+ * @returns {Promise<Object|null>} `{ token, username, expiresAt }`, or null if
+ * the request carries no valid session.
+ */
+export async function getSession(req) {
+    const token = bearerToken(req);
+    if (!token) return null;
+    const key = sessionKey(token);
+    const session = await getStore().get(key);
+    if (!session) return null;
+    if (session.expiresAt <= Date.now()) {
+        await getStore().delete(key);
+        return null;
+    }
+    // An account removed from the configuration loses its open sessions too.
+    if (!Object.hasOwn(loadAdmins(), session.username)) return null;
+    return { token, ...session };
+}
+
+/**
+ * Rejects the request unless it carries a valid admin session.
+ * @param {Object} req - The incoming request.
+ * @returns {Promise<Object>} The session.
+ */
+export async function requireAdmin(req) {
+    const session = await getSession(req);
+    if (!session) {
+        throw new HttpError(401, 'Admin login required.');
+    }
+    return session;
+}
@@ -0,0 +1,104 @@
+// =================================================================================
+// HTTP HELPERS
+// =================================================================================
+// Handlers are written against plain Node request/response objects so the same
+// code runs as a Vercel function and inside the `vite dev` middleware.
+import { createHash } from 'node:crypto';
+
+/**
+ * An error that carries the HTTP status it should be reported with.
+ */
+export class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+/**
+ * Reads and parses a JSON request body.
+ * @param {Object} req - The incoming request.
+ * @returns {Promise<Object>} The parsed body, or an empty object if there is none.
+ */
+export async function readJson(req) {
+    // Vercel parses the body for us; the dev server does not.
+    if (req.body !== undefined) {
+        return typeof req.body === 'string' ? parseJson(req.body) : (req.body || {});
+    }
+    let raw = '';
+    for await (const chunk of req) {
+        raw += chunk;
+    }
+    return parseJson(raw);
+}
+
+function parseJson(raw) {
+    if (!raw) return {};
+    try {
+        return JSON.parse(raw);
+    } catch {
+        throw new HttpError(400, 'Request body must be valid JSON.');
+    }
+}
+
+/**
+ * The address a request came from. Vercel's proxy puts the client's address
+ * first in `X-Forwarded-For`, replacing whatever the client sent.
+ * @param {Object} req - The incoming request.
+ * @returns {string} The address.
+ */
+export function getClientAddress(req) {
+    const forwarded = req.headers['x-forwarded-for'];
+    return (typeof forwarded === 'string' && forwarded.split(',')[0].trim()) || req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * Hashes a client's address into a mark that limits can be kept against
+ * without storing the address itself.
+ * @param {string} address - The address, as from `getClientAddress`.
+ * @returns {string} The mark, safe to use in a store key.
+ */
+export function hashClientAddress(address) {
+    return createHash('sha256').update(address).digest('hex').slice(0, 32);
+}
+
+/**
+ * Sends a JSON response.
+ * @param {Object} res - The server response.
+ * @param {number} status - The HTTP status code.
+ * @param {*} body - The value to serialize.
+ */
+export function sendJson(res, status, body) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Cache-Control', 'no-store');
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Wraps a map of method handlers into a single request handler that rejects
+ * unknown methods and turns thrown errors into JSON error responses.
+ * @param {Object<string, Function>} methods - Handlers keyed by HTTP method.
+ * @returns {Function} The request handler.
+ */
+export function route(methods) {
+    return async function handler(req, res) {
+        const method = methods[req.method];
+        if (!method) {
+            res.setHeader('Allow', Object.keys(methods).join(', '));
+            sendJson(res, 405, { error: `Method ${req.method} not allowed.` });
+            return;
+        }
+        try {
+            await method(req, res);
+        } catch (error) {
+            if (error instanceof HttpError) {
+                sendJson(res, error.status, { error: error.message });
+            } else {
+                console.error(error);
+                sendJson(res, 500, { error: 'Internal server error.' });
+            }
+        }
+    };
+}
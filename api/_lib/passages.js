@@ -0,0 +1,127 @@
+// =================================================================================
+// READING PASSAGES
+// =================================================================================
+// Reading Comprehension questions can share a passage. Questions point at their
+// passage by `passageId`; the passage itself is stored once.
+import { HttpError } from './http.js';
+import { readSeed } from './seed.js';
+import { getStore, takeNextId } from './store.js';
+
+const PASSAGES_KEY = 'passages';
+// The id the next new passage gets, kept like the question counter in
+// `api/_lib/questions.js`: a question still pointing at a deleted passage
+// must never find a new one under the same id.
+const NEXT_ID_KEY = 'passages:next-id';
+
+/**
+ * Loads every passage, falling back to the seed file until the store has been
+ * written to for the first time.
+ * @returns {Promise<Array>} `{ id, title, text }` for each passage.
+ */
+export async function listPassages() {
+    const stored = await getStore().get(PASSAGES_KEY);
+    if (stored) return stored;
+    return (await readSeed()).passages;
+}
+
+/**
+ * Finds a single passage.
+ * @param {number} id - The passage id.
+ * @returns {Promise<Object>} The passage.
+ */
+export async function getPassage(id) {
+    const passages = await listPassages();
+    const passage = passages.find(p => p.id === id);
+    if (!passage) {
+        throw new HttpError(404, `Passage ${id} not found.`);
+    }
+    return passage;
+}
+
+/**
+ * Finds the passage a question belongs to.
+ * @param {Object} question - The question.
+ * @returns {Promise<Object|null>} The passage, or null for stand-alone questions.
+ */
+export async function getPassageFor(question) {
+    if (!question.passageId) return null;
+    const passages = await listPassages();
+    return passages.find(p => p.id === question.passageId) || null;
+}
+
+async function savePassages(passages) {
+    await getStore().set(PASSAGES_KEY, passages);
+}
+
+/**
+ * Checks a passage submitted by an admin and returns a clean copy containing
+ * only the known fields.
+ * @param {Object} input - The submitted passage.
+ * @returns {Object} The passage without an id.
+ */
+function validatePassage(input) {
+    const str = (value) => (typeof value === 'string' ? value.trim() : '');
+    const passage = { title: str(input.title), text: str(input.text) };
+    const missing = ['title', 'text'].filter(field => !passage[field]);
+    if (missing.length > 0) {
+        throw new HttpError(400, `Missing required fields: ${missing.join(', ')}.`);
+    }
+    return passage;
+}
+
+/**
+ * Adds a passage.
+ * @param {Object} input - The submitted passage.
+ * @returns {Promise<Object>} The stored passage, including its new id.
+ */
+export async function createPassage(input) {
+    const passages = await listPassages();
+    const fields = validatePassage(input);
+    const passage = { id: await takeNextId(NEXT_ID_KEY, passages), ...fields };
+    passages.push(passage);
+    await savePassages(passages);
+    return passage;
+}
+
+/**
+ * Replaces the content of an existing passage, keeping its id.
+ * @param {number} id - The passage id.
+ * @param {Object} input - The submitted passage.
+ * @returns {Promise<Object>} The updated passage.
+ */
+export async function updatePassage(id, input) {
+    const passages = await listPassages();
+    const index = passages.findIndex(p => p.id === id);
+    if (index === -1) {
+        throw new HttpError(404, `Passage ${id} not found.`);
+    }
+    passages[index] = { id, ...validatePassage(input) };
+    await savePassages(passages);
+    return passages[index];
+}
+
+/**
+ * Removes a passage. Callers must make sure no question still uses it.
+ * @param {number} id - The passage id.
+ */
+export async function deletePassage(id) {
+    const passages = await listPassages();
+    const remaining = passages.filter(p => p.id !== id);
+    if (remaining.length === passages.length) {
+        throw new HttpError(404, `Passage ${id} not found.`);
+    }
+    await savePassages(remaining);
+}
+
+/**
+ * Parses a passage id from a route parameter or request body.
+ * @param {*} value - The raw value.
+ * @returns {number} The id.
+ */
+export function parsePassageId(value) {
+    const id = Number(value);
+    if (!Number.isInteger(id) || id < 1) {
+        throw new HttpError(400, `Invalid passage id: ${value}`);
+    }
+    return id;
+}
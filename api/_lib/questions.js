@@ -0,0 +1,318 @@
+// =================================================================================
+// QUESTION BANK
+// =================================================================================
+import { getQuestionType } from '../../src/questionRules.js';
+import { HttpError } from './http.js';
+import { getPassage, listPassages, parsePassageId } from './passages.js';
+import { checkQuestionContent, validateBank } from './schema.js';
+import { readSeed } from './seed.js';
+import { getStore, takeNextId } from './store.js';
+
+const QUESTIONS_KEY = 'questions';
+// The id the next new question gets. Kept apart from the bank and only ever
+// raised, so the id of a deleted question is never handed out again: player
+// history, schedules, reports and errata all refer to questions by id.
+const NEXT_ID_KEY = 'questions:next-id';
+
+/**
+ * Loads the question bank, falling back to the bundled seed file until the
+ * store has been written to for the first time.
+ * @returns {Promise<Array>} The questions, in display order.
+ */
+export async function listQuestions() {
+    const stored = await getStore().get(QUESTIONS_KEY);
+    if (stored) return stored;
+    return (await readSeed()).questions;
+}
+
+/**
+ * Finds a single question.
+ * @param {number} id - The question id.
+ * @returns {Promise<Object>} The question.
+ */
+export async function getQuestion(id) {
+    const questions = await listQuestions();
+    const question = questions.find(q => q.id === id);
+    if (!question) {
+        throw new HttpError(404, `Question ${id} not found.`);
+    }
+    return question;
+}
+
+/**
+ * Strips the answer and explanation from a question so it can be sent to
+ * players before they have answered.
+ * @param {Object} question - The full question.
+ * @returns {Object} The question without its solution.
+ */
+export function toPublicQuestion(question) {
+    const { answer, explanation, ...rest } = question;
+    return rest;
+}
+
+/**
+ * Decides whether an answer is correct, rejecting answers of the wrong shape.
+ * @param {Object} question - The full question.
+ * @param {*} answer - An option letter, a list of option letters or a number,
+ * depending on the question's type.
+ * @returns {boolean} Whether the answer is correct.
+ */
+function gradeAnswer(question, answer) {
+    const letters = Object.keys(question.options || {});
+    switch (getQuestionType(question)) {
+        case 'numeric':
+            if (typeof answer !== 'number' || !Number.isFinite(answer)) {
+                throw new HttpError(400, 'Answer must be a number.');
+            }
+            // The small margin absorbs floating-point error, e.g. 0.1 + 0.2.
+            return Math.abs(answer - question.answer) <= (question.tolerance || 0) + 1e-9;
+        case 'select-all': {
+            const valid = Array.isArray(answer)
+                && answer.every(letter => typeof letter === 'string' && Object.hasOwn(question.options, letter));
+            if (!valid) {
+                throw new HttpError(400, `Answer must be a list of options from ${letters.join(', ')}.`);
+            }
+            const chosen = new Set(answer);
+            return chosen.size === question.answer.length && question.answer.every(letter => chosen.has(letter));
+        }
+        default:
+            if (typeof answer !== 'string' || !Object.hasOwn(question.options, answer)) {
+                throw new HttpError(400, `Answer must be one of ${letters.join(', ')}.`);
+            }
+            return answer === question.answer;
+    }
+}
+
+/**
+ * Grades an answer to an already loaded question and gives out its solution.
+ * @param {Object} question - The full question.
+ * @param {*} answer - The player's answer, or null for none, which is wrong.
+ * @returns {Object} `{ correct, answer, explanation }`, where `answer` is the
+ * correct answer in the same form.
+ */
+export function gradeQuestion(question, answer) {
+    return {
+        correct: answer !== null && answer !== undefined && gradeAnswer(question, answer),
+        answer: question.answer,
+        explanation: question.explanation,
+    };
+}
+
+/**
+ * Checks a player's answer.
+ * @param {number} id - The question id.
+ * @param {*} answer - An option letter, a list of option letters for
+ * select-all questions, or a number for numeric questions.
+ * @returns {Promise<Object>} `{ correct, answer, explanation }`, where `answer`
+ * is the correct answer in the same form.
+ */
+export async function checkAnswer(id, answer) {
+    return gradeQuestion(await getQuestion(id), answer);
+}
+
+/**
+ * Grades a set of answers at once, e.g. a submitted mock exam section.
+ * @param {Array<Object>} answers - `{ questionId, answer }` pairs; `answer` may
+ * be null for questions left blank.
+ * @returns {Promise<Array>} `{ questionId, correct, answer, explanation }` for
+ * each pair, in the same order.
+ */
+export async function checkAnswers(answers) {
+    if (!Array.isArray(answers) || answers.length === 0) {
+        throw new HttpError(400, 'Answers must be a non-empty array.');
+    }
+    const byId = new Map((await listQuestions()).map(q => [q.id, q]));
+    return answers.map(({ questionId, answer }) => {
+        const question = byId.get(questionId);
+        if (!question) {
+            throw new HttpError(404, `Question ${questionId} not found.`);
+        }
+        return { questionId, ...gradeQuestion(question, answer) };
+    });
+}
+
+async function saveQuestions(questions) {
+    await getStore().set(QUESTIONS_KEY, questions);
+}
+
+/**
+ * Turns a list of schema problems into one error message.
+ * @param {Array<string>} problems - The problems, e.g. from `validateBank`.
+ * @returns {string} The message.
+ */
+function describeProblems(problems) {
+    const text = problems.join('; ');
+    return `${text.charAt(0).toUpperCase()}${text.slice(1)}.`;
+}
+
+/**
+ * Tidies a question submitted by an admin, then checks it against the bank's
+ * schema (see `api/_lib/schema.js`), so the live bank follows the same rules
+ * as the seed file.
+ * @param {Object} input - The submitted question.
+ * @returns {Object} The question without an id, containing only known fields.
+ */
+function validateQuestion(input) {
+    const str = (value) => (typeof value === 'string' ? value.trim() : '');
+    const type = str(input.type) || 'choice';
+    const question = {
+        type,
+        subject: str(input.subject),
+        difficulty: str(input.difficulty),
+        question: str(input.question),
+    };
+
+    if (type === 'numeric') {
+        question.answer = typeof input.answer === 'string' && input.answer.trim() !== ''
+            ? Number(input.answer)
+            : input.answer;
+        question.tolerance = input.tolerance === undefined || input.tolerance === '' ? 0 : Number(input.tolerance);
+    } else {
+        const options = input.options && typeof input.options === 'object' ? input.options : {};
+        question.options = Object.fromEntries(Object.keys(options).map(key => [key, str(options[key])]));
+        question.answer = type === 'select-all'
+            ? [...new Set((Array.isArray(input.answer) ? input.answer : []).map(letter => str(letter).toUpperCase()))].sort()
+            : str(input.answer).toUpperCase();
+    }
+    question.explanation = str(input.explanation);
+
+    const problems = checkQuestionContent(question);
+    if (problems.length > 0) {
+        throw new HttpError(400, describeProblems(problems));
+    }
+    return question;
+}
+
+/**
+ * Checks a question submitted by an admin, including that the passage it
+ * points at exists.
+ * @param {Object} input - The submitted question.
+ * @returns {Promise<Object>} The question without an id.
+ */
+async function prepareQuestion(input) {
+    const question = validateQuestion(input);
+    if (input.passageId !== undefined && input.passageId !== null && input.passageId !== '') {
+        question.passageId = (await getPassage(parsePassageId(input.passageId))).id;
+    }
+    return question;
+}
+
+/**
+ * Adds a question to the end of the bank.
+ * @param {Object} input - The submitted question.
+ * @returns {Promise<Object>} The stored question, including its new id.
+ */
+export async function createQuestion(input) {
+    const questions = await listQuestions();
+    const question = await prepareQuestion(input);
+    const stored = { id: await takeNextId(NEXT_ID_KEY, questions), ...question };
+    questions.push(stored);
+    await saveQuestions(questions);
+    return stored;
+}
+
+/**
+ * Merges questions written outside the app, e.g. by `npm run bank -- import`,
+ * into the bank. Questions with an id replace the question with that id; the
+ * rest are added to the end with new ids. Ids are only ever handed out here,
+ * so an id the bank does not have is a problem rather than a new question.
+ * Nothing is saved unless the whole bank is still valid afterwards.
+ * @param {Array<Object>} imported - The questions.
+ * @returns {Promise<Object>} `{ problems, added, replaced }`; `problems` lists
+ * what is wrong with the merged bank, as from `validateBank`, and is empty if
+ * it was saved.
+ */
+export async function importQuestions(imported) {
+    const store = getStore();
+    const [questions, passages, storedNextId] = await Promise.all([listQuestions(), listPassages(), store.get(NEXT_ID_KEY)]);
+    const merged = [...questions];
+    const unknown = [];
+    let nextId = Math.max(storedNextId || 1, ...questions.map(q => q.id + 1));
+    let added = 0;
+    let replaced = 0;
+    for (const question of imported) {
+        if (question.id === undefined) {
+            merged.push({ id: nextId++, ...question });
+            added++;
+            continue;
+        }
+        const index = merged.findIndex(q => q.id === question.id);
+        if (index === -1) {
+            unknown.push(`Question ${question.id}: no question has this id; leave the id out to add a new question`);
+        } else {
+            merged[index] = question;
+            replaced++;
+        }
+    }
+
+    const problems = [...unknown, ...validateBank({ questions: merged, passages })];
+    if (problems.length === 0) {
+        await saveQuestions(merged);
+        await store.set(NEXT_ID_KEY, nextId);
+    }
+    return { problems, added, replaced };
+}
+
+/**
+ * Replaces the content of an existing question, keeping its id and position.
+ * @param {number} id - The question id.
+ * @param {Object} input - The submitted question.
+ * @returns {Promise<Object>} The updated question.
+ */
+export async function updateQuestion(id, input) {
+    const questions = await listQuestions();
+    const index = questions.findIndex(q => q.id === id);
+    if (index === -1) {
+        throw new HttpError(404, `Question ${id} not found.`);
+    }
+    // Replaced rather than merged, so a change of type leaves no stale fields.
+    questions[index] = { id, ...(await prepareQuestion(input)) };
+    await saveQuestions(questions);
+    return questions[index];
+}
+
+/**
+ * Removes a question from the bank.
+ * @param {number} id - The question id.
+ */
+export async function deleteQuestion(id) {
+    const questions = await listQuestions();
+    const remaining = questions.filter(q => q.id !== id);
+    if (remaining.length === questions.length) {
+        throw new HttpError(404, `Question ${id} not found.`);
+    }
+    await saveQuestions(remaining);
+}
+
+/**
+ * Puts the bank into a new order.
+ * @param {Array<number>} ids - Every question id, in the desired order.
+ * @returns {Promise<Array>} The reordered questions.
+ */
+export async function reorderQuestions(ids) {
+    const questions = await listQuestions();
+    const byId = new Map(questions.map(q => [q.id, q]));
+    const isPermutation = Array.isArray(ids)
+        && ids.length === questions.length
+        && new Set(ids).size === ids.length
+        && ids.every(id => byId.has(id));
+    if (!isPermutation) {
+        throw new HttpError(400, 'Order must list every question id exactly once.');
+    }
+    const reordered = ids.map(id => byId.get(id));
+    await saveQuestions(reordered);
+    return reordered;
+}
+
+/**
+ * Parses a question id from a route parameter.
+ * @param {string} value - The raw parameter.
+ * @returns {number} The id.
+ */
+export function parseQuestionId(value) {
+    const id = Number(value);
+    if (!Number.isInteger(id) || id < 1) {
+        throw new HttpError(400, `Invalid question id: ${value}`);
+    }
+    return id;
+}
@@ -0,0 +1,198 @@
+// =================================================================================
+// PROBLEM REPORTS
+// =================================================================================
+// Players can report a question whose answer looks wrong, has a typo or can be
+// read more than one way. Reports wait in a queue until an admin resolves one
+// by correcting the question, which adds an entry to that question's errata,
+// or dismisses it.
+//
+// Each client address may file a few reports a day, so no one client can fill
+// the queue and lock everyone else out. As with the answer tallies, addresses
+// are only kept as hashed marks.
+import { getToday } from '../../src/dates.js';
+import { getQuestionType } from '../../src/questionRules.js';
+import { hashClientAddress, HttpError } from './http.js';
+import { getQuestion, updateQuestion } from './questions.js';
+import { getStore } from './store.js';
+
+const REPORTS_KEY = 'reports';
+const errataKey = (questionId) => `errata:${questionId}`;
+const MAX_REPORTS = 500;
+const MAX_TEXT_LENGTH = 1000;
+const reportedKey = (date, client, slot) => `reported:${date}:${client}:${slot}`;
+const REPORTS_PER_CLIENT_PER_DAY = 5;
+const REPORTED_MARK_SECONDS = 60 * 60 * 24 * 2;
+
+/**
+ * What a report can be about.
+ */
+export const REPORT_CATEGORIES = ['wrong-answer', 'typo', 'ambiguous', 'other'];
+
+/**
+ * The states a report can be in. New reports are `open`.
+ */
+export const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+
+// The question fields compared to tell which ones a correction changed.
+const QUESTION_FIELDS = ['type', 'subject', 'difficulty', 'question', 'passageId', 'options', 'answer', 'tolerance', 'explanation'];
+
+async function loadReports() {
+    return (await getStore().get(REPORTS_KEY)) || [];
+}
+
+async function saveReports(reports) {
+    await getStore().set(REPORTS_KEY, reports);
+}
+
+/**
+ * Claims one of the reports a client may file today. Each is a mark of its
+ * own that only one request can add, so requests racing each other cannot
+ * get past the limit.
+ * @param {string} address - The client's address.
+ */
+async function claimReportSlot(address) {
+    const store = getStore();
+    const client = hashClientAddress(address);
+    const today = getToday();
+    for (let slot = 0; slot < REPORTS_PER_CLIENT_PER_DAY; slot++) {
+        if (await store.add(reportedKey(today, client, slot), true, { ttlSeconds: REPORTED_MARK_SECONDS })) return;
+    }
+    throw new HttpError(429, 'Too many reports from this connection today. Please try again tomorrow.');
+}
+
+/**
+ * Files a player's report against a question.
+ * @param {Object} input - `{ questionId, category, text }`; `text` is optional
+ * except for the `other` category.
+ * @param {string} address - The address of the client filing it.
+ * @returns {Promise<Object>} The stored report.
+ */
+export async function createReport(input, address) {
+    const questionId = Number(input.questionId);
+    if (!Number.isInteger(questionId) || questionId < 1) {
+        throw new HttpError(400, `Invalid question id: ${input.questionId}`);
+    }
+    await getQuestion(questionId);
+    if (!REPORT_CATEGORIES.includes(input.category)) {
+        throw new HttpError(400, `Category must be one of ${REPORT_CATEGORIES.join(', ')}.`);
+    }
+    const text = typeof input.text === 'string' ? input.text.trim() : '';
+    if (input.category === 'other' && !text) {
+        throw new HttpError(400, 'Please describe the problem.');
+    }
+    if (text.length > MAX_TEXT_LENGTH) {
+        throw new HttpError(400, `Reports can be at most ${MAX_TEXT_LENGTH} characters.`);
+    }
+    await claimReportSlot(address);
+
+    let reports = await loadReports();
+    if (reports.length >= MAX_REPORTS) {
+        // Makes room by forgetting the oldest closed reports; open ones are kept.
+        const closed = reports.filter(report => report.status !== 'open');
+        const forget = new Set(closed.slice(0, reports.length - MAX_REPORTS + 1));
+        reports = reports.filter(report => !forget.has(report));
+        if (reports.length >= MAX_REPORTS) {
+            throw new HttpError(429, 'Too many reports are waiting to be reviewed. Please try again later.');
+        }
+    }
+    const id = reports.length > 0 ? Math.max(...reports.map(r => r.id)) + 1 : 1;
+    const report = { id, questionId, category: input.category, text, status: 'open', createdAt: new Date().toISOString() };
+    reports.push(report);
+    await saveReports(reports);
+    return report;
+}
+
+/**
+ * Lists reports, oldest first.
+ * @param {string} [status] - Only list reports in this state.
+ * @returns {Promise<Array>} The reports.
+ */
+export async function listReports(status) {
+    const reports = await loadReports();
+    return status ? reports.filter(report => report.status === status) : reports;
+}
+
+/**
+ * Closes an open report. Resolving a report saves the corrected question and
+ * records the correction in the question's errata; dismissing it changes
+ * nothing else.
+ * @param {number} id - The report id.
+ * @param {Object} input - `{ status, note, question }`: `status` is `resolved`
+ * or `dismissed`, `note` optionally says what was done, and `question` is the
+ * corrected question, required when resolving.
+ * @param {string} username - The admin closing the report.
+ * @returns {Promise<Object>} `{ report, question }`, where `question` is the
+ * updated question, or null when the report was dismissed.
+ */
+export async function closeReport(id, input, username) {
+    const reports = await loadReports();
+    const report = reports.find(r => r.id === id);
+    if (!report) {
+        throw new HttpError(404, `Report ${id} not found.`);
+    }
+    if (report.status !== 'open') {
+        throw new HttpError(409, `Report ${id} has already been ${report.status}.`);
+    }
+    if (input.status !== 'resolved' && input.status !== 'dismissed') {
+        throw new HttpError(400, 'Status must be resolved or dismissed.');
+    }
+    const note = typeof input.note === 'string' ? input.note.trim() : '';
+    const closedAt = new Date().toISOString();
+
+    let question = null;
+    if (input.status === 'resolved') {
+        if (!input.question || typeof input.question !== 'object') {
+            throw new HttpError(400, 'A resolved report needs the corrected question.');
+        }
+        const original = await getQuestion(report.questionId);
+        // Saved questions always carry a type; older ones may not.
+        const before = { ...original, type: getQuestionType(original) };
+        question = await updateQuestion(report.questionId, input.question);
+        const changes = QUESTION_FIELDS.filter(field => JSON.stringify(before[field]) !== JSON.stringify(question[field]));
+        await addErratum(report.questionId, { at: closedAt, username, reportId: id, category: report.category, note, changes });
+    }
+
+    Object.assign(report, { status: input.status, closedAt, closedBy: username, note });
+    await saveReports(reports);
+    return { report, question };
+}
+
+// --- Errata ---
+
+async function addErratum(questionId, erratum) {
+    const errata = await listErrata(questionId);
+    errata.push(erratum);
+    await getStore().set(errataKey(questionId), errata);
+}
+
+/**
+ * Lists the corrections made to a question in response to reports, oldest
+ * first.
+ * @param {number} questionId - The question id.
+ * @returns {Promise<Array>} `{ at, username, reportId, category, note, changes }`
+ * for each, where `changes` names the fields that were corrected.
+ */
+export async function listErrata(questionId) {
+    return (await getStore().get(errataKey(questionId))) || [];
+}
+
+/**
+ * Forgets a question's errata, e.g. when the question is deleted.
+ * @param {number} questionId - The question id.
+ */
+export async function deleteErrata(questionId) {
+    await getStore().delete(errataKey(questionId));
+}
+
+/**
+ * Parses a report id from a route parameter.
+ * @param {string} value - The raw parameter.
+ * @returns {number} The id.
+ */
+export function parseReportId(value) {
+    const id = Number(value);
+    if (!Number.isInteger(id) || id < 1) {
+        throw new HttpError(400, `Invalid report id: ${value}`);
+    }
+    return id;
+}
@@ -0,0 +1,168 @@
+// =================================================================================
+// ANSWER DISTRIBUTION
+// =================================================================================
+// Anonymous tallies of the answers given to each daily puzzle, so players can
+// see how everyone else did. The same answers are also tallied per question,
+// across every day the question has run, for the admin analytics. Only counts
+// are kept, never who answered.
+//
+// Answers are only counted as they are graded, from the submission to the
+// puzzle itself, and only the first from each client address: anyone can
+// submit as often as they like, but cannot skew the numbers by doing so.
+// Addresses are hashed into marks and never stored as they are; Vercel KV
+// drops the marks after a few days, while the file store keeps them. Answers
+// to puzzles older than yesterday are archive plays and not counted.
+//
+// The tallies are store counters, so answers arriving together never lose
+// each other's counts. Like all server state they go through the store, so
+// under `vite dev` they are files in `.data/` and the feature works without
+// Vercel KV.
+import { getToday } from '../../src/dates.js';
+import { getQuestionType } from '../../src/questionRules.js';
+import { hashClientAddress, HttpError } from './http.js';
+import { gradeQuestion } from './questions.js';
+import { getPuzzle, getPuzzleDate, getPuzzleNumber } from './schedule.js';
+import { getStore } from './store.js';
+
+const tallyKey = (puzzleNumber) => `tally:${puzzleNumber}`;
+// One counter for every question, its fields prefixed with the question id.
+const QUESTION_TALLY_KEY = 'question-tally';
+const countedKey = (puzzleNumber, client) => `counted:${puzzleNumber}:${client}`;
+// Long enough to outlast the days a puzzle's answers are counted for.
+const COUNTED_MARK_SECONDS = 60 * 60 * 24 * 3;
+
+/**
+ * Lists the tally fields an answer adds one to: `total`, `correct` if it was
+ * right, and `option:<letter>` for the option picked on a choice question.
+ * @param {Object} question - The question answered.
+ * @param {*} answer - The answer.
+ * @param {boolean} correct - Whether it was right.
+ * @returns {Array<string>} The fields.
+ */
+function getTallyFields(question, answer, correct) {
+    const fields = ['total'];
+    if (correct) fields.push('correct');
+    if (getQuestionType(question) === 'choice' && Object.hasOwn(question.options, answer)) {
+        fields.push(`option:${answer}`);
+    }
+    return fields;
+}
+
+/**
+ * Turns tally fields back into a tally.
+ * @param {Object} counts - Counts keyed by field, as from `getTallyFields`.
+ * @returns {Object} `{ total, correct, counts }`, `counts` keyed by option letter.
+ */
+function toTally(counts) {
+    const tally = { total: counts.total || 0, correct: counts.correct || 0, counts: {} };
+    for (const [field, count] of Object.entries(counts)) {
+        if (field.startsWith('option:')) tally.counts[field.slice('option:'.length)] = count;
+    }
+    return tally;
+}
+
+/**
+ * Parses a puzzle number and makes sure the puzzle has been released, today
+ * or earlier.
+ * @param {*} value - The raw value.
+ * @returns {number} The puzzle number.
+ */
+export function parseReleasedPuzzleNumber(value) {
+    const puzzleNumber = Number(value);
+    if (!Number.isInteger(puzzleNumber) || puzzleNumber < 1) {
+        throw new HttpError(400, `Invalid puzzle number: ${value}`);
+    }
+    if (puzzleNumber > getPuzzleNumber(getToday())) {
+        throw new HttpError(404, `Puzzle #${puzzleNumber} has not been released yet.`);
+    }
+    return puzzleNumber;
+}
+
+/**
+ * Fetches the tally of answers to a puzzle.
+ * @param {number} puzzleNumber - A released puzzle number.
+ * @returns {Promise<Object>} `{ puzzleNumber, total, correct, counts }`, where
+ * `counts` holds how many players picked each option letter. Numeric answers
+ * and timeouts count towards `total` but not towards any option.
+ */
+export async function getResults(puzzleNumber) {
+    return { puzzleNumber, ...toTally(await getStore().getCounts(tallyKey(puzzleNumber))) };
+}
+
+/**
+ * Loads the question a released puzzle shows.
+ * @param {number} puzzleNumber - A released puzzle number.
+ * @returns {Promise<Object>} The full question.
+ */
+async function getPuzzleQuestion(puzzleNumber) {
+    const puzzle = await getPuzzle(getPuzzleDate(puzzleNumber));
+    if (!puzzle) {
+        throw new HttpError(404, `Puzzle #${puzzleNumber} is not in the archive.`);
+    }
+    if (!puzzle.question) {
+        throw new HttpError(410, `Puzzle #${puzzleNumber} is no longer available.`);
+    }
+    return puzzle.question;
+}
+
+/**
+ * Claims the one answer a client may add to a puzzle's tally.
+ * @param {number} puzzleNumber - The puzzle number.
+ * @param {string} address - The client's address.
+ * @returns {Promise<boolean>} Whether this is the client's first answer.
+ */
+async function claimCount(puzzleNumber, address) {
+    const mark = countedKey(puzzleNumber, hashClientAddress(address));
+    return getStore().add(mark, true, { ttlSeconds: COUNTED_MARK_SECONDS });
+}
+
+/**
+ * Grades an answer submitted to a puzzle. This is the only way the answer to
+ * today's puzzle leaves the server before the day is over.
+ * @param {number} puzzleNumber - A released puzzle number.
+ * @param {*} answer - The player's answer, or null if time ran out.
+ * @param {Object} options
+ * @param {boolean} options.tally - Whether the answer should count towards
+ * the puzzle's tally; false for archive plays.
+ * @param {string} options.address - The client's address.
+ * @returns {Promise<Object>} `{ correct, answer, explanation }`.
+ */
+export async function submitAnswer(puzzleNumber, answer, { tally, address }) {
+    const question = await getPuzzleQuestion(puzzleNumber);
+    const result = gradeQuestion(question, answer);
+    const isRecent = puzzleNumber >= getPuzzleNumber(getToday()) - 1;
+    if (tally && isRecent && await claimCount(puzzleNumber, address)) {
+        await recordResult(puzzleNumber, question, answer, result.correct);
+    }
+    return result;
+}
+
+/**
+ * Adds a graded answer to a puzzle's tally and to its question's.
+ * @param {number} puzzleNumber - The puzzle number.
+ * @param {Object} question - The puzzle's question.
+ * @param {*} answer - The player's answer, or null if time ran out.
+ * @param {boolean} correct - Whether it was right.
+ */
+async function recordResult(puzzleNumber, question, answer, correct) {
+    const store = getStore();
+    const fields = getTallyFields(question, answer, correct);
+    await Promise.all([
+        store.increment(tallyKey(puzzleNumber), fields),
+        store.increment(QUESTION_TALLY_KEY, fields.map(field => `${question.id}:${field}`)),
+    ]);
+}
+
+/**
+ * Fetches the tallies kept per question, across every day each has run.
+ * @returns {Promise<Object>} `{ total, correct, counts }` keyed by question id.
+ */
+export async function getQuestionTallies() {
+    const byQuestion = {};
+    for (const [field, count] of Object.entries(await getStore().getCounts(QUESTION_TALLY_KEY))) {
+        const [id, ...rest] = field.split(':');
+        byQuestion[id] ??= {};
+        byQuestion[id][rest.join(':')] = count;
+    }
+    return Object.fromEntries(Object.entries(byQuestion).map(([id, counts]) => [id, toTally(counts)]));
+}
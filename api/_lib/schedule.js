@@ -0,0 +1,270 @@
+// =================================================================================
+// PUZZLE SCHEDULE
+// =================================================================================
+// Every calendar date is one puzzle. Dates roll over at UTC midnight for
+// everyone, puzzle numbers count up from the launch date, and admins map dates
+// to question ids ahead of time. A date nobody scheduled falls back to a
+// question picked from the bank so players never see an empty page.
+//
+// Whatever a date shows is saved as that day's pick the first time it is
+// asked for, in a document of its own that is written once and never again.
+// Past puzzles are read from their pick alone, so they keep their question
+// however the bank changes; a pick whose question has since been deleted
+// shows as unavailable. Dates that passed without anyone asking have no pick
+// and no puzzle.
+import { addDays, daysBetween, getToday } from '../../src/dates.js';
+import { isPracticeOnly } from '../../src/questionRules.js';
+import { HttpError } from './http.js';
+import { listQuestions } from './questions.js';
+import { getStore } from './store.js';
+
+const SCHEDULE_KEY = 'schedule';
+const pickKey = (date) => `puzzle:${date}`;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * The date of puzzle #1, as `YYYY-MM-DD`.
+ * @returns {string} The launch date.
+ */
+export function getLaunchDate() {
+    return process.env.OATDLE_LAUNCH_DATE || '2025-01-01';
+}
+
+/**
+ * Checks a `YYYY-MM-DD` date string.
+ * @param {string} date - The raw value.
+ * @returns {string} The date.
+ */
+export function parseDate(date) {
+    if (typeof date !== 'string' || !DATE_PATTERN.test(date) || Number.isNaN(Date.parse(date))) {
+        throw new HttpError(400, `Invalid date: ${date}`);
+    }
+    return date;
+}
+
+/**
+ * The puzzle number for a date, counting the launch date as #1.
+ * @param {string} date - The date, as `YYYY-MM-DD`.
+ * @returns {number} The puzzle number.
+ */
+export function getPuzzleNumber(date) {
+    return daysBetween(getLaunchDate(), date) + 1;
+}
+
+/**
+ * The date of a puzzle number.
+ * @param {number} puzzleNumber - The puzzle number.
+ * @returns {string} The date, as `YYYY-MM-DD`.
+ */
+export function getPuzzleDate(puzzleNumber) {
+    return addDays(getLaunchDate(), puzzleNumber - 1);
+}
+
+/**
+ * Loads the schedule.
+ * @returns {Promise<Object<string, number>>} Question ids keyed by date.
+ */
+export async function getSchedule() {
+    return (await getStore().get(SCHEDULE_KEY)) || {};
+}
+
+/**
+ * Builds the puzzle for a date from the question id it shows.
+ * @param {string} date - The date, as `YYYY-MM-DD`.
+ * @param {number} questionId - The question id.
+ * @param {Array} questions - The question bank.
+ * @returns {Object} `{ date, puzzleNumber, question }`, where `question` is
+ * null if the question has been deleted.
+ */
+function toPuzzle(date, questionId, questions) {
+    const question = questions.find(q => q.id === questionId) || null;
+    return { date, puzzleNumber: getPuzzleNumber(date), question };
+}
+
+/**
+ * Picks the question for a date that has just arrived: the scheduled one, or
+ * else one from the bank by puzzle number.
+ * @param {string} date - The date, as `YYYY-MM-DD`.
+ * @param {Array} questions - The question bank.
+ * @param {Object<string, number>} schedule - Question ids keyed by date.
+ * @returns {number|null} The question id, or null if the bank has no
+ * daily-eligible questions.
+ */
+function pickQuestionId(date, questions, schedule) {
+    if (schedule[date] !== undefined) return schedule[date];
+    const candidates = questions.filter(q => !isPracticeOnly(q));
+    if (candidates.length === 0) return null;
+    // Wrap negative numbers too, in case the launch date is still in the future.
+    const puzzleNumber = getPuzzleNumber(date);
+    return candidates[((puzzleNumber - 1) % candidates.length + candidates.length) % candidates.length].id;
+}
+
+/**
+ * Resolves the puzzle for a released date. Today's pick is made and saved on
+ * the first request; when several arrive at once, the first save wins and
+ * every request gets that pick.
+ * @param {string} date - The date, as `YYYY-MM-DD`; today or earlier.
+ * @returns {Promise<Object|null>} `{ date, puzzleNumber, question }` with the
+ * full question, or null if the date has no puzzle. `question` is null if it
+ * has been deleted since.
+ */
+export async function getPuzzle(date) {
+    const store = getStore();
+    const [questions, schedule, pick] = await Promise.all([listQuestions(), getSchedule(), store.get(pickKey(date))]);
+    if (pick !== null) return toPuzzle(date, pick, questions);
+    // Past entries from before picks were saved on their own.
+    if (date < getToday()) {
+        return schedule[date] === undefined ? null : toPuzzle(date, schedule[date], questions);
+    }
+
+    const questionId = pickQuestionId(date, questions, schedule);
+    if (questionId === null) return null;
+    if (!(await store.add(pickKey(date), questionId))) {
+        return toPuzzle(date, await store.get(pickKey(date)), questions);
+    }
+    return toPuzzle(date, questionId, questions);
+}
+
+/**
+ * Resolves today's puzzle, picking it if this is the first request today.
+ * @returns {Promise<Object|null>} As from `getPuzzle`.
+ */
+export async function getTodaysPuzzle() {
+    return getPuzzle(getToday());
+}
+
+/**
+ * Lists the questions that are today's puzzle or scheduled on a later date.
+ * Until their day has passed, their answers are only given out in reply to a
+ * submission to the puzzle.
+ * @returns {Promise<Set<number>>} The question ids.
+ */
+export async function getUpcomingDailyIds() {
+    const today = getToday();
+    const [puzzle, schedule] = await Promise.all([getPuzzle(today), getSchedule()]);
+    const ids = new Set(Object.entries(schedule).filter(([date]) => date >= today).map(([, id]) => id));
+    if (puzzle?.question) {
+        ids.add(puzzle.question.id);
+    }
+    return ids;
+}
+
+/**
+ * Resolves every puzzle released before today, newest first. Dates that
+ * passed without a puzzle are left out.
+ * @returns {Promise<Array>} `{ date, puzzleNumber, question }` for each past
+ * puzzle, with full questions; `question` is null if it has been deleted.
+ */
+export async function listPastPuzzles() {
+    const dates = [];
+    for (let number = getPuzzleNumber(getToday()) - 1; number >= 1; number--) {
+        dates.push(getPuzzleDate(number));
+    }
+    const [questions, schedule, picks] = await Promise.all([
+        listQuestions(),
+        getSchedule(),
+        getStore().getMany(dates.map(pickKey)),
+    ]);
+    return dates
+        .map((date, i) => [date, picks[i] ?? schedule[date]])
+        .filter(([, questionId]) => questionId !== undefined)
+        .map(([date, questionId]) => toPuzzle(date, questionId, questions));
+}
+
+/**
+ * Parses a puzzle number and makes sure it has already been released.
+ * @param {string} value - The raw value.
+ * @returns {number} The puzzle number.
+ */
+export function parsePastPuzzleNumber(value) {
+    const puzzleNumber = Number(value);
+    if (!Number.isInteger(puzzleNumber) || puzzleNumber < 1) {
+        throw new HttpError(400, `Invalid puzzle number: ${value}`);
+    }
+    if (puzzleNumber >= getPuzzleNumber(getToday())) {
+        throw new HttpError(404, `Puzzle #${puzzleNumber} is not in the archive yet.`);
+    }
+    return puzzleNumber;
+}
+
+/**
+ * Lists every date in a range with what is scheduled on it. Released dates
+ * show the question they were released with.
+ * @param {string} from - The first date, as `YYYY-MM-DD`.
+ * @param {string} to - The last date, as `YYYY-MM-DD`.
+ * @returns {Promise<Array>} `{ date, puzzleNumber, questionId }` for each date;
+ * `questionId` is null for unscheduled gaps.
+ */
+export async function listScheduleRange(from, to) {
+    const days = daysBetween(from, to) + 1;
+    if (days < 1 || days > MAX_RANGE_DAYS) {
+        throw new HttpError(400, `Range must cover between 1 and ${MAX_RANGE_DAYS} days.`);
+    }
+    const dates = Array.from({ length: days }, (_, i) => addDays(from, i));
+    const today = getToday();
+    const [questions, schedule, picks] = await Promise.all([
+        listQuestions(),
+        getSchedule(),
+        getStore().getMany(dates.filter(date => date <= today).map(pickKey)),
+    ]);
+    const ids = new Set(questions.map(q => q.id));
+    return dates.map((date, i) => {
+        const id = picks[i] ?? schedule[date];
+        return { date, puzzleNumber: getPuzzleNumber(date), questionId: ids.has(id) ? id : null };
+    });
+}
+
+/**
+ * Schedules a question on a date, or clears the date when `questionId` is null.
+ * Puzzles that have been released cannot be changed.
+ * @param {string} date - The date, as `YYYY-MM-DD`.
+ * @param {number|null} questionId - The question to show.
+ */
+export async function setScheduleEntry(date, questionId) {
+    if (date < getToday()) {
+        throw new HttpError(400, 'Past puzzles cannot be rescheduled.');
+    }
+    if (await getStore().get(pickKey(date)) !== null) {
+        throw new HttpError(400, "Today's puzzle has already been released and cannot be rescheduled.");
+    }
+    if (questionId !== null) {
+        const questions = await listQuestions();
+        const question = questions.find(q => q.id === questionId);
+        if (!question) {
+            throw new HttpError(404, `Question ${questionId} not found.`);
+        }
+        if (isPracticeOnly(question)) {
+            throw new HttpError(400, 'Select-all questions are for practice only and cannot be scheduled.');
+        }
+    }
+    const store = getStore();
+    const schedule = (await store.get(SCHEDULE_KEY)) || {};
+    if (questionId === null) {
+        delete schedule[date];
+    } else {
+        schedule[date] = questionId;
+    }
+    await store.set(SCHEDULE_KEY, schedule);
+}
+
+/**
+ * Clears a question from every upcoming date, e.g. after it was deleted.
+ * Past dates keep their entry as a record of what was played.
+ * @param {number} questionId - The question id.
+ */
+export async function unscheduleQuestion(questionId) {
+    const store = getStore();
+    const schedule = (await store.get(SCHEDULE_KEY)) || {};
+    const today = getToday();
+    let changed = false;
+    for (const [date, id] of Object.entries(schedule)) {
+        if (id === questionId && date > today) {
+            delete schedule[date];
+            changed = true;
+        }
+    }
+    if (changed) {
+        await store.set(SCHEDULE_KEY, schedule);
+    }
+}
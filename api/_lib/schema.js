@@ -0,0 +1,194 @@
+// =================================================================================
+// QUESTION BANK SCHEMA
+// =================================================================================
+// The format of the question bank, and a validator that reports every problem
+// in it at once. The same rules apply wherever questions come from: the
+// bundled seed in `data/questions.json`, the live bank in the store, an admin
+// saving a question (see `api/_lib/questions.js`) and `npm run bank` imports.
+// The build validates both banks (see `plugins/validate-bank.js`).
+//
+// Field rules are declared below. The rules that depend on more than one field,
+// such as the answer having to be one of the options, live in `checkQuestion`.
+// The question types and option letters come from `src/questionRules.js`.
+import { MIN_OPTIONS, OPTION_LETTERS, QUESTION_TYPES } from '../../src/questionRules.js';
+import { DIFFICULTIES, SUBJECTS } from '../../src/subjects.js';
+
+/**
+ * The fields a question may have. `type` is one of `integer`, `number`,
+ * `string` or `object`; `enum` lists the values allowed; `required` fields
+ * must be present on every question.
+ */
+export const QUESTION_SCHEMA = {
+    id: { type: 'integer', required: true, min: 1 },
+    type: { type: 'string', enum: QUESTION_TYPES },
+    subject: { type: 'string', required: true, enum: SUBJECTS },
+    difficulty: { type: 'string', required: true, enum: DIFFICULTIES },
+    question: { type: 'string', required: true },
+    passageId: { type: 'integer', min: 1 },
+    options: { type: 'object' },
+    answer: { required: true },
+    tolerance: { type: 'number', min: 0 },
+    explanation: { type: 'string', required: true },
+};
+
+/**
+ * The fields a reading passage may have.
+ */
+export const PASSAGE_SCHEMA = {
+    id: { type: 'integer', required: true, min: 1 },
+    title: { type: 'string', required: true },
+    text: { type: 'string', required: true },
+};
+
+/**
+ * Checks a value against one field's rule.
+ * @param {*} value - The value.
+ * @param {Object} rule - The rule from a schema.
+ * @returns {string|null} What is wrong, or null if nothing is.
+ */
+function checkField(value, rule) {
+    switch (rule.type) {
+        case 'integer':
+            if (!Number.isInteger(value)) return 'must be a whole number';
+            break;
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+            break;
+        case 'string':
+            if (typeof value !== 'string' || !value.trim()) return 'must be non-empty text';
+            break;
+        case 'object':
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object';
+            break;
+    }
+    if (rule.min !== undefined && value < rule.min) {
+        return `must be at least ${rule.min}`;
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+        return `must be one of ${rule.enum.join(', ')}, not ${JSON.stringify(value)}`;
+    }
+    return null;
+}
+
+/**
+ * Checks an object against a schema.
+ * @param {Object} item - The question or passage.
+ * @param {Object} schema - The schema.
+ * @returns {Array<string>} What is wrong with it.
+ */
+function checkFields(item, schema) {
+    const problems = [];
+    for (const [field, rule] of Object.entries(schema)) {
+        if (item[field] === undefined) {
+            if (rule.required) problems.push(`${field} is missing`);
+            continue;
+        }
+        const problem = checkField(item[field], rule);
+        if (problem) problems.push(`${field} ${problem}`);
+    }
+    for (const field of Object.keys(item)) {
+        if (!Object.hasOwn(schema, field)) problems.push(`${field} is not a known field`);
+    }
+    return problems;
+}
+
+/**
+ * Checks the rules that tie a question's fields together.
+ * @param {Object} question - The question.
+ * @param {Set<number>|null} passageIds - The ids of every passage in the bank,
+ * or null to leave `passageId` to the caller.
+ * @param {Object} [schema] - The field rules to check against.
+ * @returns {Array<string>} What is wrong with it.
+ */
+function checkQuestion(question, passageIds, schema = QUESTION_SCHEMA) {
+    const problems = checkFields(question, schema);
+    const type = question.type || 'choice';
+    if (!QUESTION_TYPES.includes(type)) return problems;
+
+    if (passageIds && question.passageId !== undefined && !passageIds.has(question.passageId)) {
+        problems.push(`passageId ${question.passageId} does not match any passage`);
+    }
+
+    if (type === 'numeric') {
+        if (question.options !== undefined) problems.push('options are not allowed on a numeric question');
+        if (question.answer !== undefined && checkField(question.answer, { type: 'number' })) {
+            problems.push('answer must be a number');
+        }
+        return problems;
+    }
+
+    if (question.tolerance !== undefined) problems.push('tolerance is only allowed on a numeric question');
+    const letters = Object.keys(question.options || {});
+    if (letters.length < MIN_OPTIONS || letters.length > OPTION_LETTERS.length
+        || letters.some((letter, index) => letter !== OPTION_LETTERS[index])) {
+        problems.push(`options must be lettered A, B, C and so on, with ${MIN_OPTIONS} to ${OPTION_LETTERS.length} of them`);
+    }
+    letters.filter(letter => checkField(question.options[letter], { type: 'string' }))
+        .forEach(letter => problems.push(`option ${letter} must be non-empty text`));
+
+    if (question.answer === undefined) return problems;
+    const answers = type === 'select-all' ? question.answer : [question.answer];
+    if (type === 'select-all' && (!Array.isArray(answers) || answers.length === 0)) {
+        problems.push('answer must be a list of option letters');
+    } else if (type === 'choice' && typeof question.answer !== 'string') {
+        problems.push('answer must be an option letter');
+    } else {
+        answers.filter(letter => !letters.includes(letter))
+            .forEach(letter => problems.push(`answer ${JSON.stringify(letter)} is not one of the options (${letters.join(', ')})`));
+    }
+    return problems;
+}
+
+/**
+ * Checks a single question against the same rules as `validateBank`, e.g. one
+ * an admin is saving. A question not saved yet may leave out its id, and the
+ * passage it points at is not looked up.
+ * @param {Object} question - The question.
+ * @returns {Array<string>} What is wrong with it, e.g.
+ * `subject must be one of ...`; empty if it is valid.
+ */
+export function checkQuestionContent(question) {
+    const { id, ...rules } = QUESTION_SCHEMA;
+    return checkQuestion(question, null, question.id === undefined ? rules : QUESTION_SCHEMA);
+}
+
+/**
+ * Validates a whole bank and lists every problem found, one line each, e.g.
+ * `Question 7: answer "E" is not one of the options (A, B, C, D)`.
+ * @param {Object} bank - `{ questions, passages }`, as in `data/questions.json`
+ * or the store.
+ * @returns {Array<string>} The problems; empty if the bank is valid.
+ */
+export function validateBank(bank) {
+    if (!bank || !Array.isArray(bank.questions)) {
+        return ['The bank must have a "questions" list.'];
+    }
+    const passages = bank.passages ?? [];
+    if (!Array.isArray(passages)) {
+        return ['"passages" must be a list.'];
+    }
+
+    const errors = [];
+    const describe = (kind, item, index) => (Number.isInteger(item?.id) ? `${kind} ${item.id}` : `${kind} #${index + 1} in the list`);
+    const checkIds = (kind, items) => {
+        const seen = new Set();
+        items.forEach((item, index) => {
+            if (seen.has(item?.id)) errors.push(`${describe(kind, item, index)}: id is used more than once`);
+            seen.add(item?.id);
+        });
+        return seen;
+    };
+
+    const passageIds = checkIds('Passage', passages);
+    passages.forEach((passage, index) => {
+        const problems = passage && typeof passage === 'object' ? checkFields(passage, PASSAGE_SCHEMA) : ['must be an object'];
+        problems.forEach(problem => errors.push(`${describe('Passage', passage, index)}: ${problem}`));
+    });
+
+    checkIds('Question', bank.questions);
+    bank.questions.forEach((question, index) => {
+        const problems = question && typeof question === 'object' ? checkQuestion(question, passageIds) : ['must be an object'];
+        problems.forEach(problem => errors.push(`${describe('Question', question, index)}: ${problem}`));
+    });
+    return errors;
+}
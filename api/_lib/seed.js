@@ -0,0 +1,15 @@
+// =================================================================================
+// SEED DATA
+// =================================================================================
+import { readFile } from 'node:fs/promises';
+
+const SEED_FILE = new URL('../../data/questions.json', import.meta.url);
+
+/**
+ * Reads the bundled seed file, used until the store has been written to.
+ * @returns {Promise<Object>} `{ questions, passages }`.
+ */
+export async function readSeed() {
+    const seed = JSON.parse(await readFile(SEED_FILE, 'utf8'));
+    return { questions: seed.questions || [], passages: seed.passages || [] };
+}
@@ -0,0 +1,221 @@
+// =================================================================================
+// KEY/VALUE STORE
+// =================================================================================
+// Every piece of server-side state is a JSON document under a string key. In
+// production the documents live in Vercel KV (Upstash Redis, reached over its
+// REST API so no client library is needed); everywhere else they are plain
+// files under `.data/`, which is what `vite dev` uses.
+//
+// Writes replace the whole document, so two requests updating the same
+// document at once can lose one update. `add` is the exception: it only
+// writes a document that does not exist yet, and exactly one caller wins.
+// Counters are kept apart from documents for the same reason: `increment`
+// adds to them without reading them first, so no count is ever lost, and
+// `getCounts` reads them back.
+import { appendFile, link, mkdir, readFile, rename, unlink, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+const KEY_PATTERN = /^[a-z0-9:_-]+$/i;
+
+/**
+ * Makes sure a key is safe to use as a file name.
+ * @param {string} key - The document key.
+ */
+function assertKey(key) {
+    if (!KEY_PATTERN.test(key)) {
+        throw new Error(`Invalid store key: ${key}`);
+    }
+}
+
+/**
+ * Creates a store backed by JSON files in a directory.
+ * @param {string} dir - The directory holding one `<key>.json` file per document
+ * and one `<key>.counts` file per counter.
+ * @returns {Object} The store.
+ */
+export function createFileStore(dir) {
+    const fileFor = (key) => {
+        assertKey(key);
+        return path.join(dir, `${key.replace(/:/g, '__')}.json`);
+    };
+    const countsFileFor = (key) => fileFor(key).replace(/\.json$/, '.counts');
+    // Every write gets a temporary file of its own, so writes running at the
+    // same time never trip over each other's.
+    let writes = 0;
+    const tmpFileFor = (file) => `${file}.${process.pid}.${++writes}.tmp`;
+
+    const store = {
+        async get(key) {
+            try {
+                return JSON.parse(await readFile(fileFor(key), 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+        async getMany(keys) {
+            return Promise.all(keys.map(key => store.get(key)));
+        },
+        // Expiry is the caller's job here; `ttlSeconds` only matters for KV.
+        async set(key, value) {
+            const file = fileFor(key);
+            await mkdir(dir, { recursive: true });
+            // Write then rename so a crash never leaves a half-written document.
+            const tmp = tmpFileFor(file);
+            await writeFile(tmp, JSON.stringify(value, null, 4));
+            await rename(tmp, file);
+        },
+        async add(key, value) {
+            const file = fileFor(key);
+            await mkdir(dir, { recursive: true });
+            const tmp = tmpFileFor(file);
+            await writeFile(tmp, JSON.stringify(value, null, 4));
+            try {
+                // Linking fails if the document exists, so only one writer gets in.
+                await link(tmp, file);
+                return true;
+            } catch (error) {
+                if (error.code === 'EEXIST') return false;
+                throw error;
+            } finally {
+                await unlink(tmp);
+            }
+        },
+        // Each increment is a line appended to the counter's log. Appends
+        // never overwrite each other, so no lock is needed.
+        async increment(key, fields) {
+            const file = countsFileFor(key);
+            await mkdir(dir, { recursive: true });
+            await appendFile(file, `${JSON.stringify(fields)}\n`);
+        },
+        async getCounts(key) {
+            let log;
+            try {
+                log = await readFile(countsFileFor(key), 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') return {};
+                throw error;
+            }
+            const counts = {};
+            for (const line of log.split('\n')) {
+                if (!line) continue;
+                for (const field of JSON.parse(line)) {
+                    counts[field] = (counts[field] || 0) + 1;
+                }
+            }
+            return counts;
+        },
+        async delete(key) {
+            try {
+                await unlink(fileFor(key));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        },
+    };
+    return store;
+}
+
+/**
+ * Creates a store backed by the Upstash Redis REST API used by Vercel KV.
+ * @param {string} url - The REST endpoint (`KV_REST_API_URL`).
+ * @param {string} token - The bearer token (`KV_REST_API_TOKEN`).
+ * @returns {Object} The store.
+ */
+export function createKvStore(url, token) {
+    async function send(endpoint, body) {
+        const res = await fetch(endpoint, {
+            method: 'POST',
+            headers: {
+                Authorization: `Bearer ${token}`,
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(body),
+        });
+        if (!res.ok) {
+            throw new Error(`KV error! status: ${res.status}`);
+        }
+        return res.json();
+    }
+
+    async function command(...args) {
+        return (await send(url, args)).result;
+    }
+
+    return {
+        async get(key) {
+            assertKey(key);
+            const value = await command('GET', `oatdle:${key}`);
+            return value === null ? null : JSON.parse(value);
+        },
+        async getMany(keys) {
+            if (keys.length === 0) return [];
+            keys.forEach(assertKey);
+            const values = await command('MGET', ...keys.map(key => `oatdle:${key}`));
+            return values.map(value => (value === null ? null : JSON.parse(value)));
+        },
+        async set(key, value, { ttlSeconds } = {}) {
+            assertKey(key);
+            const expiry = ttlSeconds ? ['EX', Math.ceil(ttlSeconds)] : [];
+            await command('SET', `oatdle:${key}`, JSON.stringify(value), ...expiry);
+        },
+        async add(key, value, { ttlSeconds } = {}) {
+            assertKey(key);
+            const expiry = ttlSeconds ? ['EX', Math.ceil(ttlSeconds)] : [];
+            return (await command('SET', `oatdle:${key}`, JSON.stringify(value), 'NX', ...expiry)) === 'OK';
+        },
+        // A counter is a Redis hash; the fields are incremented together in
+        // one transaction.
+        async increment(key, fields) {
+            assertKey(key);
+            if (fields.length === 0) return;
+            await send(`${url}/multi-exec`, fields.map(field => ['HINCRBY', `oatdle:${key}`, field, 1]));
+        },
+        async getCounts(key) {
+            assertKey(key);
+            const pairs = await command('HGETALL', `oatdle:${key}`);
+            const counts = {};
+            for (let i = 0; i < pairs.length; i += 2) {
+                counts[pairs[i]] = Number(pairs[i + 1]);
+            }
+            return counts;
+        },
+        async delete(key) {
+            assertKey(key);
+            await command('DEL', `oatdle:${key}`);
+        },
+    };
+}
+
+let store = null;
+
+/**
+ * Returns the store for the current environment, creating it on first use.
+ * @returns {Object} The store.
+ */
+export function getStore() {
+    if (!store) {
+        const { KV_REST_API_URL, KV_REST_API_TOKEN, OATDLE_DATA_DIR } = process.env;
+        store = KV_REST_API_URL && KV_REST_API_TOKEN
+            ? createKvStore(KV_REST_API_URL, KV_REST_API_TOKEN)
+            : createFileStore(OATDLE_DATA_DIR || path.join(process.cwd(), '.data'));
+    }
+    return store;
+}
+
+/**
+ * Hands out the id for a new item and moves the item kind's id counter past
+ * it. The counter only ever goes up, so the id of a deleted item is never
+ * handed out again. Lists from before the counter existed start it after
+ * their highest id.
+ * @param {string} key - The counter's key, e.g. `questions:next-id`.
+ * @param {Array} items - The items that exist now, each with an `id`.
+ * @returns {Promise<number>} The new id.
+ */
+export async function takeNextId(key, items) {
+    const store = getStore();
+    const highest = items.reduce((max, item) => Math.max(max, item.id), 0);
+    const id = Math.max((await store.get(key)) || 1, highest + 1);
+    await store.set(key, id + 1);
+    return id;
+}
@@ -0,0 +1,15 @@
+import { getQuestionAnalytics, MIN_RESPONSES } from './_lib/analytics.js';
+import { requireAdmin } from './_lib/auth.js';
+import { route, sendJson } from './_lib/http.js';
+
+/**
+ * /api/analytics
+ * GET - Returns how each question has played as a daily puzzle, as
+ *       `{ minResponses, questions }`. Admin only.
+ */
+export default route({
+    async GET(req, res) {
+        await requireAdmin(req);
+        sendJson(res, 200, { minResponses: MIN_RESPONSES, questions: await getQuestionAnalytics() });
+    },
+});
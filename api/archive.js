@@ -0,0 +1,21 @@
+import { route, sendJson } from './_lib/http.js';
+import { listPastPuzzles } from './_lib/schedule.js';
+
+/**
+ * /api/archive
+ * GET - Lists every past puzzle, newest first, as
+ *       `{ puzzleNumber, date, questionId, subject, difficulty }`. A puzzle
+ *       whose question has been deleted has null in the last three.
+ */
+export default route({
+    async GET(req, res) {
+        const puzzles = (await listPastPuzzles()).map(({ puzzleNumber, date, question }) => ({
+            puzzleNumber,
+            date,
+            questionId: question?.id ?? null,
+            subject: question?.subject ?? null,
+            difficulty: question?.difficulty ?? null,
+        }));
+        sendJson(res, 200, { puzzles });
+    },
+});
@@ -0,0 +1,14 @@
+import { listAudit } from './_lib/audit.js';
+import { requireAdmin } from './_lib/auth.js';
+import { route, sendJson } from './_lib/http.js';
+
+/**
+ * /api/audit
+ * GET - Lists recent admin changes, newest first. Admin only.
+ */
+export default route({
+    async GET(req, res) {
+        await requireAdmin(req);
+        sendJson(res, 200, { entries: await listAudit() });
+    },
+});
@@ -0,0 +1,13 @@
+import { login } from '../_lib/auth.js';
+import { readJson, route, sendJson } from '../_lib/http.js';
+
+/**
+ * /api/auth/login
+ * POST - Exchanges `{ username, password }` for a session token.
+ */
+export default route({
+    async POST(req, res) {
+        const { username, password } = await readJson(req);
+        sendJson(res, 200, await login(username, password));
+    },
+});
@@ -0,0 +1,17 @@
+import { getSession, logout } from '../_lib/auth.js';
+import { route } from '../_lib/http.js';
+
+/**
+ * /api/auth/logout
+ * POST - Ends the session named by the bearer token, if it is still open.
+ */
+export default route({
+    async POST(req, res) {
+        const session = await getSession(req);
+        if (session) {
+            await logout(session.token);
+        }
+        res.statusCode = 204;
+        res.end();
+    },
+});
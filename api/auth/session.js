@@ -0,0 +1,13 @@
+import { requireAdmin } from '../_lib/auth.js';
+import { route, sendJson } from '../_lib/http.js';
+
+/**
+ * /api/auth/session
+ * GET - Describes the session behind the bearer token, or 401 if there is none.
+ */
+export default route({
+    async GET(req, res) {
+        const { username, expiresAt } = await requireAdmin(req);
+        sendJson(res, 200, { username, expiresAt });
+    },
+});
@@ -0,0 +1,43 @@
+import { getSession } from './_lib/auth.js';
+import { HttpError, readJson, route, sendJson } from './_lib/http.js';
+import { checkAnswer, checkAnswers, parseQuestionId } from './_lib/questions.js';
+import { getUpcomingDailyIds } from './_lib/schedule.js';
+
+/**
+ * Turns away answers to today's puzzle and to scheduled puzzles, which are
+ * only graded as a submission to the puzzle (see `/api/daily`). Admins can
+ * check any question.
+ * @param {Object} req - The request.
+ * @param {Array<number>} ids - The question ids being checked.
+ */
+async function assertPracticeQuestions(req, ids) {
+    if (await getSession(req)) return;
+    const upcoming = await getUpcomingDailyIds();
+    const daily = ids.find(id => upcoming.has(id));
+    if (daily !== undefined) {
+        throw new HttpError(403, `Question ${daily} is a daily puzzle and can only be answered there.`);
+    }
+}
+
+/**
+ * /api/check
+ * POST - Checks `{ questionId, answer }` for practice and returns
+ *        `{ correct, answer, explanation }`. Given `{ answers: [...] }` instead,
+ *        grades every pair at once and returns `{ results: [...] }`. Today's
+ *        and upcoming daily puzzles are answered through `/api/daily` instead.
+ */
+export default route({
+    async POST(req, res) {
+        const body = await readJson(req);
+        if (body.answers !== undefined) {
+            if (Array.isArray(body.answers)) {
+                await assertPracticeQuestions(req, body.answers.map(entry => entry?.questionId));
+            }
+            sendJson(res, 200, { results: await checkAnswers(body.answers) });
+            return;
+        }
+        const questionId = parseQuestionId(body.questionId);
+        await assertPracticeQuestions(req, [questionId]);
+        sendJson(res, 200, await checkAnswer(questionId, body.answer));
+    },
+});
@@ -0,0 +1,60 @@
+import { addDays } from '../src/dates.js';
+import { getClientAddress, HttpError, readJson, route, sendJson } from './_lib/http.js';
+import { getPassageFor } from './_lib/passages.js';
+import { toPublicQuestion } from './_lib/questions.js';
+import { parseReleasedPuzzleNumber, submitAnswer } from './_lib/results.js';
+import { getPuzzle, getPuzzleDate, getTodaysPuzzle, parsePastPuzzleNumber } from './_lib/schedule.js';
+
+/**
+ * /api/daily
+ * GET - Returns today's puzzle, without its answer or explanation, as
+ *       `{ date, puzzleNumber, nextPuzzleAt, question, passage }`, where
+ *       `passage` is the question's reading passage or null. With `?puzzle=N`,
+ *       returns past puzzle N from the archive instead, without `nextPuzzleAt`;
+ *       a puzzle whose question has been deleted answers 410.
+ * POST - Submits `{ puzzleNumber, answer, tally }` to today's or a past
+ *        puzzle and returns `{ correct, answer, explanation }`. `answer` is
+ *        null when time ran out. The answer counts towards everyone's results
+ *        unless `tally` is false, as for archive plays.
+ */
+export default route({
+    async GET(req, res) {
+        if (req.query.puzzle !== undefined) {
+            const puzzleNumber = parsePastPuzzleNumber(req.query.puzzle);
+            const puzzle = await getPuzzle(getPuzzleDate(puzzleNumber));
+            if (!puzzle) {
+                throw new HttpError(404, `Puzzle #${puzzleNumber} is not in the archive.`);
+            }
+            if (!puzzle.question) {
+                throw new HttpError(410, `Puzzle #${puzzleNumber} is no longer available.`);
+            }
+            sendJson(res, 200, {
+                date: puzzle.date,
+                puzzleNumber: puzzle.puzzleNumber,
+                question: toPublicQuestion(puzzle.question),
+                passage: await getPassageFor(puzzle.question),
+            });
+            return;
+        }
+
+        const puzzle = await getTodaysPuzzle();
+        if (!puzzle?.question) {
+            throw new HttpError(404, 'No question available for today.');
+        }
+        sendJson(res, 200, {
+            date: puzzle.date,
+            puzzleNumber: puzzle.puzzleNumber,
+            nextPuzzleAt: `${addDays(puzzle.date, 1)}T00:00:00.000Z`,
+            question: toPublicQuestion(puzzle.question),
+            passage: await getPassageFor(puzzle.question),
+        });
+    },
+    async POST(req, res) {
+        const body = await readJson(req);
+        const puzzleNumber = parseReleasedPuzzleNumber(body.puzzleNumber);
+        sendJson(res, 200, await submitAnswer(puzzleNumber, body.answer ?? null, {
+            tally: body.tally !== false,
+            address: getClientAddress(req),
+        }));
+    },
+});
@@ -0,0 +1,35 @@
+import { recordAudit } from '../_lib/audit.js';
+import { requireAdmin } from '../_lib/auth.js';
+import { HttpError, readJson, route, sendJson } from '../_lib/http.js';
+import { deletePassage, getPassage, parsePassageId, updatePassage } from '../_lib/passages.js';
+import { listQuestions } from '../_lib/questions.js';
+
+/**
+ * /api/passages/:id
+ * GET    - Returns a single passage.
+ * PUT    - Replaces a passage's title and text. Admin only.
+ * DELETE - Removes a passage no question uses any more. Admin only.
+ */
+export default route({
+    async GET(req, res) {
+        sendJson(res, 200, { passage: await getPassage(parsePassageId(req.query.id)) });
+    },
+    async PUT(req, res) {
+        const { username } = await requireAdmin(req);
+        const passage = await updatePassage(parsePassageId(req.query.id), await readJson(req));
+        await recordAudit(username, 'update passage', null, { passageId: passage.id });
+        sendJson(res, 200, { passage });
+    },
+    async DELETE(req, res) {
+        const { username } = await requireAdmin(req);
+        const id = parsePassageId(req.query.id);
+        const users = (await listQuestions()).filter(q => q.passageId === id).map(q => q.id);
+        if (users.length > 0) {
+            throw new HttpError(409, `Passage ${id} is used by question${users.length === 1 ? '' : 's'} ${users.join(', ')}.`);
+        }
+        await deletePassage(id);
+        await recordAudit(username, 'delete passage', null, { passageId: id });
+        res.statusCode = 204;
+        res.end();
+    },
+});
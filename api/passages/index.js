@@ -0,0 +1,21 @@
+import { recordAudit } from '../_lib/audit.js';
+import { requireAdmin } from '../_lib/auth.js';
+import { readJson, route, sendJson } from '../_lib/http.js';
+import { createPassage, listPassages } from '../_lib/passages.js';
+
+/**
+ * /api/passages
+ * GET  - Lists every reading passage.
+ * POST - Adds a passage. Admin only.
+ */
+export default route({
+    async GET(req, res) {
+        sendJson(res, 200, { passages: await listPassages() });
+    },
+    async POST(req, res) {
+        const { username } = await requireAdmin(req);
+        const passage = await createPassage(await readJson(req));
+        await recordAudit(username, 'create passage', null, { passageId: passage.id });
+        sendJson(res, 201, { passage });
+    },
+});
@@ -0,0 +1,39 @@
+import { recordAudit } from '../_lib/audit.js';
+import { getSession, requireAdmin } from '../_lib/auth.js';
+import { readJson, route, sendJson } from '../_lib/http.js';
+import { deleteQuestion, getQuestion, parseQuestionId, toPublicQuestion, updateQuestion } from '../_lib/questions.js';
+import { deleteErrata, listErrata } from '../_lib/reports.js';
+import { unscheduleQuestion } from '../_lib/schedule.js';
+
+/**
+ * /api/questions/:id
+ * GET    - Returns a single question, with its answer and errata only for admins.
+ * PUT    - Replaces a question's content in place. Admin only.
+ * DELETE - Removes a question and clears it from upcoming dates. Admin only.
+ */
+export default route({
+    async GET(req, res) {
+        const question = await getQuestion(parseQuestionId(req.query.id));
+        if (await getSession(req)) {
+            sendJson(res, 200, { question, errata: await listErrata(question.id) });
+        } else {
+            sendJson(res, 200, { question: toPublicQuestion(question) });
+        }
+    },
+    async PUT(req, res) {
+        const { username } = await requireAdmin(req);
+        const question = await updateQuestion(parseQuestionId(req.query.id), await readJson(req));
+        await recordAudit(username, 'update', question.id);
+        sendJson(res, 200, { question });
+    },
+    async DELETE(req, res) {
+        const { username } = await requireAdmin(req);
+        const id = parseQuestionId(req.query.id);
+        await deleteQuestion(id);
+        await unscheduleQuestion(id);
+        await deleteErrata(id);
+        await recordAudit(username, 'delete', id);
+        res.statusCode = 204;
+        res.end();
+    },
+});
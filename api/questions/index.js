@@ -0,0 +1,31 @@
+import { recordAudit } from '../_lib/audit.js';
+import { getSession, requireAdmin } from '../_lib/auth.js';
+import { readJson, route, sendJson } from '../_lib/http.js';
+import { createQuestion, listQuestions, toPublicQuestion } from '../_lib/questions.js';
+import { getUpcomingDailyIds } from '../_lib/schedule.js';
+
+/**
+ * /api/questions
+ * GET  - Lists the question bank in display order. Answers and explanations
+ *        are only included for admins. Everyone else gets the practice bank:
+ *        today's puzzle and scheduled puzzles are left out until they have
+ *        been played, as they cannot be checked before then.
+ * POST - Adds a question to the end of the bank. Admin only.
+ */
+export default route({
+    async GET(req, res) {
+        const questions = await listQuestions();
+        if (await getSession(req)) {
+            sendJson(res, 200, { questions });
+            return;
+        }
+        const upcoming = await getUpcomingDailyIds();
+        sendJson(res, 200, { questions: questions.filter(q => !upcoming.has(q.id)).map(toPublicQuestion) });
+    },
+    async POST(req, res) {
+        const { username } = await requireAdmin(req);
+        const question = await createQuestion(await readJson(req));
+        await recordAudit(username, 'create', question.id);
+        sendJson(res, 201, { question });
+    },
+});
@@ -0,0 +1,18 @@
+import { recordAudit } from '../_lib/audit.js';
+import { requireAdmin } from '../_lib/auth.js';
+import { readJson, route, sendJson } from '../_lib/http.js';
+import { reorderQuestions } from '../_lib/questions.js';
+
+/**
+ * /api/questions/reorder
+ * PUT - Puts the bank into the order given by `{ ids: [...] }`. Admin only.
+ */
+export default route({
+    async PUT(req, res) {
+        const { username } = await requireAdmin(req);
+        const { ids } = await readJson(req);
+        const questions = await reorderQuestions(ids);
+        await recordAudit(username, 'reorder', null);
+        sendJson(res, 200, { questions });
+    },
+});
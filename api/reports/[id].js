@@ -0,0 +1,20 @@
+import { recordAudit } from '../_lib/audit.js';
+import { requireAdmin } from '../_lib/auth.js';
+import { readJson, route, sendJson } from '../_lib/http.js';
+import { closeReport, parseReportId } from '../_lib/reports.js';
+
+/**
+ * /api/reports/:id
+ * PUT - Closes an open report with `{ status, note, question }`. Resolving it
+ *       saves the corrected `question` and adds to its errata; dismissing it
+ *       leaves the question alone. Admin only.
+ */
+export default route({
+    async PUT(req, res) {
+        const { username } = await requireAdmin(req);
+        const id = parseReportId(req.query.id);
+        const { report, question } = await closeReport(id, await readJson(req), username);
+        await recordAudit(username, report.status === 'resolved' ? 'resolve report' : 'dismiss report', report.questionId, { reportId: id });
+        sendJson(res, 200, { report, question });
+    },
+});
@@ -0,0 +1,25 @@
+import { requireAdmin } from '../_lib/auth.js';
+import { getClientAddress, HttpError, readJson, route, sendJson } from '../_lib/http.js';
+import { createReport, listReports, REPORT_STATUSES } from '../_lib/reports.js';
+
+/**
+ * /api/reports
+ * GET  - Lists problem reports, oldest first, optionally only those with
+ *        `?status=open`, `resolved` or `dismissed`. Admin only.
+ * POST - Reports a problem with a question as `{ questionId, category, text }`.
+ *        Each client can file a few a day.
+ */
+export default route({
+    async GET(req, res) {
+        await requireAdmin(req);
+        const { status } = req.query;
+        if (status !== undefined && !REPORT_STATUSES.includes(status)) {
+            throw new HttpError(400, `Status must be one of ${REPORT_STATUSES.join(', ')}.`);
+        }
+        sendJson(res, 200, { reports: await listReports(status) });
+    },
+    async POST(req, res) {
+        const report = await createReport(await readJson(req), getClientAddress(req));
+        sendJson(res, 201, { report: { id: report.id } });
+    },
+});
@@ -0,0 +1,14 @@
+import { route, sendJson } from './_lib/http.js';
+import { getResults, parseReleasedPuzzleNumber } from './_lib/results.js';
+
+/**
+ * /api/results
+ * GET - With `?puzzle=N`, returns how everyone answered puzzle N as
+ *       `{ puzzleNumber, total, correct, counts }`. Answers are added as they
+ *       are submitted to `/api/daily`.
+ */
+export default route({
+    async GET(req, res) {
+        sendJson(res, 200, await getResults(parseReleasedPuzzleNumber(req.query.puzzle)));
+    },
+});
@@ -0,0 +1,30 @@
+import { getToday } from '../src/dates.js';
+import { recordAudit } from './_lib/audit.js';
+import { requireAdmin } from './_lib/auth.js';
+import { readJson, route, sendJson } from './_lib/http.js';
+import { parseQuestionId } from './_lib/questions.js';
+import { getLaunchDate, listScheduleRange, parseDate, setScheduleEntry } from './_lib/schedule.js';
+
+/**
+ * /api/schedule
+ * GET - Lists each date from `?from` to `?to` with its scheduled question id,
+ *       or null for gaps. Admin only.
+ * PUT - Schedules `{ questionId }` on `{ date }`; a null `questionId` clears
+ *       the date. Admin only.
+ */
+export default route({
+    async GET(req, res) {
+        await requireAdmin(req);
+        const entries = await listScheduleRange(parseDate(req.query.from), parseDate(req.query.to));
+        sendJson(res, 200, { launchDate: getLaunchDate(), today: getToday(), entries });
+    },
+    async PUT(req, res) {
+        const { username } = await requireAdmin(req);
+        const body = await readJson(req);
+        const date = parseDate(body.date);
+        const questionId = body.questionId === null ? null : parseQuestionId(body.questionId);
+        await setScheduleEntry(date, questionId);
+        await recordAudit(username, questionId === null ? 'unschedule' : 'schedule', questionId, { date });
+        sendJson(res, 200, { date, questionId });
+    },
+});
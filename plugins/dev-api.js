@@ -0,0 +1,88 @@
+// =================================================================================
+// DEV API SERVER
+// =================================================================================
+// Serves the Vercel functions in `api/` from the Vite dev server, following the
+// same file-based routing: `api/questions/index.js` answers `/api/questions`,
+// `api/questions/[id].js` answers `/api/questions/7` with `req.query.id = '7'`,
+// and anything starting with an underscore is private.
+import { readdirSync } from 'node:fs';
+import path from 'node:path';
+import { loadEnv } from 'vite';
+
+/**
+ * Builds the route table for every function file under a directory.
+ * @param {string} dir - The `api/` directory.
+ * @returns {Array<Object>} Routes, static ones before dynamic ones.
+ */
+function collectRoutes(dir, prefix = '/api') {
+    const routes = [];
+    for (const entry of readdirSync(dir, { withFileTypes: true })) {
+        if (entry.name.startsWith('_') || entry.name.startsWith('.')) continue;
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            routes.push(...collectRoutes(file, `${prefix}/${entry.name}`));
+            continue;
+        }
+        if (!entry.name.endsWith('.js')) continue;
+        const name = entry.name.slice(0, -3);
+        const segments = (name === 'index' ? prefix : `${prefix}/${name}`).split('/').filter(Boolean);
+        routes.push({ file, segments, dynamic: segments.some(s => s.startsWith('[')) });
+    }
+    return routes.sort((a, b) => a.dynamic - b.dynamic);
+}
+
+function matchRoute(route, segments) {
+    if (route.segments.length !== segments.length) return null;
+    const params = {};
+    for (let i = 0; i < segments.length; i++) {
+        const pattern = route.segments[i];
+        if (pattern.startsWith('[') && pattern.endsWith(']')) {
+            params[pattern.slice(1, -1)] = decodeURIComponent(segments[i]);
+        } else if (pattern !== segments[i]) {
+            return null;
+        }
+    }
+    return params;
+}
+
+/**
+ * Vite plugin that mounts the serverless functions under `/api` in dev.
+ * @param {Object} [options]
+ * @param {string} [options.dir] - The functions directory. Defaults to `api/`.
+ * @returns {Object} The Vite plugin.
+ */
+export default function devApi({ dir = path.resolve('api') } = {}) {
+    return {
+        name: 'oatdle-dev-api',
+        apply: 'serve',
+        configResolved(config) {
+            // Vercel hands functions their environment; in dev it comes from `.env` files.
+            const env = loadEnv(config.mode, config.envDir || config.root, '');
+            for (const [key, value] of Object.entries(env)) {
+                process.env[key] ??= value;
+            }
+        },
+        configureServer(server) {
+            server.middlewares.use(async (req, res, next) => {
+                const url = new URL(req.url, 'http://localhost');
+                if (!url.pathname.startsWith('/api/')) return next();
+
+                // Re-scan on every request so new functions show up without a restart.
+                const segments = url.pathname.split('/').filter(Boolean);
+                for (const route of collectRoutes(dir)) {
+                    const params = matchRoute(route, segments);
+                    if (!params) continue;
+                    try {
+                        const { default: handler } = await server.ssrLoadModule(route.file);
+                        req.query = { ...Object.fromEntries(url.searchParams), ...params };
+                        await handler(req, res);
+                    } catch (error) {
+                        next(error);
+                    }
+                    return;
+                }
+                next();
+            });
+        },
+    };
+}
@@ -0,0 +1,69 @@
+// =================================================================================
+// SERVICE WORKER BUILD
+// =================================================================================
+// Emits `sw.js` from `src/sw.js`, filling in the files the worker precaches:
+// every page and asset in the build plus everything in `public/`. The version
+// is a hash of their contents, so each deploy that changes anything installs a
+// fresh cache.
+import { createHash } from 'node:crypto';
+import { readdirSync, readFileSync } from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Lists the files under a directory, as site paths.
+ * @param {string} dir - The directory.
+ * @returns {Array<string>} E.g. `/icons/icon.svg`.
+ */
+function listPublicFiles(dir, prefix = '') {
+    const files = [];
+    for (const entry of readdirSync(dir, { withFileTypes: true })) {
+        const file = `${prefix}/${entry.name}`;
+        if (entry.isDirectory()) {
+            files.push(...listPublicFiles(path.join(dir, entry.name), file));
+        } else {
+            files.push(file);
+        }
+    }
+    return files;
+}
+
+/**
+ * Vite plugin that builds the service worker.
+ * @param {Object} [options]
+ * @param {string} [options.src] - The worker source. Defaults to `src/sw.js`.
+ * @returns {Object} The Vite plugin.
+ */
+export default function serviceWorker({ src = path.resolve('src/sw.js') } = {}) {
+    let publicDir;
+    return {
+        name: 'oatdle-service-worker',
+        apply: 'build',
+        // Runs after Vite has emitted the HTML pages.
+        enforce: 'post',
+        configResolved(config) {
+            publicDir = config.publicDir;
+        },
+        generateBundle(options, bundle) {
+            const hash = createHash('sha256');
+            const files = ['/'];
+            for (const [fileName, output] of Object.entries(bundle).sort(([a], [b]) => a.localeCompare(b))) {
+                if (fileName.endsWith('.map')) continue;
+                files.push(`/${fileName}`);
+                hash.update(fileName).update(output.type === 'chunk' ? output.code : output.source);
+            }
+            for (const file of listPublicFiles(publicDir).sort()) {
+                files.push(file);
+                hash.update(file).update(readFileSync(path.join(publicDir, file)));
+            }
+            const source = readFileSync(src, 'utf8');
+            hash.update(source);
+
+            const manifest = { version: hash.digest('hex').slice(0, 12), files };
+            this.emitFile({
+                type: 'asset',
+                fileName: 'sw.js',
+                source: source.replace('self.__PRECACHE_MANIFEST', JSON.stringify(manifest)),
+            });
+        },
+    };
+}
@@ -0,0 +1,64 @@
+// =================================================================================
+// QUESTION BANK VALIDATION
+// =================================================================================
+// Fails the build when the question bank breaks the schema in
+// `api/_lib/schema.js`, listing every problem, so a bad question never
+// reaches a student. Both banks are checked: the live one in the store, which
+// is what the app serves once an admin has saved a question, and the seed
+// file, which a fresh deployment starts from.
+import { loadEnv } from 'vite';
+import { listPassages } from '../api/_lib/passages.js';
+import { listQuestions } from '../api/_lib/questions.js';
+import { validateBank } from '../api/_lib/schema.js';
+import { readSeed } from '../api/_lib/seed.js';
+
+/**
+ * Lists a bank's problems under a heading.
+ * @param {Object} bank - `{ questions, passages }`.
+ * @param {string} label - What to call it.
+ * @returns {Array<string>} The lines to report; empty if the bank is valid.
+ */
+function describeProblems(bank, label) {
+    const errors = validateBank(bank);
+    if (errors.length === 0) return [];
+    return [
+        `${label} has ${errors.length} problem${errors.length === 1 ? '' : 's'}:`,
+        ...errors.map(error => `  - ${error}`),
+    ];
+}
+
+/**
+ * Vite plugin that validates the question bank at the start of the build.
+ * @returns {Object} The Vite plugin.
+ */
+export default function validateQuestionBank() {
+    return {
+        name: 'oatdle-validate-bank',
+        apply: 'build',
+        configResolved(config) {
+            // The store is picked from the environment, as in `plugins/dev-api.js`.
+            const env = loadEnv(config.mode, config.envDir || config.root, '');
+            for (const [key, value] of Object.entries(env)) {
+                process.env[key] ??= value;
+            }
+        },
+        async buildStart() {
+            let live;
+            let seed;
+            try {
+                const [questions, passages] = await Promise.all([listQuestions(), listPassages()]);
+                live = { questions, passages };
+                seed = await readSeed();
+            } catch (error) {
+                this.error(`Could not read the question bank: ${error.message}`);
+            }
+            const problems = [
+                ...describeProblems(live, 'The question bank'),
+                ...describeProblems(seed, 'data/questions.json'),
+            ];
+            if (problems.length > 0) {
+                this.error(problems.join('\n'));
+            }
+        },
+    };
+}
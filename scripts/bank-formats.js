@@ -0,0 +1,284 @@
+// =================================================================================
+// QUESTION BANK FORMATS
+// =================================================================================
+// Converts questions to and from the formats authors work in:
+// - CSV, one question per row, for spreadsheets. The header row names the
+//   columns, so they can come in any order; each option has a column named
+//   after its letter.
+// - Anki's "Notes in Plain Text" export: tab-separated Front, Back and Tags
+//   columns. Options are listed on the front, the answer and explanation on
+//   the back, and tags such as `subject::General_Chemistry` carry the rest.
+// Imported questions are not validated here; `npm run bank` validates the bank
+// they are merged into.
+import { OPTION_LETTERS } from '../src/questionRules.js';
+
+/**
+ * The CSV columns other than the option letters, in export order. Options go
+ * between `question` and `answer`.
+ */
+export const CSV_COLUMNS = ['id', 'type', 'subject', 'difficulty', 'passageId', 'question', 'answer', 'tolerance', 'explanation'];
+
+// --- Delimited Text ---
+
+/**
+ * Splits delimited text into rows of fields. Fields may be wrapped in double
+ * quotes, inside which separators, line breaks and doubled quotes (`""`) are
+ * taken literally.
+ * @param {string} text - The text.
+ * @param {string} separator - `,` or a tab.
+ * @returns {Array<Array<string>>} The rows, without blank lines.
+ */
+export function parseDelimited(text, separator) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0] !== '') rows.push(row);
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === separator) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n') {
+            endRow();
+        } else if (char !== '\r') {
+            field += char;
+        }
+    }
+    endRow();
+    return rows;
+}
+
+/**
+ * Joins rows of fields into delimited text, quoting fields where needed.
+ * @param {Array<Array<*>>} rows - The rows.
+ * @param {string} separator - `,` or a tab.
+ * @returns {string} The text, ending in a line break.
+ */
+export function formatDelimited(rows, separator) {
+    const quote = (value) => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /["\r\n]/.test(text) || text.includes(separator) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map(row => row.map(quote).join(separator)).join('\n') + '\n';
+}
+
+// --- Fields ---
+
+function formatAnswer(question) {
+    return Array.isArray(question.answer) ? question.answer.join(', ') : String(question.answer ?? '');
+}
+
+/**
+ * Reads an answer written out by hand: a number for numeric questions, a
+ * list of letters for select-all ones and a single letter otherwise.
+ * @param {string} type - The question type.
+ * @param {string} text - The answer as written.
+ * @returns {*} The answer.
+ */
+function parseAnswer(type, text) {
+    const trimmed = text.trim();
+    if (type === 'numeric') return trimmed === '' ? undefined : Number(trimmed);
+    if (type === 'select-all') return trimmed.split(/[\s,;]+/).filter(Boolean).map(letter => letter.toUpperCase());
+    return trimmed.toUpperCase();
+}
+
+function parseOptionalNumber(text) {
+    return text.trim() === '' ? undefined : Number(text);
+}
+
+/**
+ * Builds a question with its fields in the bank's usual order, leaving out
+ * any that are empty.
+ * @param {Object} fields - The question's fields.
+ * @returns {Object} The question.
+ */
+function buildQuestion(fields) {
+    const order = ['id', 'type', 'subject', 'difficulty', 'question', 'options', 'answer', 'tolerance', 'explanation', 'passageId'];
+    const question = {};
+    for (const key of order) {
+        const value = fields[key];
+        if (value === undefined || value === '') continue;
+        question[key] = value;
+    }
+    return question;
+}
+
+// --- CSV ---
+
+/**
+ * Writes questions out as CSV, with one column per option letter in use.
+ * @param {Array<Object>} questions - The questions.
+ * @returns {string} The CSV.
+ */
+export function toCsv(questions) {
+    const optionCount = Math.max(0, ...questions.map(q => Object.keys(q.options || {}).length));
+    const letters = OPTION_LETTERS.slice(0, optionCount);
+    const split = CSV_COLUMNS.indexOf('answer');
+    const columns = [...CSV_COLUMNS.slice(0, split), ...letters, ...CSV_COLUMNS.slice(split)];
+
+    const rows = questions.map(question => columns.map(column => {
+        if (letters.includes(column)) return question.options?.[column] ?? '';
+        if (column === 'answer') return formatAnswer(question);
+        return question[column] ?? '';
+    }));
+    return formatDelimited([columns, ...rows], ',');
+}
+
+/**
+ * Reads questions from CSV with a header row. Rows without an id are new
+ * questions.
+ * @param {string} text - The CSV.
+ * @returns {Array<Object>} The questions.
+ */
+export function fromCsv(text) {
+    const [header, ...rows] = parseDelimited(text, ',');
+    if (!header) return [];
+    const columns = header.map(name => name.trim());
+    const unknown = columns.filter(name => name && !CSV_COLUMNS.includes(name) && !OPTION_LETTERS.includes(name.toUpperCase()));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown CSV columns: ${unknown.join(', ')}. Expected ${CSV_COLUMNS.join(', ')} and option letters.`);
+    }
+
+    return rows.map(row => {
+        const cell = (name) => (row[columns.indexOf(name)] ?? '').trim();
+        const type = cell('type');
+        const options = {};
+        columns.forEach((name, index) => {
+            const letter = name.toUpperCase();
+            if (OPTION_LETTERS.includes(letter) && row[index]?.trim()) options[letter] = row[index].trim();
+        });
+        return buildQuestion({
+            id: parseOptionalNumber(cell('id')),
+            type,
+            subject: cell('subject'),
+            difficulty: cell('difficulty'),
+            question: cell('question'),
+            options: Object.keys(options).length > 0 ? options : undefined,
+            answer: parseAnswer(type || 'choice', cell('answer')),
+            tolerance: parseOptionalNumber(cell('tolerance')),
+            explanation: cell('explanation'),
+            passageId: parseOptionalNumber(cell('passageId')),
+        });
+    });
+}
+
+// --- Anki ---
+
+const ANKI_HEADER = ['#separator:tab', '#html:true', '#tags column:3'];
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\n/g, '<br>');
+}
+
+/**
+ * Turns an Anki field back into plain text: line breaks for `<br>` and block
+ * elements, no other markup, and entities decoded.
+ * @param {string} html - The field.
+ * @returns {string} The text.
+ */
+function htmlToText(html) {
+    return html
+        .replace(/<br\s*\/?>|<\/(div|p|li)>/gi, '\n')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+// Anki tags cannot contain spaces.
+const toTag = (name, value) => `${name}::${String(value).replace(/ /g, '_')}`;
+
+/**
+ * Writes questions out as an Anki plain-text import.
+ * @param {Array<Object>} questions - The questions.
+ * @returns {string} The tab-separated text.
+ */
+export function toAnki(questions) {
+    const rows = questions.map(question => {
+        const options = Object.entries(question.options || {}).map(([letter, text]) => `${letter}. ${text}`);
+        const front = [question.question, ...(options.length > 0 ? ['', ...options] : [])].join('\n');
+        const tolerance = question.tolerance !== undefined ? ` ± ${question.tolerance}` : '';
+        const back = [`Answer: ${formatAnswer(question)}${tolerance}`, '', question.explanation || ''].join('\n');
+        const tags = ['oatdle', toTag('id', question.id), toTag('subject', question.subject), toTag('difficulty', question.difficulty)];
+        if (question.type) tags.push(toTag('type', question.type));
+        if (question.passageId) tags.push(toTag('passage', question.passageId));
+        return [escapeHtml(front), escapeHtml(back).trimEnd(), tags.join(' ')];
+    });
+    return ANKI_HEADER.join('\n') + '\n' + formatDelimited(rows, '\t');
+}
+
+/**
+ * Reads questions from an Anki plain-text export. Notes without an `id::` tag
+ * are new questions. The back's first line may start with `Answer:`; options
+ * are lines on the front such as `B. Energy production` or `B) ...`.
+ * @param {string} text - The export.
+ * @returns {Array<Object>} The questions.
+ */
+export function fromAnki(text) {
+    const lines = text.split(/\r?\n/);
+    const headers = lines.filter(line => line.startsWith('#'));
+    const separator = headers.some(line => /^#separator:(comma|,)/i.test(line)) ? ',' : '\t';
+    const tagsHeader = headers.map(line => line.match(/^#tags column:(\d+)/i)).find(Boolean);
+    const tagsColumn = tagsHeader ? Number(tagsHeader[1]) - 1 : 2;
+    const body = lines.filter(line => !line.startsWith('#')).join('\n');
+
+    return parseDelimited(body, separator).map(row => {
+        const tags = {};
+        (row[tagsColumn] || '').split(/\s+/).forEach(tag => {
+            const [name, ...value] = tag.split('::');
+            if (value.length > 0) tags[name.toLowerCase()] = value.join('::').replace(/_/g, ' ');
+        });
+
+        const stem = [];
+        const options = {};
+        htmlToText(row[0] || '').split('\n').forEach(line => {
+            const option = line.trim().match(/^([A-J])[.)]\s+(.+)$/);
+            if (option) {
+                options[option[1]] = option[2].trim();
+            } else if (Object.keys(options).length === 0) {
+                stem.push(line);
+            }
+        });
+
+        const [answerLine = '', ...explanation] = htmlToText(row[1] || '').split('\n');
+        const [answerText, toleranceText = ''] = answerLine.replace(/^answer:\s*/i, '').split('±');
+        const hasOptions = Object.keys(options).length > 0;
+        const letters = answerText.split(/[\s,;]+/).filter(Boolean);
+        const type = tags.type || (!hasOptions ? 'numeric' : letters.length > 1 ? 'select-all' : '');
+
+        return buildQuestion({
+            id: parseOptionalNumber(tags.id || ''),
+            type,
+            subject: tags.subject,
+            difficulty: tags.difficulty,
+            question: stem.join('\n').trim(),
+            options: hasOptions ? options : undefined,
+            answer: parseAnswer(type || 'choice', answerText),
+            tolerance: parseOptionalNumber(toleranceText),
+            explanation: explanation.join('\n').trim(),
+            passageId: parseOptionalNumber(tags.passage || ''),
+        });
+    });
+}
@@ -0,0 +1,101 @@
+// Checks, imports into and exports the live question bank, so authors can
+// work in a spreadsheet or in Anki instead of editing JSON by hand.
+// Usage:
+//   npm run bank -- validate
+//   npm run bank -- import <file> [--format csv|anki]
+//   npm run bank -- export <file> [--format csv|anki]
+// The format follows the file extension: `.csv` is CSV, anything else is Anki.
+//
+// The bank is the one the app serves, read from the same store as `vite dev`:
+// Vercel KV when `KV_REST_API_URL` and `KV_REST_API_TOKEN` are set (in the
+// environment or `.env`), otherwise the files under `OATDLE_DATA_DIR` or
+// `.data/`. Until an admin first saves a question that is the seed file
+// `data/questions.json`, which `validate` checks as well.
+//
+// Imported questions with an id replace the question with that id; the rest
+// are added to the end of the bank with new ids. Nothing is written unless the
+// resulting bank is valid.
+import { readFileSync, writeFileSync } from 'node:fs';
+import path from 'node:path';
+import { loadEnv } from 'vite';
+import { listPassages } from '../api/_lib/passages.js';
+import { importQuestions, listQuestions } from '../api/_lib/questions.js';
+import { validateBank } from '../api/_lib/schema.js';
+import { readSeed } from '../api/_lib/seed.js';
+import { fromAnki, fromCsv, toAnki, toCsv } from './bank-formats.js';
+
+const USAGE = 'Usage: npm run bank -- validate | import <file> | export <file> [--format csv|anki]';
+
+/**
+ * Reads the command line.
+ * @param {Array<string>} args - The arguments after the script name.
+ * @returns {Object} `{ command, file, format }`.
+ */
+function parseArgs(args) {
+    let format = null;
+    const positional = [];
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--format') {
+            format = args[++i];
+        } else {
+            positional.push(args[i]);
+        }
+    }
+    const [command, file] = positional;
+    format ||= file && path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'anki';
+    return { command, file, format };
+}
+
+function fail(message) {
+    console.error(message);
+    process.exit(1);
+}
+
+/**
+ * Prints a list of problems, if any.
+ * @param {Array<string>} problems - The problems, e.g. from `validateBank`.
+ * @param {string} label - What they were found in.
+ * @returns {boolean} Whether there were none.
+ */
+function reportProblems(problems, label) {
+    if (problems.length === 0) return true;
+    console.error(`${label} has ${problems.length} problem${problems.length === 1 ? '' : 's'}:`);
+    problems.forEach(problem => console.error(`  - ${problem}`));
+    return false;
+}
+
+const { command, file, format } = parseArgs(process.argv.slice(2));
+if (!['validate', 'import', 'export'].includes(command) || (command !== 'validate' && !file)) {
+    fail(USAGE);
+}
+if (format !== 'csv' && format !== 'anki') {
+    fail(`Unknown format: ${format}. Use csv or anki.`);
+}
+
+for (const [key, value] of Object.entries(loadEnv('development', process.cwd(), ''))) {
+    process.env[key] ??= value;
+}
+const [questions, passages] = await Promise.all([listQuestions(), listPassages()]);
+
+if (command === 'validate') {
+    const liveValid = reportProblems(validateBank({ questions, passages }), 'The question bank');
+    const seedValid = reportProblems(validateBank(await readSeed()), 'data/questions.json');
+    if (!liveValid || !seedValid) process.exit(1);
+    console.log(`The question bank is valid: ${questions.length} questions, ${passages.length} passages.`);
+} else if (command === 'export') {
+    writeFileSync(file, format === 'csv' ? toCsv(questions) : toAnki(questions));
+    console.log(`Exported ${questions.length} questions to ${file}.`);
+} else {
+    let imported;
+    try {
+        const text = readFileSync(file, 'utf8');
+        imported = format === 'csv' ? fromCsv(text) : fromAnki(text);
+    } catch (error) {
+        fail(`Could not read ${file}: ${error.message}`);
+    }
+    const { problems, added, replaced } = await importQuestions(imported);
+    if (!reportProblems(problems, `The question bank after importing ${file}`)) {
+        fail('Nothing was written.');
+    }
+    console.log(`Imported ${imported.length} questions from ${file}: ${added} added, ${replaced} replaced.`);
+}
@@ -0,0 +1,11 @@
+// Prints a password hash for the OATDLE_ADMINS configuration.
+// Usage: npm run hash-password -- <password>
+import { hashPassword } from '../api/_lib/auth.js';
+
+const password = process.argv[2];
+if (!password) {
+    console.error('Usage: npm run hash-password -- <password>');
+    process.exit(1);
+}
+
+console.log(await hashPassword(password));
@@ -0,0 +1,116 @@
+// =================================================================================
+// ACCESSIBILITY
+// =================================================================================
+// Screen reader announcements and modal dialogs that keep keyboard focus inside
+// them while open.
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), '
+    + 'textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+let announcer = null;
+let activeModal = null;
+let returnFocusTo = null;
+
+// --- Announcements ---
+
+/**
+ * Reads a message out to screen reader users without moving focus, e.g. the
+ * result of an answer.
+ * @param {string} message - The message.
+ */
+export function announce(message) {
+    if (!announcer) {
+        announcer = document.createElement('div');
+        announcer.className = 'visually-hidden';
+        announcer.setAttribute('role', 'status');
+        announcer.setAttribute('aria-live', 'polite');
+        document.body.appendChild(announcer);
+    }
+    // Cleared first so that the same message twice in a row is still read out.
+    announcer.textContent = '';
+    setTimeout(() => {
+        announcer.textContent = message;
+    }, 100);
+}
+
+// --- Modals ---
+
+function getFocusable(element) {
+    return Array.from(element.querySelectorAll(FOCUSABLE))
+        .filter(control => control.getClientRects().length > 0);
+}
+
+/**
+ * Shows a modal and moves focus into it. Focus returns to where it was when
+ * the modal closes.
+ * @param {HTMLElement} modal - The `.modal` element.
+ */
+export function openModal(modal) {
+    if (activeModal === modal) return;
+    if (activeModal) {
+        activeModal.style.display = 'none';
+    } else {
+        returnFocusTo = document.activeElement;
+    }
+    activeModal = modal;
+    modal.style.display = 'block';
+    const content = modal.querySelector('.modal-content');
+    (getFocusable(content)[0] || content).focus();
+}
+
+/**
+ * Hides a modal, returning focus to the element that opened it.
+ * @param {HTMLElement} modal - The `.modal` element.
+ */
+export function closeModal(modal) {
+    modal.style.display = 'none';
+    if (activeModal !== modal) return;
+    activeModal = null;
+    returnFocusTo?.focus();
+    returnFocusTo = null;
+}
+
+function handleModalKeydown(event) {
+    if (!activeModal) return;
+    if (event.key === 'Escape') {
+        event.preventDefault();
+        closeModal(activeModal);
+        return;
+    }
+    if (event.key !== 'Tab') return;
+
+    // Wraps Tab and Shift+Tab around the modal's controls.
+    const controls = getFocusable(activeModal);
+    if (controls.length === 0) {
+        event.preventDefault();
+        return;
+    }
+    const first = controls[0];
+    const last = controls[controls.length - 1];
+    const outside = !activeModal.contains(document.activeElement);
+    if (event.shiftKey && (document.activeElement === first || outside)) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && (document.activeElement === last || outside)) {
+        event.preventDefault();
+        first.focus();
+    }
+}
+
+/**
+ * Sets up every `.modal` on the page: close buttons, closing on a click on the
+ * backdrop or on Escape, and keeping Tab inside the open modal.
+ */
+export function initModals() {
+    document.querySelectorAll('.modal').forEach(modal => {
+        modal.addEventListener('click', (event) => {
+            if (event.target === modal) {
+                closeModal(modal);
+            }
+        });
+        modal.querySelectorAll('.close-button').forEach(button => {
+            button.addEventListener('click', () => closeModal(modal));
+        });
+    });
+    document.addEventListener('keydown', handleModalKeydown);
+}
@@ -0,0 +1,346 @@
+// =================================================================================
+// API CLIENT
+// =================================================================================
+
+const SESSION_KEY = 'oatdleAdminSession';
+
+/**
+ * Returns the admin session saved for this tab, if it has not expired.
+ * @returns {Object|null} `{ token, username, expiresAt }`.
+ */
+export function getAdminSession() {
+    const session = JSON.parse(sessionStorage.getItem(SESSION_KEY) || 'null');
+    if (session && session.expiresAt > Date.now()) {
+        return session;
+    }
+    sessionStorage.removeItem(SESSION_KEY);
+    return null;
+}
+
+/**
+ * Sends a request to the OATdle API and parses the JSON response.
+ * @param {string} path - The API path, e.g. `/api/questions`.
+ * @param {Object} [options] - `fetch` options; `body` is serialized as JSON.
+ * @returns {Promise<Object|null>} The response body, or null for empty responses.
+ */
+async function request(path, { body, ...options } = {}) {
+    const headers = { ...options.headers };
+    const session = getAdminSession();
+    if (session) {
+        headers.Authorization = `Bearer ${session.token}`;
+    }
+    if (body !== undefined) {
+        headers['Content-Type'] = 'application/json';
+    }
+    const res = await fetch(path, {
+        ...options,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const data = res.status === 204 ? null : await res.json().catch(() => null);
+    if (!res.ok) {
+        if (res.status === 401) {
+            sessionStorage.removeItem(SESSION_KEY);
+        }
+        const error = new Error(data?.error || `HTTP error! status: ${res.status}`);
+        error.status = res.status;
+        throw error;
+    }
+    return data;
+}
+
+// --- Admin Sessions ---
+
+/**
+ * Logs in as an admin and saves the session for this tab.
+ * @param {string} username - The admin username.
+ * @param {string} password - The admin password.
+ * @returns {Promise<Object>} The session.
+ */
+export async function login(username, password) {
+    sessionStorage.removeItem(SESSION_KEY);
+    const session = await request('/api/auth/login', { method: 'POST', body: { username, password } });
+    sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    return session;
+}
+
+/**
+ * Ends the saved admin session.
+ */
+export async function logout() {
+    try {
+        await request('/api/auth/logout', { method: 'POST' });
+    } finally {
+        sessionStorage.removeItem(SESSION_KEY);
+    }
+}
+
+/**
+ * Confirms with the server that the saved admin session is still valid.
+ * @returns {Promise<Object|null>} The session, or null if there is none.
+ */
+export async function verifyAdminSession() {
+    if (!getAdminSession()) return null;
+    try {
+        await request('/api/auth/session');
+        return getAdminSession();
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Fetches recent admin changes.
+ * @returns {Promise<Array>} Audit entries, newest first.
+ */
+export async function listAuditLog() {
+    const data = await request('/api/audit');
+    return data.entries;
+}
+
+// --- Question Bank ---
+
+/**
+ * Fetches the question bank. Answers and explanations are only included when
+ * an admin is logged in.
+ * @returns {Promise<Array>} The questions, in display order.
+ */
+export async function listQuestions() {
+    const data = await request('/api/questions');
+    return data.questions;
+}
+
+/**
+ * Adds a question to the bank.
+ * @param {Object} question - The question without an id.
+ * @returns {Promise<Object>} The stored question.
+ */
+export async function createQuestion(question) {
+    const data = await request('/api/questions', { method: 'POST', body: question });
+    return data.question;
+}
+
+/**
+ * Replaces an existing question's content.
+ * @param {number} id - The question id.
+ * @param {Object} question - The new content.
+ * @returns {Promise<Object>} The stored question.
+ */
+export async function updateQuestion(id, question) {
+    const data = await request(`/api/questions/${id}`, { method: 'PUT', body: question });
+    return data.question;
+}
+
+/**
+ * Removes a question from the bank.
+ * @param {number} id - The question id.
+ */
+export async function deleteQuestion(id) {
+    await request(`/api/questions/${id}`, { method: 'DELETE' });
+}
+
+/**
+ * Saves a new order for the bank.
+ * @param {Array<number>} ids - Every question id, in the desired order.
+ * @returns {Promise<Array>} The reordered questions.
+ */
+export async function reorderQuestions(ids) {
+    const data = await request('/api/questions/reorder', { method: 'PUT', body: { ids } });
+    return data.questions;
+}
+
+// --- Passages ---
+
+/**
+ * Fetches every reading passage.
+ * @returns {Promise<Array>} `{ id, title, text }` for each passage.
+ */
+export async function listPassages() {
+    const data = await request('/api/passages');
+    return data.passages;
+}
+
+/**
+ * Adds a reading passage.
+ * @param {Object} passage - `{ title, text }`.
+ * @returns {Promise<Object>} The stored passage.
+ */
+export async function createPassage(passage) {
+    const data = await request('/api/passages', { method: 'POST', body: passage });
+    return data.passage;
+}
+
+/**
+ * Replaces a reading passage's title and text.
+ * @param {number} id - The passage id.
+ * @param {Object} passage - `{ title, text }`.
+ * @returns {Promise<Object>} The stored passage.
+ */
+export async function updatePassage(id, passage) {
+    const data = await request(`/api/passages/${id}`, { method: 'PUT', body: passage });
+    return data.passage;
+}
+
+/**
+ * Removes a reading passage. Fails while any question still uses it.
+ * @param {number} id - The passage id.
+ */
+export async function deletePassage(id) {
+    await request(`/api/passages/${id}`, { method: 'DELETE' });
+}
+
+// --- Daily Puzzle ---
+
+/**
+ * Fetches today's puzzle. The question comes without its answer or explanation.
+ * @returns {Promise<Object>} `{ date, puzzleNumber, nextPuzzleAt, question,
+ * passage }`; `passage` is null unless the question belongs to one.
+ */
+export async function getDailyPuzzle() {
+    return request('/api/daily');
+}
+
+/**
+ * Fetches a past puzzle from the archive, without its answer or explanation.
+ * @param {number} puzzleNumber - The puzzle number.
+ * @returns {Promise<Object>} `{ date, puzzleNumber, question, passage }`.
+ */
+export async function getArchivePuzzle(puzzleNumber) {
+    return request(`/api/daily?puzzle=${puzzleNumber}`);
+}
+
+/**
+ * Submits an answer to today's or a past puzzle. Today's answer is only ever
+ * given out this way.
+ * @param {number} puzzleNumber - The puzzle number.
+ * @param {*} answer - The player's answer, or null if time ran out.
+ * @param {Object} [options]
+ * @param {boolean} [options.tally] - Whether the answer counts towards
+ * everyone's results; false for archive plays.
+ * @returns {Promise<Object>} `{ correct, answer, explanation }`, where `answer`
+ * is the correct answer.
+ */
+export async function submitDailyAnswer(puzzleNumber, answer, { tally = true } = {}) {
+    return request('/api/daily', { method: 'POST', body: { puzzleNumber, answer, tally } });
+}
+
+/**
+ * Lists every past puzzle, newest first.
+ * @returns {Promise<Array>} `{ puzzleNumber, date, questionId, subject, difficulty }`
+ * for each puzzle.
+ */
+export async function listArchive() {
+    const data = await request('/api/archive');
+    return data.puzzles;
+}
+
+/**
+ * Checks an answer to a practice question once the player has submitted it.
+ * @param {number} questionId - The question id.
+ * @param {string} answer - The chosen option letter.
+ * @returns {Promise<Object>} `{ correct, answer, explanation }`, where `answer`
+ * is the correct option.
+ */
+export async function checkAnswer(questionId, answer) {
+    return request('/api/check', { method: 'POST', body: { questionId, answer } });
+}
+
+/**
+ * Grades a set of answers at once.
+ * @param {Array<Object>} answers - `{ questionId, answer }` pairs; `answer` may
+ * be null for questions left blank.
+ * @returns {Promise<Array>} `{ questionId, correct, answer, explanation }` for
+ * each pair, in the same order.
+ */
+export async function checkAnswers(answers) {
+    const data = await request('/api/check', { method: 'POST', body: { answers } });
+    return data.results;
+}
+
+// --- Answer Distribution ---
+
+/**
+ * Fetches how everyone answered a puzzle.
+ * @param {number} puzzleNumber - The puzzle number.
+ * @returns {Promise<Object>} `{ puzzleNumber, total, correct, counts }`, where
+ * `counts` holds how many players picked each option letter.
+ */
+export async function getResults(puzzleNumber) {
+    return request(`/api/results?puzzle=${puzzleNumber}`);
+}
+
+/**
+ * Fetches how each question has played as a daily puzzle. Admin only.
+ * @returns {Promise<Object>} `{ minResponses, questions }`; see
+ * `api/_lib/analytics.js` for the shape of each question's entry.
+ */
+export async function getQuestionAnalytics() {
+    return request('/api/analytics');
+}
+
+// --- Problem Reports ---
+
+/**
+ * Reports a problem with a question.
+ * @param {number} questionId - The question id.
+ * @param {string} category - `wrong-answer`, `typo`, `ambiguous` or `other`.
+ * @param {string} text - What is wrong, in the player's words.
+ */
+export async function reportProblem(questionId, category, text) {
+    await request('/api/reports', { method: 'POST', body: { questionId, category, text } });
+}
+
+/**
+ * Fetches problem reports, oldest first. Admin only.
+ * @param {string} [status] - Only fetch reports in this state, e.g. `open`.
+ * @returns {Promise<Array>} The reports.
+ */
+export async function listReports(status) {
+    const data = await request(status ? `/api/reports?status=${status}` : '/api/reports');
+    return data.reports;
+}
+
+/**
+ * Closes an open report. Admin only.
+ * @param {number} id - The report id.
+ * @param {Object} resolution - `{ status, note, question }`, where `status`
+ * is `resolved` or `dismissed` and `question` is the corrected question when
+ * resolving.
+ * @returns {Promise<Object>} `{ report, question }`; `question` is null for a
+ * dismissed report.
+ */
+export async function closeReport(id, resolution) {
+    return request(`/api/reports/${id}`, { method: 'PUT', body: resolution });
+}
+
+/**
+ * Fetches the corrections made to a question in response to reports. Admin only.
+ * @param {number} questionId - The question id.
+ * @returns {Promise<Array>} Errata entries, oldest first.
+ */
+export async function listErrata(questionId) {
+    const data = await request(`/api/questions/${questionId}`);
+    return data.errata || [];
+}
+
+// --- Schedule ---
+
+/**
+ * Fetches the schedule for a range of dates.
+ * @param {string} from - The first date, as `YYYY-MM-DD`.
+ * @param {string} to - The last date, as `YYYY-MM-DD`.
+ * @returns {Promise<Object>} `{ launchDate, today, entries }`, with one
+ * `{ date, puzzleNumber, questionId }` entry per date.
+ */
+export async function getSchedule(from, to) {
+    return request(`/api/schedule?from=${from}&to=${to}`);
+}
+
+/**
+ * Schedules a question on a date, or clears the date.
+ * @param {string} date - The date, as `YYYY-MM-DD`.
+ * @param {number|null} questionId - The question to show, or null for none.
+ */
+export async function setScheduleEntry(date, questionId) {
+    await request('/api/schedule', { method: 'PUT', body: { date, questionId } });
+}
@@ -0,0 +1,154 @@
+import * as api from './api.js';
+import { MAX_CHALLENGE_QUESTIONS } from './challenge.js';
+import { initChallengeShare, resetChallengeShare } from './challengeShare.js';
+import * as history from './history.js';
+import { registerServiceWorker } from './offline.js';
+import { applySettings } from './settings.js';
+
+// =================================================================================
+// DOM & UI ELEMENTS
+// =================================================================================
+const archiveSummary = document.getElementById('archive-summary');
+const archiveList = document.getElementById('archive-list');
+const challengeButton = document.getElementById('challenge-button');
+const challengeStatus = document.getElementById('challenge-status');
+
+// =================================================================================
+// INITIALIZATION
+// =================================================================================
+
+/**
+ * Initializes the archive page.
+ */
+async function init() {
+    applySettings();
+    registerServiceWorker();
+    initChallengeShare(getChallenge);
+    let puzzles;
+    try {
+        puzzles = await api.listArchive();
+    } catch (error) {
+        console.error("Could not fetch the archive:", error);
+        archiveSummary.textContent = "Failed to load the archive. Please try refreshing the page.";
+        return;
+    }
+    renderArchive(puzzles);
+}
+
+init();
+
+// =================================================================================
+// RENDERING
+// =================================================================================
+
+/**
+ * Works out how the player did on a puzzle.
+ * @param {Object|undefined} dailyEntry - The result from the day it was released.
+ * @param {Object|undefined} archiveState - The saved archive play.
+ * @returns {Object} `{ status, label }`, where status is `won`, `lost` or `missed`.
+ */
+function getPuzzleStatus(dailyEntry, archiveState) {
+    if (dailyEntry) {
+        return dailyEntry.correct
+            ? { status: 'won', label: 'Won' }
+            : { status: 'lost', label: 'Lost' };
+    }
+    if (archiveState && archiveState.gameFinished && archiveState.result) {
+        return archiveState.result.correct
+            ? { status: 'won', label: 'Won (archive)' }
+            : { status: 'lost', label: 'Lost (archive)' };
+    }
+    return { status: 'missed', label: 'Missed' };
+}
+
+/**
+ * Lists every past puzzle with the player's result. Puzzles whose question
+ * has been deleted stay listed, but cannot be played or sent.
+ * @param {Array} puzzles - The archive, newest first.
+ */
+function renderArchive(puzzles) {
+    const dailyByNumber = new Map(history.loadDailyHistory().map(e => [e.puzzleNumber, e]));
+    const archiveResults = history.loadArchiveResults();
+
+    let missed = 0;
+    archiveList.innerHTML = '';
+    puzzles.forEach(puzzle => {
+        const available = puzzle.questionId !== null;
+        const { status, label } = getPuzzleStatus(dailyByNumber.get(puzzle.puzzleNumber), archiveResults[puzzle.puzzleNumber]);
+        if (status === 'missed' && available) missed++;
+
+        const item = document.createElement('li');
+        item.className = available ? `archive-item ${status}` : 'archive-item unavailable';
+
+        const pick = document.createElement('input');
+        pick.type = 'checkbox';
+        pick.className = 'challenge-pick';
+        pick.value = puzzle.questionId;
+        pick.dataset.result = status;
+        pick.disabled = !available;
+        pick.setAttribute('aria-label', `Add puzzle #${puzzle.puzzleNumber} to a challenge`);
+
+        const link = document.createElement(available ? 'a' : 'span');
+        if (available) {
+            link.href = `/?puzzle=${puzzle.puzzleNumber}`;
+        }
+        link.textContent = `#${puzzle.puzzleNumber}`;
+
+        const date = document.createElement('span');
+        date.className = 'archive-date';
+        date.textContent = new Date(puzzle.date).toLocaleDateString(undefined, { dateStyle: 'medium', timeZone: 'UTC' });
+
+        const details = document.createElement('span');
+        details.className = 'archive-details';
+        details.textContent = available ? `${puzzle.subject} · ${puzzle.difficulty}` : 'No longer available';
+
+        const result = document.createElement('span');
+        result.className = 'archive-status';
+        result.textContent = label;
+
+        item.append(pick, link, date, details, result);
+        archiveList.appendChild(item);
+    });
+
+    archiveSummary.textContent = puzzles.length === 0
+        ? "There are no past puzzles yet."
+        : `${puzzles.length} past puzzles, ${missed} not played yet.`;
+}
+
+// =================================================================================
+// CHALLENGES
+// =================================================================================
+
+function getPickedPuzzles() {
+    return Array.from(archiveList.querySelectorAll('.challenge-pick:checked'));
+}
+
+/**
+ * Builds a challenge from the ticked puzzles, with the player's result on
+ * each. A question that was the puzzle more than once is only sent once.
+ * @returns {Object|null} The challenge, or null if nothing is ticked.
+ */
+function getChallenge() {
+    const picks = getPickedPuzzles();
+    const questionIds = [];
+    const results = [];
+    picks.forEach(pick => {
+        const id = Number(pick.value);
+        if (questionIds.includes(id)) return;
+        questionIds.push(id);
+        results.push(pick.dataset.result === 'missed' ? null : pick.dataset.result === 'won');
+    });
+    return questionIds.length > 0 ? { questionIds, results } : null;
+}
+
+function updateChallengeButton() {
+    const count = getPickedPuzzles().length;
+    resetChallengeShare();
+    challengeButton.disabled = count === 0 || count > MAX_CHALLENGE_QUESTIONS;
+    challengeButton.textContent = count > 0 ? `Challenge a Friend (${count})` : 'Challenge a Friend';
+    if (count > MAX_CHALLENGE_QUESTIONS) {
+        challengeStatus.textContent = `A challenge can hold up to ${MAX_CHALLENGE_QUESTIONS} puzzles.`;
+    }
+}
+
+archiveList.addEventListener('change', updateChallengeButton);
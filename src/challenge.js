@@ -0,0 +1,135 @@
+// =================================================================================
+// CHALLENGES
+// =================================================================================
+// A challenge is a set of questions sent to a friend as a link, with no server
+// involved: the question ids, and optionally how the sender did on each, go in
+// the query string of `practice.html`, e.g.
+//
+//     /practice.html?challenge=12,40,7&score=10-
+//
+// `score` has one character per question: `1` right, `0` wrong and `-` not
+// answered. The friend plays the set as a practice session and ends with the
+// two results side by side, and can send their own score back the same way.
+import { shareText } from './share.js';
+
+/**
+ * The most questions a challenge link may carry.
+ */
+export const MAX_CHALLENGE_QUESTIONS = 50;
+
+const SCORE_MARKS = { 1: true, 0: false, '-': null };
+
+/**
+ * Builds the query string of a challenge link.
+ * @param {Object} challenge - `{ questionIds, results }`. `results` lists the
+ * sender's result on each question (true, false, or null if not answered),
+ * or is left out to send the questions alone.
+ * @returns {string} The query string, without the leading `?`.
+ */
+export function encodeChallenge({ questionIds, results }) {
+    const params = new URLSearchParams({ challenge: questionIds.join(',') });
+    if (results) {
+        params.set('score', results.map(result => (result === null ? '-' : result ? '1' : '0')).join(''));
+    }
+    return params.toString().replace(/%2C/g, ',');
+}
+
+/**
+ * Reads a challenge from a query string. A score that does not match the
+ * questions is dropped rather than the whole challenge.
+ * @param {string} search - The query string, e.g. `location.search`.
+ * @returns {Object|null} `{ questionIds, results }`, with `results` null if no
+ * score was sent, or null if there is no valid challenge.
+ */
+export function decodeChallenge(search) {
+    const params = new URLSearchParams(search);
+    const ids = params.get('challenge')?.split(',').map(Number);
+    if (!ids || ids.length === 0 || ids.length > MAX_CHALLENGE_QUESTIONS) return null;
+    if (ids.some(id => !Number.isInteger(id) || id < 1) || new Set(ids).size !== ids.length) return null;
+
+    const score = params.get('score') || '';
+    const valid = score.length === ids.length && [...score].every(mark => Object.hasOwn(SCORE_MARKS, mark));
+    return { questionIds: ids, results: valid ? [...score].map(mark => SCORE_MARKS[mark]) : null };
+}
+
+/**
+ * Builds the full link to a challenge.
+ * @param {Object} challenge - As for `encodeChallenge`.
+ * @param {string} origin - The site's origin, e.g. `location.origin`.
+ * @returns {string} The URL.
+ */
+export function getChallengeUrl(challenge, origin) {
+    return `${origin}/practice.html?${encodeChallenge(challenge)}`;
+}
+
+/**
+ * Counts the right answers in a list of results.
+ * @param {Array<boolean|null>} results - The results.
+ * @returns {number}
+ */
+function countCorrect(results) {
+    return results.filter(result => result === true).length;
+}
+
+/**
+ * Builds the text sent with a challenge link.
+ * @param {Object} challenge - As for `encodeChallenge`.
+ * @param {string} origin - The site's origin.
+ * @returns {string} The text.
+ */
+export function buildChallengeText(challenge, origin) {
+    const count = challenge.questionIds.length;
+    const intro = challenge.results
+        ? `I got ${countCorrect(challenge.results)}/${count} on this OATdle challenge. Can you beat me?`
+        : `Try this OATdle challenge: ${count} question${count === 1 ? '' : 's'}.`;
+    return `${intro}\n${getChallengeUrl(challenge, origin)}`;
+}
+
+/**
+ * Sends a challenge through the share sheet or the clipboard.
+ * @param {Object} challenge - As for `encodeChallenge`.
+ * @param {string} origin - The site's origin.
+ * @returns {Promise<string>} How it went, as from `shareText`.
+ */
+export function shareChallenge(challenge, origin) {
+    return shareText(buildChallengeText(challenge, origin));
+}
+
+/**
+ * Puts a finished challenge session side by side with the sender's results.
+ * Questions no longer in the bank are left out of both scores.
+ * @param {Object} challenge - The challenge, as from `decodeChallenge`.
+ * @param {Object} session - The practice session it was played in.
+ * @returns {Object} `{ rows, yours, theirs, total }`: a row of
+ * `{ question, yours, theirs }` for each question, each result true, false or
+ * null if not answered, plus both scores (`theirs` is null if no score was
+ * sent) and the number of questions compared.
+ */
+export function compareChallenge(challenge, session) {
+    const rows = session.questions.map(question => {
+        const index = challenge.questionIds.indexOf(question.id);
+        return {
+            question,
+            yours: session.answers[question.id]?.result.correct ?? null,
+            theirs: challenge.results ? challenge.results[index] : null,
+        };
+    });
+    return {
+        rows,
+        yours: countCorrect(rows.map(row => row.yours)),
+        theirs: challenge.results ? countCorrect(rows.map(row => row.theirs)) : null,
+        total: rows.length,
+    };
+}
+
+/**
+ * Lists a session's results in a form a challenge can carry.
+ * @param {Object} session - The practice session.
+ * @returns {Object} `{ questionIds, results }`.
+ */
+export function getSessionChallenge(session) {
+    return {
+        questionIds: session.questions.map(q => q.id),
+        results: session.questions.map(q => session.answers[q.id]?.result.correct ?? null),
+    };
+}
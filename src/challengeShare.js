@@ -0,0 +1,54 @@
+// =================================================================================
+// CHALLENGE BUTTON
+// =================================================================================
+// The "Challenge a Friend" controls on the practice summary and the archive.
+// The link itself is built in `src/challenge.js`.
+import { announce } from './a11y.js';
+import { getChallengeUrl, shareChallenge } from './challenge.js';
+
+const SHARE_MESSAGES = {
+    shared: 'Challenge sent!',
+    copied: 'Challenge link copied!',
+    cancelled: '',
+    manual: 'Copy this link to send your challenge:',
+};
+
+/**
+ * Wires up `#challenge-button` and the controls around it on a page.
+ * @param {Function} getChallenge - Returns the challenge to send,
+ * `{ questionIds, results }`, or null if there is nothing to send yet.
+ */
+export function initChallengeShare(getChallenge) {
+    const challengeButton = document.getElementById('challenge-button');
+    const includeScore = document.getElementById('challenge-include-score');
+    const status = document.getElementById('challenge-status');
+    const linkInput = document.getElementById('challenge-link');
+
+    challengeButton.addEventListener('click', async () => {
+        const challenge = getChallenge();
+        if (!challenge) return;
+        if (!includeScore.checked) {
+            challenge.results = null;
+        }
+
+        const method = await shareChallenge(challenge, window.location.origin);
+        status.textContent = SHARE_MESSAGES[method];
+        if (status.textContent) {
+            announce(status.textContent);
+        }
+        linkInput.style.display = method === 'manual' ? 'block' : 'none';
+        if (method === 'manual') {
+            linkInput.value = getChallengeUrl(challenge, window.location.origin);
+            linkInput.focus();
+            linkInput.select();
+        }
+    });
+}
+
+/**
+ * Clears the result of the last send, e.g. when the challenge changes.
+ */
+export function resetChallengeShare() {
+    document.getElementById('challenge-status').textContent = '';
+    document.getElementById('challenge-link').style.display = 'none';
+}
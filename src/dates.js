@@ -0,0 +1,46 @@
+// =================================================================================
+// DATES
+// =================================================================================
+// Puzzle dates are `YYYY-MM-DD` strings in UTC, so they sort and compare as
+// text and every player rolls over to the next puzzle at the same moment.
+// Shared by the pages and the API.
+
+const ONE_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * The date of a moment.
+ * @param {Date|number} time - The moment, as a `Date` or a timestamp.
+ * @returns {string} The date, as `YYYY-MM-DD`.
+ */
+export function toDate(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Today's puzzle date. Puzzles roll over at UTC midnight.
+ * @param {Date} [now] - The current time.
+ * @returns {string} The date, as `YYYY-MM-DD`.
+ */
+export function getToday(now = new Date()) {
+    return toDate(now);
+}
+
+/**
+ * Moves a date forwards or backwards by whole days.
+ * @param {string} date - The date, as `YYYY-MM-DD`.
+ * @param {number} days - How many days to add.
+ * @returns {string} The new date.
+ */
+export function addDays(date, days) {
+    return toDate(Date.parse(date) + days * ONE_DAY);
+}
+
+/**
+ * Counts the days from one date to another.
+ * @param {string} from - The earlier date, as `YYYY-MM-DD`.
+ * @param {string} to - The later date.
+ * @returns {number} The number of days; negative if `to` comes first.
+ */
+export function daysBetween(from, to) {
+    return Math.round((Date.parse(to) - Date.parse(from)) / ONE_DAY);
+}
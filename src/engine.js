@@ -0,0 +1,494 @@
+// =================================================================================
+// GAME ENGINE
+// =================================================================================
+// The rules of the daily puzzle and of practice sessions, with no DOM access:
+// which questions to ask, checking answers, how game and session state moves
+// along, and what gets saved. The pages draw the state this module keeps (see
+// `src/questionView.js`). Everything saved goes through `src/storage.js`, so
+// the engine runs under `npm test` without a browser.
+import * as api from './api.js';
+import * as history from './history.js';
+import { isOfflineError, queueAnswer } from './offline.js';
+import { groupByPassage } from './passage.js';
+import * as review from './review.js';
+import { HARD_MODE_SECONDS } from './settings.js';
+import { readJson, writeJson } from './storage.js';
+
+const GAME_STATE_KEY = 'oatdleGameState';
+
+// --- Questions ---
+
+/**
+ * Fetches the question bank for practice, along with the reading passages its
+ * questions refer to.
+ * @returns {Promise<Object>} `{ questions, passagesById }`.
+ */
+export async function loadQuestionBank() {
+    const [questions, passages] = await Promise.all([api.listQuestions(), api.listPassages()]);
+    return { questions, passagesById: new Map(passages.map(p => [p.id, p])) };
+}
+
+/**
+ * Finds the questions in the chosen subjects and difficulties.
+ * @param {Array} questions - The question bank.
+ * @param {Array<string>} subjects - The subjects to include.
+ * @param {Array<string>} difficulties - The difficulties to include.
+ * @returns {Array} The matching questions, in bank order.
+ */
+export function filterQuestions(questions, subjects, difficulties) {
+    return questions.filter(q => subjects.includes(q.subject) && difficulties.includes(q.difficulty));
+}
+
+/**
+ * Shuffles an array in place (Fisher–Yates).
+ * @param {Array} items - The array to shuffle.
+ * @param {Function} [random] - Returns a number from 0 up to 1.
+ * @returns {Array} The same array.
+ */
+export function shuffle(items, random = Math.random) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+/**
+ * Picks the questions for a practice session. Questions sharing a passage
+ * stay together so the passage only has to be read once.
+ * @param {Array} questions - The candidate questions, in bank order.
+ * @param {Object} [options]
+ * @param {boolean} [options.shuffled] - Whether to shuffle the order.
+ * @param {number} [options.count] - The most questions to pick; all if not positive.
+ * @param {Function} [options.random] - Returns a number from 0 up to 1.
+ * @returns {Array} The session's questions, in order.
+ */
+export function pickSessionQuestions(questions, { shuffled = false, count = 0, random = Math.random } = {}) {
+    const groups = groupByPassage(questions);
+    if (shuffled) {
+        shuffle(groups, random);
+    }
+    const selected = groups.flat();
+    return count > 0 ? selected.slice(0, count) : selected;
+}
+
+/**
+ * Finds the review cards due whose questions are still in the bank.
+ * @param {Array} questions - The question bank.
+ * @param {string} [today] - Today's date, as `YYYY-MM-DD`.
+ * @returns {Array} The due questions, most overdue first.
+ */
+export function getDueQuestions(questions, today) {
+    const byId = new Map(questions.map(q => [q.id, q]));
+    return review.getDueQuestionIds(today).map(id => byId.get(id)).filter(Boolean);
+}
+
+// --- Answers ---
+
+/**
+ * Checks an answer, telling a dropped connection apart from the server
+ * turning the answer down.
+ * @param {number} questionId - The question id.
+ * @param {*} answer - The answer, or null if time ran out.
+ * @param {Object} [options]
+ * @param {Function} [options.check] - Checks `(questionId, answer)` and
+ * resolves to `{ correct, answer, explanation }`. Defaults to the server's
+ * practice check; daily puzzles pass `submitToPuzzle(puzzle)`.
+ * @param {Function} [options.isOffline] - Whether an error means the network is down.
+ * @returns {Promise<Object>} `{ result }` once checked, `{ offline: true }` if
+ * the answer should be queued, or `{ error }` if it could not be checked.
+ */
+export async function evaluateAnswer(questionId, answer, { check = api.checkAnswer, isOffline = isOfflineError } = {}) {
+    try {
+        return { result: await check(questionId, answer) };
+    } catch (error) {
+        return isOffline(error) ? { offline: true } : { error };
+    }
+}
+
+/**
+ * Grades answers as a submission to a daily or archive puzzle, the only way
+ * the server gives out the answer to today's puzzle. Only daily plays count
+ * towards everyone's results.
+ * @param {Object} puzzle - The puzzle: `{ puzzleNumber }`.
+ * @param {boolean} archive - Whether it is an archive play.
+ * @returns {Function} A `check` for `evaluateAnswer`.
+ */
+export function submitToPuzzle(puzzle, archive) {
+    return (questionId, answer) => api.submitDailyAnswer(puzzle.puzzleNumber, answer, { tally: !archive });
+}
+
+// --- Daily Game ---
+
+/**
+ * Creates the state of a puzzle not yet played.
+ * @param {number} [puzzleNumber] - The puzzle number, if known.
+ * @returns {Object} The game state. Once played it also holds `puzzleDate`,
+ * `puzzleNumber`, `questionId`, `subject`, `difficulty`, `startedTs`,
+ * `hardMode`, `timedOut`, `queued` and the server's `result`.
+ */
+export function createGameState(puzzleNumber) {
+    const state = { gameFinished: false, lastPlayedTs: null, lastPlayedAnswer: null };
+    if (puzzleNumber !== undefined) {
+        state.puzzleNumber = puzzleNumber;
+    }
+    return state;
+}
+
+/**
+ * Loads the saved daily game if it belongs to the given puzzle; a game from
+ * an earlier day gives way to a fresh one.
+ * @param {string} puzzleDate - Today's puzzle date, as `YYYY-MM-DD`.
+ * @param {number} [now] - The current time, in milliseconds.
+ * @returns {Object} The game state.
+ */
+export function loadDailyGame(puzzleDate, now = Date.now()) {
+    const saved = readJson(GAME_STATE_KEY, null);
+    if (!saved) return createGameState();
+    // Games saved before puzzles had dates rolled over at local midnight.
+    const isToday = saved.puzzleDate
+        ? saved.puzzleDate === puzzleDate
+        : new Date(saved.lastPlayedTs).toDateString() === new Date(now).toDateString();
+    return isToday ? saved : createGameState();
+}
+
+/**
+ * Loads an archive puzzle's state: the result from the day it was released
+ * if it was played then, otherwise any earlier archive play.
+ * @param {number} puzzleNumber - The puzzle number.
+ * @returns {Object} The game state.
+ */
+export function loadArchiveGame(puzzleNumber) {
+    const dailyEntry = history.loadDailyHistory().find(e => e.puzzleNumber === puzzleNumber);
+    if (dailyEntry) {
+        return {
+            gameFinished: true,
+            lastPlayedTs: null,
+            lastPlayedAnswer: dailyEntry.answer,
+            puzzleNumber,
+            questionId: dailyEntry.questionId,
+            result: null,
+            playedAsDaily: true,
+            timeTaken: dailyEntry.timeTaken,
+            hardMode: dailyEntry.hardMode,
+            timedOut: dailyEntry.timedOut,
+        };
+    }
+    return history.loadArchiveResults()[puzzleNumber] || createGameState(puzzleNumber);
+}
+
+/**
+ * Saves a game in progress.
+ * @param {Object} state - The game state.
+ * @param {boolean} archive - Whether it is an archive play.
+ */
+export function saveGame(state, archive) {
+    if (archive) {
+        history.saveArchiveResult(state.puzzleNumber, state);
+    } else {
+        writeJson(GAME_STATE_KEY, state);
+    }
+}
+
+/**
+ * Notes when the player first saw the puzzle, so the time they took can be
+ * logged. Survives reloads so refreshing does not reset the clock. Whether the
+ * puzzle is played in hard mode is fixed at this point too.
+ * @param {Object} state - The game state.
+ * @param {Object} puzzle - The puzzle: `{ date, puzzleNumber }`.
+ * @param {Object} options - `{ archive, hardMode, now }`.
+ */
+export function startGame(state, puzzle, { archive, hardMode, now = Date.now() }) {
+    if (state.startedTs) return;
+    state.startedTs = now;
+    state.puzzleDate = puzzle.date;
+    state.puzzleNumber = puzzle.puzzleNumber;
+    state.hardMode = hardMode;
+    saveGame(state, archive);
+}
+
+/**
+ * Whether the puzzle can no longer be answered: it is finished, or its answer
+ * is waiting to be checked.
+ * @param {Object} state - The game state.
+ * @returns {boolean}
+ */
+export function isGameLocked(state) {
+    return Boolean(state.gameFinished || state.queued);
+}
+
+/**
+ * When time runs out on a hard mode puzzle. The deadline is worked out from
+ * when the puzzle was first shown, so reloading does not reset it.
+ * @param {Object} state - The game state.
+ * @returns {number} The deadline, in milliseconds.
+ */
+export function getHardModeDeadline(state) {
+    return state.startedTs + HARD_MODE_SECONDS * 1000;
+}
+
+/**
+ * Whether a hard mode puzzle has run out of time.
+ * @param {Object} state - The game state.
+ * @param {number} [now] - The current time, in milliseconds.
+ * @returns {boolean}
+ */
+export function isPastHardModeDeadline(state, now = Date.now()) {
+    return Boolean(state.hardMode) && now >= getHardModeDeadline(state);
+}
+
+/**
+ * Notes the player's answer in the game state, before it is checked.
+ * @param {Object} state - The game state.
+ * @param {Object} puzzle - The puzzle: `{ date, puzzleNumber }`.
+ * @param {Object} question - The puzzle's question.
+ * @param {*} answer - The player's answer, or null if time ran out.
+ * @param {number} [now] - The current time, in milliseconds.
+ */
+export function noteAnswer(state, puzzle, question, answer, now = Date.now()) {
+    state.lastPlayedTs = now;
+    state.lastPlayedAnswer = answer;
+    state.puzzleDate = puzzle.date;
+    state.puzzleNumber = puzzle.puzzleNumber;
+    state.questionId = question.id;
+    state.subject = question.subject;
+    state.difficulty = question.difficulty;
+}
+
+/**
+ * Ends the game with the server's verdict, then saves and logs it.
+ * @param {Object} state - The game state, with the answer noted.
+ * @param {Object} result - `{ correct, answer, explanation }`.
+ * @param {boolean} archive - Whether it is an archive play.
+ */
+export function finishGame(state, result, archive) {
+    delete state.queued;
+    state.gameFinished = true;
+    state.result = result;
+    saveFinishedGame(state, archive);
+}
+
+/**
+ * Saves and logs a finished game. Games answered offline may only be checked
+ * once the puzzle is no longer on screen, or even a day later.
+ * @param {Object} state - The finished game state, including its result.
+ * @param {boolean} archive - Whether the game was an archive play.
+ */
+export function saveFinishedGame(state, archive) {
+    // Archive plays are kept separately and never count towards the daily stats.
+    if (archive) {
+        history.saveArchiveResult(state.puzzleNumber, state);
+    } else {
+        history.recordDailyResult({
+            date: state.puzzleDate,
+            puzzleNumber: state.puzzleNumber,
+            questionId: state.questionId,
+            subject: state.subject,
+            difficulty: state.difficulty,
+            answer: state.lastPlayedAnswer,
+            correctAnswer: state.result.answer,
+            correct: state.result.correct,
+            timeTaken: state.lastPlayedTs - (state.startedTs || state.lastPlayedTs),
+            hardMode: Boolean(state.hardMode),
+            timedOut: Boolean(state.timedOut),
+        });
+        // Only the latest day's game is kept, so a late check must not overwrite it.
+        const saved = readJson(GAME_STATE_KEY, null);
+        if (!(saved?.puzzleDate > state.puzzleDate)) {
+            writeJson(GAME_STATE_KEY, state);
+        }
+    }
+    if (!state.result.correct) {
+        review.addMissedQuestion(state.questionId);
+    }
+}
+
+/**
+ * Saves an answer given while offline, to be checked once the network is back.
+ * @param {Object} state - The game state.
+ * @param {Object} puzzle - The puzzle: `{ date, puzzleNumber }`.
+ * @param {Object} question - The puzzle's question.
+ * @param {*} answer - The player's answer, or null if time ran out.
+ * @param {boolean} archive - Whether it is an archive play.
+ */
+export function queueGame(state, puzzle, question, answer, archive) {
+    noteAnswer(state, puzzle, question, answer);
+    state.queued = true;
+    saveGame(state, archive);
+    queueAnswer('daily', question.id, answer, { archive, state });
+}
+
+/**
+ * Unlocks a game whose queued answer the server turned down, so the puzzle
+ * can be answered again. A daily game that has since given way to a later
+ * day's is left alone.
+ * @param {Object} state - The game state saved with the queued answer.
+ * @param {boolean} archive - Whether it is an archive play.
+ * @returns {Object|null} The unlocked game state, or null if nothing was waiting.
+ */
+export function dropQueuedGame(state, archive) {
+    const saved = archive ? history.loadArchiveResults()[state.puzzleNumber] : readJson(GAME_STATE_KEY, null);
+    if (!saved?.queued || saved.puzzleNumber !== state.puzzleNumber) return null;
+    delete saved.queued;
+    saved.lastPlayedTs = null;
+    saved.lastPlayedAnswer = null;
+    saveGame(saved, archive);
+    return saved;
+}
+
+/**
+ * Fetches the result of a finished game saved before results were kept on the
+ * device, e.g. an old daily game or one played on the day it was released.
+ * @param {Object} state - The finished game state.
+ * @param {Object} puzzle - The puzzle: `{ puzzleNumber, question }`.
+ * @param {boolean} archive - Whether it is an archive play.
+ * @param {Function} [submit] - Submits `(puzzleNumber, answer, options)` to
+ * the puzzle. Defaults to the server.
+ * @returns {Promise<Object>} The result. Throws if it could not be fetched.
+ */
+export async function restoreResult(state, puzzle, archive, submit = api.submitDailyAnswer) {
+    if (state.result) return state.result;
+    // The answer was counted when it was first given.
+    state.result = await submit(puzzle.puzzleNumber, state.lastPlayedAnswer, { tally: false });
+    state.questionId = puzzle.question.id;
+    if (!state.playedAsDaily) {
+        saveGame(state, archive);
+    }
+    return state.result;
+}
+
+// --- Practice Sessions ---
+
+/**
+ * Starts a practice session.
+ * @param {Array} questions - The session's questions, in order.
+ * @param {boolean} isReview - Whether answers move review cards between boxes.
+ * @param {Object|null} [challenge] - The challenge link the session was
+ * started from, if any (see `src/challenge.js`).
+ * @returns {Object} The session.
+ */
+export function createSession(questions, isReview, challenge = null) {
+    return {
+        questions,
+        index: 0,
+        isReview,
+        challenge,
+        // Answers keyed by question id: `{ answer, result }`.
+        answers: {},
+        // Answers given offline and not yet checked, keyed by question id.
+        queued: {},
+    };
+}
+
+/**
+ * Whether a question in the session has been answered, checked or not.
+ * @param {Object} session - The session.
+ * @param {Object} question - The question.
+ * @returns {boolean}
+ */
+export function isAnswered(session, question) {
+    return Boolean(session.answers[question.id]) || Object.hasOwn(session.queued, question.id);
+}
+
+/**
+ * Logs a checked practice answer and moves its review card.
+ * @param {Object} question - The question: `{ id, subject, difficulty }`.
+ * @param {*} answer - The player's answer.
+ * @param {Object} result - The server's verdict.
+ * @param {boolean} isReview - Whether the answer was given in a review session.
+ */
+export function recordPracticeAnswer(question, answer, result, isReview) {
+    history.recordPracticeResult({
+        questionId: question.id,
+        subject: question.subject,
+        difficulty: question.difficulty,
+        answer,
+        correct: result.correct,
+    });
+    if (isReview) {
+        review.recordReview(question.id, result.correct);
+    } else if (!result.correct) {
+        review.addMissedQuestion(question.id);
+    }
+}
+
+/**
+ * Records a checked answer in the session and logs it.
+ * @param {Object} session - The session.
+ * @param {Object} question - The question answered.
+ * @param {*} answer - The player's answer.
+ * @param {Object} result - The server's verdict.
+ */
+export function answerQuestion(session, question, answer, result) {
+    delete session.queued[question.id];
+    session.answers[question.id] = { answer, result };
+    recordPracticeAnswer(question, answer, result, session.isReview);
+}
+
+/**
+ * Saves an answer given offline, to be checked once the network is back.
+ * @param {Object} session - The session.
+ * @param {Object} question - The question answered.
+ * @param {*} answer - The player's answer.
+ */
+export function queueQuestion(session, question, answer) {
+    session.queued[question.id] = answer;
+    queueAnswer('practice', question.id, answer, {
+        subject: question.subject,
+        difficulty: question.difficulty,
+        isReview: session.isReview,
+    });
+}
+
+/**
+ * Records the result of an answer that was queued in the session, once it has
+ * been checked. The answer is logged separately, as it may belong to a session
+ * that has since ended.
+ * @param {Object} session - The session.
+ * @param {number} questionId - The question id.
+ * @param {*} answer - The player's answer.
+ * @param {Object} result - The server's verdict.
+ * @returns {boolean} Whether the answer was waiting in this session.
+ */
+export function resolveQueuedAnswer(session, questionId, answer, result) {
+    if (!Object.hasOwn(session.queued, questionId)) return false;
+    delete session.queued[questionId];
+    session.answers[questionId] = { answer, result };
+    return true;
+}
+
+/**
+ * Forgets an answer that was queued in the session but turned down by the
+ * server, so the question can be answered again.
+ * @param {Object} session - The session.
+ * @param {number} questionId - The question id.
+ * @returns {boolean} Whether the answer was waiting in this session.
+ */
+export function dropQueuedAnswer(session, questionId) {
+    if (!Object.hasOwn(session.queued, questionId)) return false;
+    delete session.queued[questionId];
+    return true;
+}
+
+/**
+ * Sums up a session so far.
+ * @param {Object} session - The session.
+ * @returns {Object} `{ answered, missed, correct, waiting, skipped,
+ * percentage }`: the checked and missed questions, in session order, and
+ * counts of right answers, answers waiting to be checked and questions
+ * skipped.
+ */
+export function getSessionSummary(session) {
+    const answered = session.questions.filter(q => session.answers[q.id]);
+    const missed = answered.filter(q => !session.answers[q.id].result.correct);
+    const correct = answered.length - missed.length;
+    const waiting = Object.keys(session.queued).length;
+    return {
+        answered,
+        missed,
+        correct,
+        waiting,
+        skipped: session.questions.length - answered.length - waiting,
+        percentage: answered.length > 0 ? Math.round((correct / answered.length) * 100) : 0,
+    };
+}
@@ -0,0 +1,218 @@
+// =================================================================================
+// PLAY HISTORY (LOCAL STORAGE)
+// =================================================================================
+// Daily plays and archive plays are kept apart so that catching up on missed
+// puzzles never counts towards the daily statistics. The daily statistics are
+// not stored at all: they are worked out from the daily log whenever needed.
+
+import { addDays, getToday, toDate } from './dates.js';
+import { getStorage, readJson, writeJson } from './storage.js';
+import { DIFFICULTIES, SUBJECTS } from './subjects.js';
+
+const DAILY_HISTORY_KEY = 'oatdleHistory';
+const ARCHIVE_KEY = 'oatdleArchive';
+const PRACTICE_HISTORY_KEY = 'oatdlePracticeHistory';
+const MIN_ANSWERS_FOR_WEAKEST = 3;
+const LEGACY_STATS_KEY = 'oatdleLegacyStats';
+const VERSION_KEY = 'oatdleHistoryVersion';
+const HISTORY_VERSION = 2;
+
+// --- Migration ---
+
+/**
+ * Moves data saved by older versions into the current format. Older versions
+ * kept running totals in `oatdleStats` with no log behind them; those totals
+ * are frozen as a baseline that the log is added to, so nobody loses their
+ * numbers. Safe to call on every page load.
+ */
+export function migrateLegacyData() {
+    const storage = getStorage();
+    if (Number(storage.getItem(VERSION_KEY)) >= HISTORY_VERSION) return;
+
+    const stats = readJson('oatdleStats', null);
+    if (stats) {
+        const history = loadDailyHistory();
+        const gameState = readJson('oatdleGameState', null);
+        const playedDates = history.map(e => e.date);
+        if (gameState && gameState.gameFinished) {
+            // Games saved before puzzles had dates were for the puzzle of the
+            // UTC day they were played on, like the dates in the daily log.
+            playedDates.push(gameState.puzzleDate || toDate(gameState.lastPlayedTs));
+        }
+        const legacy = {
+            gamesPlayed: stats.gamesPlayed || 0,
+            wins: stats.wins || 0,
+            currentStreak: stats.currentStreak || 0,
+            maxStreak: stats.maxStreak || 0,
+            // Everything played up to this date is already in the totals above.
+            // Old totals came without dates, so with no finished game to go by
+            // the streak is taken to run up to yesterday: playing today carries
+            // it on instead of losing it.
+            lastPlayedDate: playedDates.sort().pop() || addDays(getToday(), -1),
+        };
+        writeJson(LEGACY_STATS_KEY, legacy);
+        storage.removeItem('oatdleStats');
+    }
+    storage.setItem(VERSION_KEY, String(HISTORY_VERSION));
+}
+
+// --- Daily Log ---
+
+/**
+ * Loads the log of daily puzzles played on the day they were released.
+ * @returns {Array} Entries of `{ date, puzzleNumber, questionId, subject,
+ * difficulty, answer, correctAnswer, correct, timeTaken, hardMode, timedOut }`,
+ * oldest first. `timeTaken` is in milliseconds; `timedOut` marks hard mode
+ * puzzles lost to the clock, with a null `answer`.
+ */
+export function loadDailyHistory() {
+    return readJson(DAILY_HISTORY_KEY, []);
+}
+
+/**
+ * Adds a daily result to the log, replacing any earlier entry for the same puzzle.
+ * @param {Object} entry - `{ date, puzzleNumber, questionId, subject,
+ * difficulty, answer, correctAnswer, correct, timeTaken, hardMode, timedOut }`.
+ */
+export function recordDailyResult(entry) {
+    const history = loadDailyHistory().filter(e => e.puzzleNumber !== entry.puzzleNumber);
+    history.push(entry);
+    history.sort((a, b) => a.puzzleNumber - b.puzzleNumber);
+    writeJson(DAILY_HISTORY_KEY, history);
+}
+
+/**
+ * Works out the daily statistics from the log. A streak is a run of wins on
+ * consecutive calendar days; a loss or a day without a play ends it. Today
+ * not being played yet does not end the current streak.
+ * @param {string} [today] - Today's puzzle date, as `YYYY-MM-DD`.
+ * @returns {Object} `{ gamesPlayed, wins, currentStreak, maxStreak }`.
+ */
+export function getStats(today = getToday()) {
+    const legacy = readJson(LEGACY_STATS_KEY, null);
+    const cutoff = legacy?.lastPlayedDate || '';
+    const entries = loadDailyHistory().filter(e => e.date > cutoff);
+    const byDate = new Map(entries.map(e => [e.date, e]));
+
+    // Longest run of wins; a run that starts the day after the legacy totals
+    // end carries on the streak those totals had.
+    let maxStreak = legacy?.maxStreak || 0;
+    let run = 0;
+    let previousDate = cutoff;
+    for (const entry of entries) {
+        const continues = previousDate && entry.date === addDays(previousDate, 1);
+        if (!entry.correct) {
+            run = 0;
+        } else if (continues) {
+            run = (run === 0 && previousDate === cutoff ? legacy?.currentStreak || 0 : run) + 1;
+        } else {
+            run = 1;
+        }
+        maxStreak = Math.max(maxStreak, run);
+        previousDate = entry.date;
+    }
+
+    let day = byDate.has(today) ? today : addDays(today, -1);
+    let currentStreak = 0;
+    while (byDate.get(day)?.correct) {
+        currentStreak++;
+        day = addDays(day, -1);
+    }
+    // The legacy streak carries on if it ended where the walk stopped, or
+    // today, when the walk starts from yesterday with nothing after the cutoff.
+    if (legacy && (day === cutoff || cutoff === today)) {
+        currentStreak += legacy.currentStreak;
+    }
+
+    return {
+        gamesPlayed: (legacy?.gamesPlayed || 0) + entries.length,
+        wins: (legacy?.wins || 0) + entries.filter(e => e.correct).length,
+        currentStreak,
+        maxStreak: Math.max(maxStreak, currentStreak),
+    };
+}
+
+// --- Archive ---
+
+/**
+ * Loads the games played from the archive.
+ * @returns {Object<number, Object>} Saved game states keyed by puzzle number.
+ */
+export function loadArchiveResults() {
+    return readJson(ARCHIVE_KEY, {});
+}
+
+/**
+ * Saves the game state of an archive play.
+ * @param {number} puzzleNumber - The puzzle number.
+ * @param {Object} state - The game state, as saved for the daily puzzle.
+ */
+export function saveArchiveResult(puzzleNumber, state) {
+    const results = loadArchiveResults();
+    results[puzzleNumber] = state;
+    writeJson(ARCHIVE_KEY, results);
+}
+
+// --- Practice ---
+
+/**
+ * Loads the log of questions answered in practice mode.
+ * @returns {Array} Entries of `{ ts, questionId, subject, difficulty, answer,
+ * correct }`, oldest first.
+ */
+export function loadPracticeHistory() {
+    return readJson(PRACTICE_HISTORY_KEY, []);
+}
+
+/**
+ * Adds a practice answer to the log.
+ * @param {Object} entry - `{ questionId, subject, difficulty, answer, correct }`.
+ */
+export function recordPracticeResult(entry) {
+    const history = loadPracticeHistory();
+    history.push({ ts: Date.now(), ...entry });
+    writeJson(PRACTICE_HISTORY_KEY, history);
+}
+
+// --- Breakdowns ---
+
+function tally(entries, field, labels) {
+    const totals = Object.fromEntries(labels.map(label => [label, { answered: 0, correct: 0 }]));
+    for (const entry of entries) {
+        const label = entry[field];
+        if (!label) continue;
+        totals[label] ??= { answered: 0, correct: 0 };
+        totals[label].answered++;
+        if (entry.correct) totals[label].correct++;
+    }
+    return totals;
+}
+
+/**
+ * Breaks every answer on this device down by subject and difficulty: daily
+ * puzzles, archive plays and practice mode alike.
+ * @returns {Object} `{ bySubject, byDifficulty, weakestSubject }`. The first two
+ * map each label to `{ answered, correct }`; `weakestSubject` is the subject
+ * with the lowest accuracy among those answered often enough, or null.
+ */
+export function getBreakdown() {
+    const archiveEntries = Object.values(loadArchiveResults())
+        .filter(state => state.gameFinished && state.result)
+        .map(state => ({ subject: state.subject, difficulty: state.difficulty, correct: state.result.correct }));
+    const entries = [...loadDailyHistory(), ...archiveEntries, ...loadPracticeHistory()];
+
+    const bySubject = tally(entries, 'subject', SUBJECTS);
+    const byDifficulty = tally(entries, 'difficulty', DIFFICULTIES);
+
+    let weakestSubject = null;
+    let weakestAccuracy = Infinity;
+    for (const [subject, { answered, correct }] of Object.entries(bySubject)) {
+        if (answered < MIN_ANSWERS_FOR_WEAKEST) continue;
+        const accuracy = correct / answered;
+        if (accuracy < weakestAccuracy) {
+            weakestSubject = subject;
+            weakestAccuracy = accuracy;
+        }
+    }
+    return { bySubject, byDifficulty, weakestSubject };
+}
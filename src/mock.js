@@ -0,0 +1,553 @@
+import * as api from './api.js';
+import * as engine from './engine.js';
+import { registerServiceWorker } from './offline.js';
+import { showPassage } from './passage.js';
+import { renderRichText } from './richtext.js';
+import { applySettings } from './settings.js';
+import { readJson, writeJson } from './storage.js';
+import {
+    formatAnswer,
+    getAnswerShortcut,
+    getOptionMark,
+    hasAnswer,
+    isPracticeOnly,
+    readAnswer,
+    renderAnswerInput,
+    showAnswer,
+} from './questionTypes.js';
+
+// =================================================================================
+// DOM & UI ELEMENTS
+// =================================================================================
+
+// Screens
+const setupScreen = document.getElementById('mock-setup');
+const examScreen = document.getElementById('mock-exam');
+const reviewScreen = document.getElementById('mock-review');
+
+// Setup Elements
+const sectionList = document.getElementById('section-list');
+const mockHistoryTable = document.getElementById('mock-history');
+const mockHistoryEmpty = document.getElementById('mock-history-empty');
+
+// Exam Elements
+const sectionName = document.getElementById('mock-section-name');
+const timerEl = document.getElementById('mock-timer');
+const questionNavigator = document.getElementById('mock-navigator');
+const questionSubject = document.getElementById('question-subject');
+const questionNumber = document.getElementById('question-number');
+const questionStem = document.getElementById('question-stem');
+const optionsContainer = document.getElementById('options-container');
+const prevButton = document.getElementById('mock-prev-button');
+const flagButton = document.getElementById('mock-flag-button');
+const nextButton = document.getElementById('mock-next-button');
+const submitButton = document.getElementById('mock-submit-button');
+
+// Review Elements
+const reviewScore = document.getElementById('review-score');
+const reviewError = document.getElementById('review-error');
+const reviewRetryButton = document.getElementById('review-retry-button');
+const reviewList = document.getElementById('review-list');
+const reviewDoneButton = document.getElementById('review-done-button');
+
+// =================================================================================
+// SECTIONS
+// =================================================================================
+
+/**
+ * The OAT's sections with their real question counts and time limits.
+ */
+const SECTIONS = {
+    'natural-sciences': {
+        name: 'Survey of the Natural Sciences',
+        minutes: 90,
+        parts: [
+            { subject: 'Biology', count: 40 },
+            { subject: 'General Chemistry', count: 30 },
+            { subject: 'Organic Chemistry', count: 30 },
+        ],
+    },
+    'reading-comprehension': {
+        name: 'Reading Comprehension',
+        minutes: 60,
+        parts: [{ subject: 'Reading Comprehension', count: 50 }],
+    },
+    'physics': {
+        name: 'Physics',
+        minutes: 50,
+        parts: [{ subject: 'Physics', count: 40 }],
+    },
+    'quantitative-reasoning': {
+        name: 'Quantitative Reasoning',
+        minutes: 45,
+        parts: [{ subject: 'Quantitative Reasoning', count: 40 }],
+    },
+};
+
+const MOCK_RESULTS_KEY = 'oatdleMockResults';
+
+// =================================================================================
+// GAME STATE & DATA
+// =================================================================================
+let questions = [];
+let passagesById = new Map();
+let exam = null;
+let lastResults = null;
+let timerInterval = null;
+
+// =================================================================================
+// INITIALIZATION
+// =================================================================================
+
+/**
+ * Initializes the application.
+ */
+async function init() {
+    applySettings();
+    registerServiceWorker();
+    try {
+        const bank = await engine.loadQuestionBank();
+        questions = bank.questions;
+        passagesById = bank.passagesById;
+    } catch (error) {
+        console.error("Could not fetch questions:", error);
+        sectionList.textContent = "Failed to load questions. Please try refreshing the page.";
+    }
+    showSetup();
+}
+
+init();
+
+// =================================================================================
+// SETUP
+// =================================================================================
+
+function showScreen(screen) {
+    for (const s of [setupScreen, examScreen, reviewScreen]) {
+        s.style.display = s === screen ? 'block' : 'none';
+    }
+    if (screen !== examScreen) {
+        showPassage(null);
+    }
+}
+
+/**
+ * Picks a section's questions from the bank. When the bank has fewer questions
+ * than the real exam, the section is shortened and its time limit scaled down
+ * to match, so the pace per question stays the same. Questions sharing a
+ * passage are kept together.
+ * @param {Object} section - One of `SECTIONS`.
+ * @returns {Object} `{ questions, timeLimitMs, shortened }`.
+ */
+function buildSection(section) {
+    const picked = [];
+    let realCount = 0;
+    for (const part of section.parts) {
+        realCount += part.count;
+        const eligible = questions.filter(q => q.subject === part.subject && !isPracticeOnly(q));
+        picked.push(...engine.pickSessionQuestions(eligible, { shuffled: true, count: part.count }));
+    }
+    const fullTimeMs = section.minutes * 60 * 1000;
+    const shortened = picked.length < realCount;
+    const timeLimitMs = shortened
+        ? Math.max(60 * 1000, Math.round((fullTimeMs * picked.length) / realCount / 60000) * 60000)
+        : fullTimeMs;
+    return { questions: picked, timeLimitMs, shortened };
+}
+
+function formatDuration(ms) {
+    const totalSeconds = Math.max(0, Math.round(ms / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Lists the sections, with how many questions and minutes each would have.
+ */
+function renderSections() {
+    sectionList.innerHTML = '';
+    for (const [id, section] of Object.entries(SECTIONS)) {
+        const { questions: picked, timeLimitMs, shortened } = buildSection(section);
+        const realCount = section.parts.reduce((sum, part) => sum + part.count, 0);
+
+        const card = document.createElement('div');
+        card.className = 'section-card';
+
+        const title = document.createElement('h3');
+        title.textContent = section.name;
+
+        const details = document.createElement('p');
+        details.textContent = shortened
+            ? `Shortened: ${picked.length} of ${realCount} questions in ${timeLimitMs / 60000} minutes (the bank is too small for the full ${section.minutes}).`
+            : `${realCount} questions in ${section.minutes} minutes.`;
+
+        const start = document.createElement('button');
+        start.textContent = 'Start';
+        start.dataset.section = id;
+        start.disabled = picked.length === 0;
+
+        card.append(title, details, start);
+        sectionList.appendChild(card);
+    }
+}
+
+function loadMockResults() {
+    return readJson(MOCK_RESULTS_KEY, []);
+}
+
+function saveMockResult(result) {
+    const results = loadMockResults();
+    results.push(result);
+    writeJson(MOCK_RESULTS_KEY, results);
+}
+
+/**
+ * Lists past attempts, newest first, with the change from the previous
+ * attempt at the same section.
+ */
+function renderMockHistory() {
+    const results = loadMockResults();
+    const tbody = mockHistoryTable.querySelector('tbody');
+    tbody.innerHTML = '';
+    mockHistoryTable.style.display = results.length > 0 ? 'table' : 'none';
+    mockHistoryEmpty.style.display = results.length > 0 ? 'none' : 'block';
+
+    const previousBySection = {};
+    const rows = results.map(result => {
+        const percentage = Math.round((result.correct / result.total) * 100);
+        const previous = previousBySection[result.sectionId];
+        previousBySection[result.sectionId] = percentage;
+        return { result, percentage, change: previous === undefined ? null : percentage - previous };
+    });
+
+    rows.reverse().forEach(({ result, percentage, change }) => {
+        const row = document.createElement('tr');
+        const cells = [
+            new Date(result.takenAt).toLocaleDateString(),
+            SECTIONS[result.sectionId]?.name || result.sectionId,
+            `${result.correct}/${result.total} (${percentage}%)`,
+            change === null ? '–' : `${change > 0 ? '+' : ''}${change}%`,
+            `${formatDuration(result.timeUsedMs)} / ${formatDuration(result.timeLimitMs)}`,
+        ];
+        cells.forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+    });
+}
+
+function showSetup() {
+    exam = null;
+    renderSections();
+    renderMockHistory();
+    showScreen(setupScreen);
+}
+
+// =================================================================================
+// EXAM
+// =================================================================================
+
+/**
+ * Starts a timed section.
+ * @param {string} sectionId - A key of `SECTIONS`.
+ */
+function startExam(sectionId) {
+    const section = SECTIONS[sectionId];
+    const built = buildSection(section);
+    if (built.questions.length === 0) return;
+
+    const now = Date.now();
+    exam = {
+        sectionId,
+        ...built,
+        index: 0,
+        // Chosen option letters keyed by question id.
+        answers: {},
+        flagged: new Set(),
+        // Milliseconds spent on each question, keyed by question id.
+        timeSpent: {},
+        startedAt: now,
+        endsAt: now + built.timeLimitMs,
+        shownAt: now,
+    };
+    sectionName.textContent = section.name;
+    showScreen(examScreen);
+    showExamQuestion(0);
+    updateTimer();
+    timerInterval = setInterval(updateTimer, 1000);
+}
+
+/**
+ * Adds the time since the current question was shown to its total.
+ */
+function recordTimeOnQuestion() {
+    const now = Date.now();
+    const id = exam.questions[exam.index].id;
+    exam.timeSpent[id] = (exam.timeSpent[id] || 0) + (now - exam.shownAt);
+    exam.shownAt = now;
+}
+
+/**
+ * Shows one question of the section.
+ * @param {number} index - The question's position in the section.
+ */
+function showExamQuestion(index) {
+    if (index < 0 || index >= exam.questions.length) return;
+    recordTimeOnQuestion();
+    exam.index = index;
+
+    const question = exam.questions[index];
+    questionSubject.textContent = question.subject;
+    questionNumber.textContent = `Question ${index + 1} of ${exam.questions.length}`;
+    renderRichText(questionStem, question.question);
+    showPassage(passagesById.get(question.passageId) || null);
+
+    renderAnswerInput(optionsContainer, question);
+    showAnswer(optionsContainer, question, exam.answers[question.id]);
+
+    flagButton.textContent = exam.flagged.has(question.id) ? 'Unflag' : 'Flag';
+    prevButton.disabled = index === 0;
+    nextButton.disabled = index === exam.questions.length - 1;
+    renderNavigator();
+}
+
+/**
+ * Draws one button per question, marking the current, answered and flagged ones.
+ */
+function renderNavigator() {
+    questionNavigator.innerHTML = '';
+    exam.questions.forEach((question, index) => {
+        const button = document.createElement('button');
+        button.className = 'navigator-item';
+        button.textContent = index + 1;
+        button.dataset.index = index;
+        button.classList.toggle('current', index === exam.index);
+        button.classList.toggle('answered', hasAnswer(exam.answers[question.id]));
+        button.classList.toggle('flagged', exam.flagged.has(question.id));
+        questionNavigator.appendChild(button);
+    });
+}
+
+/**
+ * Chooses an option for the current question. Answers can be changed until
+ * the section is submitted.
+ * @param {string} letter - The option letter.
+ */
+function selectAnswer(letter) {
+    const question = exam.questions[exam.index];
+    if (!Object.hasOwn(question.options || {}, letter)) return;
+    exam.answers[question.id] = letter;
+    showAnswer(optionsContainer, question, letter);
+    renderNavigator();
+}
+
+/**
+ * Saves the number typed for the current numeric question, or clears the
+ * answer while the box is empty or not a number.
+ */
+function saveNumericAnswer() {
+    const question = exam.questions[exam.index];
+    const answer = readAnswer(optionsContainer, question);
+    if (answer === null) {
+        delete exam.answers[question.id];
+    } else {
+        exam.answers[question.id] = answer;
+    }
+    renderNavigator();
+}
+
+function toggleFlag() {
+    const id = exam.questions[exam.index].id;
+    if (exam.flagged.has(id)) {
+        exam.flagged.delete(id);
+    } else {
+        exam.flagged.add(id);
+    }
+    flagButton.textContent = exam.flagged.has(id) ? 'Unflag' : 'Flag';
+    renderNavigator();
+}
+
+/**
+ * Counts down the time left and submits the section when it runs out.
+ */
+function updateTimer() {
+    const remaining = exam.endsAt - Date.now();
+    timerEl.textContent = formatDuration(remaining);
+    timerEl.classList.toggle('low', remaining <= 5 * 60 * 1000);
+    if (remaining <= 0) {
+        submitExam(true);
+    }
+}
+
+/**
+ * Ends the section and grades it.
+ * @param {boolean} [timedOut] - Whether time ran out.
+ */
+function submitExam(timedOut = false) {
+    clearInterval(timerInterval);
+    recordTimeOnQuestion();
+    exam.finishedAt = Math.min(Date.now(), exam.endsAt);
+    exam.timedOut = timedOut;
+    showScreen(reviewScreen);
+    gradeExam();
+}
+
+// =================================================================================
+// REVIEW
+// =================================================================================
+
+/**
+ * Grades the submitted section with the server, saves the result and shows
+ * the review. Can be retried if the server could not be reached.
+ */
+async function gradeExam() {
+    reviewError.textContent = '';
+    reviewRetryButton.style.display = 'none';
+    reviewScore.textContent = 'Grading...';
+    reviewList.innerHTML = '';
+
+    let results;
+    try {
+        results = await api.checkAnswers(exam.questions.map(q => ({
+            questionId: q.id,
+            answer: exam.answers[q.id] ?? null,
+        })));
+    } catch (error) {
+        console.error("Could not grade the section:", error);
+        reviewScore.textContent = '';
+        reviewError.textContent = "Could not grade your answers. Check your connection and try again.";
+        reviewRetryButton.style.display = 'inline-block';
+        return;
+    }
+
+    const correct = results.filter(r => r.correct).length;
+    const timeUsedMs = exam.finishedAt - exam.startedAt;
+    if (lastResults !== exam) {
+        lastResults = exam;
+        saveMockResult({
+            sectionId: exam.sectionId,
+            takenAt: exam.startedAt,
+            correct,
+            total: exam.questions.length,
+            timeUsedMs,
+            timeLimitMs: exam.timeLimitMs,
+            shortened: exam.shortened,
+            timedOut: exam.timedOut,
+        });
+        // Answered questions count towards the stats and feed the review queue,
+        // just like practice mode.
+        exam.questions.forEach((question, index) => {
+            const answer = exam.answers[question.id];
+            if (hasAnswer(answer)) {
+                engine.recordPracticeAnswer(question, answer, results[index], false);
+            }
+        });
+    }
+
+    const percentage = Math.round((correct / exam.questions.length) * 100);
+    reviewScore.textContent = `${exam.timedOut ? "Time's up! " : ''}You got ${correct} of ${exam.questions.length} right (${percentage}%) in ${formatDuration(timeUsedMs)}.`;
+    renderReview(results);
+}
+
+/**
+ * Lists every question with the player's answer, the correct answer, the time
+ * spent on it and its explanation.
+ * @param {Array} results - The graded answers, in section order.
+ */
+function renderReview(results) {
+    reviewList.innerHTML = '';
+    exam.questions.forEach((question, index) => {
+        const result = results[index];
+        const answer = exam.answers[question.id];
+        const item = document.createElement('li');
+        item.className = `review-item ${hasAnswer(answer) ? (result.correct ? 'correct' : 'incorrect') : 'blank'}`;
+
+        const summary = document.createElement('p');
+        summary.className = 'review-summary';
+        const flag = exam.flagged.has(question.id) ? ' ⚑' : '';
+        summary.textContent = `${question.subject}${flag} · Your answer: ${formatAnswer(question, answer)} · Correct: ${formatAnswer(question, result.answer)} · ${formatDuration(exam.timeSpent[question.id] || 0)}`;
+
+        const details = document.createElement('details');
+        const toggle = document.createElement('summary');
+        toggle.textContent = 'Question and explanation';
+        const stem = document.createElement('p');
+        renderRichText(stem, question.question);
+        const options = document.createElement('ul');
+        for (const [key, value] of Object.entries(question.options || {})) {
+            const option = document.createElement('li');
+            renderRichText(option, `${key}. ${value}`);
+            option.classList.toggle('review-correct-option', getOptionMark(question, key, null, result.answer) !== null);
+            options.appendChild(option);
+        }
+        const explanation = document.createElement('p');
+        explanation.className = 'review-explanation';
+        renderRichText(explanation, result.explanation);
+        details.append(toggle, stem, options, explanation);
+
+        item.append(summary, details);
+        reviewList.appendChild(item);
+    });
+}
+
+// =================================================================================
+// EVENT LISTENERS
+// =================================================================================
+
+sectionList.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-section]');
+    if (button) {
+        startExam(button.dataset.section);
+    }
+});
+
+questionNavigator.addEventListener('click', (event) => {
+    const button = event.target.closest('.navigator-item');
+    if (button) {
+        showExamQuestion(parseInt(button.dataset.index, 10));
+    }
+});
+
+optionsContainer.addEventListener('click', (event) => {
+    const selectedOption = event.target.closest('.option');
+    if (selectedOption && exam) {
+        selectAnswer(selectedOption.dataset.option);
+    }
+});
+
+optionsContainer.addEventListener('input', (event) => {
+    if (exam && event.target.classList.contains('numeric-input')) {
+        saveNumericAnswer();
+    }
+});
+
+document.addEventListener('keydown', (event) => {
+    if (!exam || examScreen.style.display === 'none') return;
+    const shortcut = getAnswerShortcut(event, exam.questions[exam.index]);
+    if (shortcut?.letter) {
+        selectAnswer(shortcut.letter);
+    }
+});
+
+prevButton.addEventListener('click', () => showExamQuestion(exam.index - 1));
+nextButton.addEventListener('click', () => showExamQuestion(exam.index + 1));
+flagButton.addEventListener('click', toggleFlag);
+
+submitButton.addEventListener('click', () => {
+    const unanswered = exam.questions.filter(q => !hasAnswer(exam.answers[q.id])).length;
+    const warning = unanswered > 0 ? ` You have ${unanswered} unanswered question${unanswered === 1 ? '' : 's'}.` : '';
+    if (confirm(`Submit this section?${warning}`)) {
+        submitExam();
+    }
+});
+
+reviewRetryButton.addEventListener('click', gradeExam);
+reviewDoneButton.addEventListener('click', showSetup);
+
+window.addEventListener('beforeunload', (event) => {
+    if (exam && examScreen.style.display !== 'none') {
+        event.preventDefault();
+    }
+});
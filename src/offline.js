@@ -0,0 +1,132 @@
+// =================================================================================
+// OFFLINE SUPPORT
+// =================================================================================
+// Registers the service worker (see `src/sw.js`) and keeps an outbox of answers
+// submitted while offline. Answers are checked on the server, so an answer
+// given offline is saved here and checked once the network returns.
+import * as api from './api.js';
+import { readJson, writeJson } from './storage.js';
+
+const OUTBOX_KEY = 'oatdleOutbox';
+
+// Flushes run one after another, each starting from what the last one left.
+let flushing = Promise.resolve();
+
+/**
+ * Registers the service worker and asks it to refresh the question bank
+ * whenever the network comes back. Only production builds have a worker.
+ */
+export function registerServiceWorker() {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+        console.error("Could not register the service worker:", error);
+    });
+    window.addEventListener('online', () => {
+        navigator.serviceWorker.controller?.postMessage({ type: 'refresh-bank' });
+    });
+}
+
+/**
+ * Whether a failed request failed because the network is down, rather than
+ * because the server turned it down.
+ * @param {Error} error - The error thrown by the API client.
+ * @returns {boolean}
+ */
+export function isOfflineError(error) {
+    // The API client gives every error the server sent back a status.
+    return !navigator.onLine || error.status === undefined;
+}
+
+// --- Outbox ---
+
+function loadOutbox() {
+    return readJson(OUTBOX_KEY, []);
+}
+
+function saveOutbox(entries) {
+    writeJson(OUTBOX_KEY, entries);
+}
+
+/**
+ * Saves an answer to be checked once the network is back.
+ * @param {string} kind - Which page the answer belongs to: `daily` or `practice`.
+ * @param {number} questionId - The question id.
+ * @param {*} answer - The answer, or null for none.
+ * @param {Object} [context] - Whatever the page needs to record the result later.
+ */
+export function queueAnswer(kind, questionId, answer, context = {}) {
+    const entries = loadOutbox();
+    entries.push({ id: crypto.randomUUID(), kind, questionId, answer, context, queuedAt: Date.now() });
+    saveOutbox(entries);
+}
+
+/**
+ * Lists the answers still waiting to be checked.
+ * @param {string} kind - `daily` or `practice`.
+ * @returns {Array} `{ id, kind, questionId, answer, context, queuedAt }` for each.
+ */
+export function listQueued(kind) {
+    return loadOutbox().filter(entry => entry.kind === kind);
+}
+
+/**
+ * Grades queued answers. Practice answers go in a single request; daily
+ * answers are each submitted to their own puzzle, as the server only grades
+ * today's puzzle that way.
+ * @param {string} kind - `daily` or `practice`.
+ * @param {Array} queued - The outbox entries.
+ * @returns {Promise<Array>} An outcome for each entry, shaped like those of
+ * `Promise.allSettled`.
+ */
+async function checkQueued(kind, queued) {
+    if (kind === 'daily') {
+        return Promise.allSettled(queued.map(({ answer, context }) => (
+            api.submitDailyAnswer(context.state.puzzleNumber, answer, { tally: !context.archive })
+        )));
+    }
+    try {
+        const results = await api.checkAnswers(queued.map(({ questionId, answer }) => ({ questionId, answer })));
+        return results.map(value => ({ status: 'fulfilled', value }));
+    } catch (reason) {
+        return queued.map(() => ({ status: 'rejected', reason }));
+    }
+}
+
+async function flush(kind, onResult, onDrop) {
+    const queued = listQueued(kind);
+    if (queued.length === 0 || !navigator.onLine) return;
+
+    const outcomes = await checkQueued(kind, queued);
+    const isDone = (outcome) => outcome.status === 'fulfilled' || !isOfflineError(outcome.reason);
+    const done = new Set(queued.filter((entry, index) => isDone(outcomes[index])).map(entry => entry.id));
+    saveOutbox(loadOutbox().filter(entry => !done.has(entry.id)));
+
+    queued.forEach((entry, index) => {
+        const outcome = outcomes[index];
+        if (outcome.status === 'fulfilled') {
+            onResult(entry, outcome.value);
+        } else if (isDone(outcome)) {
+            console.error("Dropping a queued answer the server could not check:", outcome.reason);
+            onDrop(entry);
+        }
+    });
+}
+
+/**
+ * Checks every queued answer of one kind and removes them from the outbox.
+ * Answers that cannot be sent yet stay queued for the next flush; answers the
+ * server rejects outright are dropped so they cannot block the outbox
+ * forever. A flush started while another is running waits for it to finish.
+ * @param {string} kind - `daily` or `practice`.
+ * @param {Function} onResult - Called with `(entry, result)` for each answer,
+ * where `result` is `{ correct, answer, explanation }`.
+ * @param {Function} [onDrop] - Called with `(entry)` for each dropped answer,
+ * so the page can let it be answered again.
+ * @returns {Promise} Resolves once this flush is done.
+ */
+export function flushOutbox(kind, onResult, onDrop = () => {}) {
+    flushing = flushing.then(() => flush(kind, onResult, onDrop)).catch(error => {
+        console.error("Could not check queued answers:", error);
+    });
+    return flushing;
+}
@@ -0,0 +1,48 @@
+// =================================================================================
+// READING PASSAGES
+// =================================================================================
+// Questions that belong to a passage are shown beside it in a split view. Every
+// page that shows questions has the same `#passage-container` markup.
+import { renderRichText } from './richtext.js';
+
+/**
+ * Shows a passage beside the question, or hides the passage panel.
+ * @param {Object|null} passage - `{ title, text }`, or null for stand-alone questions.
+ */
+export function showPassage(passage) {
+    // Looked up here rather than on import, so `groupByPassage` works without a page.
+    const passageContainer = document.getElementById('passage-container');
+    const passageTitle = document.getElementById('passage-title');
+    const passageText = document.getElementById('passage-text');
+    document.body.classList.toggle('with-passage', Boolean(passage));
+    passageContainer.style.display = passage ? 'block' : 'none';
+    if (!passage) return;
+    if (passageContainer.dataset.passageId === String(passage.id)) return;
+
+    passageContainer.dataset.passageId = passage.id;
+    passageTitle.textContent = passage.title;
+    passageText.innerHTML = '';
+    // Blank lines separate paragraphs.
+    for (const paragraph of passage.text.split(/\n\s*\n/)) {
+        const p = document.createElement('p');
+        renderRichText(p, paragraph.trim());
+        passageText.appendChild(p);
+    }
+    passageContainer.scrollTop = 0;
+}
+
+/**
+ * Groups questions so that those sharing a passage sit together, at the place
+ * of the first one. Stand-alone questions form groups of one.
+ * @param {Array} questions - The questions, in order.
+ * @returns {Array<Array>} The groups, in order of first appearance.
+ */
+export function groupByPassage(questions) {
+    const groups = new Map();
+    for (const question of questions) {
+        const key = question.passageId ? `passage-${question.passageId}` : `question-${question.id}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(question);
+    }
+    return Array.from(groups.values());
+}
@@ -0,0 +1,192 @@
+// =================================================================================
+// STUDY PLANNER
+// =================================================================================
+// Turns the player's exam date and daily time budget into a day-by-day plan of
+// practice sessions. Each day's questions are split into blocks, and the blocks
+// are handed out across the days in proportion to how often each subject has
+// been missed, so weak subjects come up more often without strong ones
+// dropping out. Like the statistics, the plan itself is never stored: only the
+// exam date and budget are, and the plan is worked out again from the play
+// history whenever it is shown. A day's plan only looks at results from before
+// that day, so it stays put while the player works through it and rebalances
+// the next day.
+import { addDays, daysBetween, getToday, toDate } from './dates.js';
+import { loadArchiveResults, loadDailyHistory, loadPracticeHistory } from './history.js';
+import { getStorage, readJson, writeJson } from './storage.js';
+import { SUBJECTS } from './subjects.js';
+
+const PLAN_KEY = 'oatdlePlan';
+
+/**
+ * Minutes allowed per question, including reading its explanation.
+ */
+export const MINUTES_PER_QUESTION = 2;
+
+/**
+ * Questions per practice block. Blocks are the unit the plan hands out, so a
+ * day never has a session of just one or two questions unless its whole
+ * budget is that small.
+ */
+export const BLOCK_SIZE = 5;
+
+/**
+ * The furthest ahead a plan reaches.
+ */
+export const MAX_PLAN_DAYS = 365;
+
+// --- Settings ---
+
+/**
+ * Loads the player's study plan settings.
+ * @returns {Object|null} `{ examDate, minutesPerDay }`, or null if no plan is set.
+ */
+export function loadPlan() {
+    return readJson(PLAN_KEY, null);
+}
+
+/**
+ * Saves the player's exam date and daily time budget.
+ * @param {Object} plan - `{ examDate, minutesPerDay }`. `examDate` is `YYYY-MM-DD`.
+ */
+export function savePlan({ examDate, minutesPerDay }) {
+    writeJson(PLAN_KEY, { examDate, minutesPerDay });
+}
+
+/**
+ * Removes the study plan.
+ */
+export function clearPlan() {
+    getStorage().removeItem(PLAN_KEY);
+}
+
+/**
+ * Works out how many questions fit in a daily time budget.
+ * @param {number} minutesPerDay - The budget, in minutes.
+ * @returns {number} At least one question.
+ */
+export function getQuestionsPerDay(minutesPerDay) {
+    return Math.max(1, Math.floor(minutesPerDay / MINUTES_PER_QUESTION));
+}
+
+/**
+ * Counts the days left to study, not counting the exam day itself.
+ * @param {string} examDate - The exam date, as `YYYY-MM-DD`.
+ * @param {string} [today] - Today's date, as `YYYY-MM-DD`.
+ * @returns {number} The days left; zero on or after the exam day.
+ */
+export function getDaysLeft(examDate, today = getToday()) {
+    return Math.max(0, daysBetween(today, examDate));
+}
+
+// --- Results ---
+
+/**
+ * Lists every answer on this device with the date it was given: daily
+ * puzzles, archive plays and practice mode alike.
+ * @returns {Array} Entries of `{ date, subject, correct }`.
+ */
+function collectAnswers() {
+    const daily = loadDailyHistory().map(e => ({ date: e.date, subject: e.subject, correct: e.correct }));
+    const archive = Object.values(loadArchiveResults())
+        .filter(state => state.gameFinished && state.result && state.lastPlayedTs)
+        .map(state => ({ date: toDate(state.lastPlayedTs), subject: state.subject, correct: state.result.correct }));
+    const practice = loadPracticeHistory().map(e => ({ date: toDate(e.ts), subject: e.subject, correct: e.correct }));
+    return [...daily, ...archive, ...practice].filter(e => e.subject);
+}
+
+/**
+ * Weighs each subject by how often it has been missed before a given day. The
+ * miss rate is smoothed as if every subject started with one miss and one
+ * right answer, so a subject not yet tried counts as a coin toss and even a
+ * perfect subject keeps a share of the plan.
+ * @param {string} [before] - Only count answers given before this date.
+ * @returns {Object<string, number>} The weights, keyed by subject, between 0 and 1.
+ */
+export function getSubjectWeights(before = getToday()) {
+    const totals = Object.fromEntries(SUBJECTS.map(subject => [subject, { answered: 0, missed: 0 }]));
+    for (const entry of collectAnswers()) {
+        if (entry.date >= before || !totals[entry.subject]) continue;
+        totals[entry.subject].answered++;
+        if (!entry.correct) totals[entry.subject].missed++;
+    }
+    return Object.fromEntries(Object.entries(totals)
+        .map(([subject, { answered, missed }]) => [subject, (missed + 1) / (answered + 2)]));
+}
+
+// --- Plan ---
+
+/**
+ * Splits a day's questions into blocks of `BLOCK_SIZE`, with any remainder in
+ * a smaller last block.
+ * @param {number} questions - The day's questions.
+ * @returns {Array<number>} The block sizes.
+ */
+function splitIntoBlocks(questions) {
+    const blocks = Array(Math.floor(questions / BLOCK_SIZE)).fill(BLOCK_SIZE);
+    if (questions % BLOCK_SIZE > 0) blocks.push(questions % BLOCK_SIZE);
+    return blocks;
+}
+
+/**
+ * Builds the day-by-day plan from today up to the day before the exam.
+ * Blocks go to subjects by smooth weighted round-robin: each turn every
+ * subject gains its weight in credit, and the subject with the most credit
+ * takes the block and pays back the total. Subjects end up with blocks in
+ * proportion to their weights, spread out rather than bunched together.
+ * @param {Object} plan - `{ examDate, minutesPerDay }`.
+ * @param {Object<string, number>} weights - From `getSubjectWeights`.
+ * @param {string} [today] - Today's date, as `YYYY-MM-DD`.
+ * @returns {Array} Days of `{ date, total, sessions }`, where `sessions` lists
+ * `{ subject, questions }`, largest first.
+ */
+export function buildPlan({ examDate, minutesPerDay }, weights, today = getToday()) {
+    const dayCount = Math.min(getDaysLeft(examDate, today), MAX_PLAN_DAYS);
+    const blocks = splitIntoBlocks(getQuestionsPerDay(minutesPerDay));
+    const subjects = SUBJECTS.filter(subject => weights[subject] > 0);
+    const totalWeight = subjects.reduce((sum, subject) => sum + weights[subject], 0);
+    const credit = Object.fromEntries(subjects.map(subject => [subject, 0]));
+
+    const days = [];
+    for (let i = 0; i < dayCount; i++) {
+        const bySubject = new Map();
+        for (const size of blocks) {
+            subjects.forEach(subject => { credit[subject] += weights[subject]; });
+            const subject = subjects.reduce((best, s) => (credit[s] > credit[best] ? s : best));
+            credit[subject] -= totalWeight;
+            bySubject.set(subject, (bySubject.get(subject) || 0) + size);
+        }
+        const sessions = Array.from(bySubject, ([subject, questions]) => ({ subject, questions }))
+            .sort((a, b) => b.questions - a.questions || SUBJECTS.indexOf(a.subject) - SUBJECTS.indexOf(b.subject));
+        days.push({ date: addDays(today, i), total: blocks.reduce((sum, size) => sum + size, 0), sessions });
+    }
+    return days;
+}
+
+/**
+ * Builds the plan for the saved settings from the results so far.
+ * @param {string} [today] - Today's date, as `YYYY-MM-DD`.
+ * @returns {Array|null} The plan, as from `buildPlan`, or null if no plan is set.
+ */
+export function getPlan(today = getToday()) {
+    const plan = loadPlan();
+    return plan ? buildPlan(plan, getSubjectWeights(today), today) : null;
+}
+
+/**
+ * Measures today's answers against today's plan. Answers in a subject count
+ * towards that subject's session, up to its size.
+ * @param {Object} day - Today's entry in the plan.
+ * @returns {Object} `{ done, total, sessions }`, where `sessions` lists
+ * `{ subject, questions, done }`.
+ */
+export function getDayProgress(day) {
+    const answered = {};
+    for (const entry of collectAnswers()) {
+        if (entry.date === day.date) answered[entry.subject] = (answered[entry.subject] || 0) + 1;
+    }
+    const sessions = day.sessions.map(session => ({
+        ...session,
+        done: Math.min(session.questions, answered[session.subject] || 0),
+    }));
+    return { done: sessions.reduce((sum, s) => sum + s.done, 0), total: day.total, sessions };
+}
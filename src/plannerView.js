@@ -0,0 +1,171 @@
+// =================================================================================
+// STUDY PLAN PANEL
+// =================================================================================
+// The study plan form (`#planner-modal`) and the progress panel under the daily
+// puzzle. The plan itself is worked out in `src/planner.js`.
+import { announce, closeModal, openModal } from './a11y.js';
+import { getToday } from './dates.js';
+import { clearPlan, getDayProgress, getDaysLeft, getPlan, getQuestionsPerDay, loadPlan, savePlan } from './planner.js';
+
+const MIN_MINUTES = 10;
+const MAX_MINUTES = 480;
+const UPCOMING_DAYS = 7;
+
+/**
+ * Links to a practice session on one subject.
+ * @param {string} subject - The subject.
+ * @param {number} count - How many questions to ask.
+ * @returns {string} The URL.
+ */
+function getPracticeUrl(subject, count) {
+    return `/practice.html?${new URLSearchParams({ subject, count })}`;
+}
+
+function formatDay(date, today) {
+    const offset = getDaysLeft(date, today);
+    if (offset === 0) return 'Today';
+    if (offset === 1) return 'Tomorrow';
+    return new Date(date).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+function formatSessions(sessions) {
+    return sessions.map(({ subject, questions }) => `${subject} ${questions}`).join(' · ');
+}
+
+/**
+ * Draws the progress panel: days to the exam, and today's sessions with how
+ * many of their questions are done. Hidden when there is no plan.
+ */
+export function renderPlanProgress() {
+    const panel = document.getElementById('plan-progress');
+    const summary = document.getElementById('plan-summary');
+    const sessionList = document.getElementById('plan-sessions');
+    const settings = loadPlan();
+    panel.style.display = settings ? 'block' : 'none';
+    sessionList.innerHTML = '';
+    if (!settings) return;
+
+    const today = getToday();
+    const daysLeft = getDaysLeft(settings.examDate, today);
+    if (daysLeft === 0) {
+        summary.textContent = settings.examDate === today
+            ? 'Good luck on your OAT today!'
+            : 'Your exam date has passed. Set a new one to keep planning.';
+        return;
+    }
+
+    const progress = getDayProgress(getPlan(today)[0]);
+    summary.textContent = `OAT in ${daysLeft} day${daysLeft === 1 ? '' : 's'} · Today: ${progress.done} of ${progress.total} questions`;
+    progress.sessions.forEach(({ subject, questions, done }) => {
+        const item = document.createElement('li');
+        item.className = 'breakdown-row';
+
+        const label = document.createElement('span');
+        label.textContent = subject;
+
+        const bar = document.createElement('span');
+        bar.className = 'breakdown-bar';
+        const fill = document.createElement('span');
+        fill.className = 'breakdown-fill';
+        fill.style.width = `${Math.round((done / questions) * 100)}%`;
+        bar.appendChild(fill);
+
+        const action = document.createElement(done < questions ? 'a' : 'span');
+        action.className = 'breakdown-value';
+        if (done < questions) {
+            action.href = getPracticeUrl(subject, questions - done);
+            action.textContent = `${done}/${questions} · Practice`;
+        } else {
+            action.textContent = `${done}/${questions} ✓`;
+        }
+
+        item.append(label, bar, action);
+        sessionList.appendChild(item);
+    });
+}
+
+/**
+ * Lists the next few days of the plan in the form.
+ */
+function renderUpcomingDays() {
+    const dayList = document.getElementById('plan-days');
+    dayList.innerHTML = '';
+    const plan = getPlan() || [];
+    const today = getToday();
+    plan.slice(0, UPCOMING_DAYS).forEach(day => {
+        const item = document.createElement('li');
+        const date = document.createElement('strong');
+        date.textContent = formatDay(day.date, today);
+        item.append(date, `: ${formatSessions(day.sessions)}`);
+        dayList.appendChild(item);
+    });
+    if (plan.length > UPCOMING_DAYS) {
+        const item = document.createElement('li');
+        const more = plan.length - UPCOMING_DAYS;
+        item.textContent = `…and ${more} more day${more === 1 ? '' : 's'} until your exam.`;
+        dayList.appendChild(item);
+    }
+}
+
+/**
+ * Wires up the plan button, the `#planner-modal` form and the progress panel.
+ */
+export function initPlanner() {
+    const plannerButton = document.getElementById('planner-button');
+    const editButton = document.getElementById('plan-edit-button');
+    const plannerModal = document.getElementById('planner-modal');
+    const examDateInput = document.getElementById('plan-exam-date');
+    const minutesInput = document.getElementById('plan-minutes');
+    const saveButton = document.getElementById('plan-save-button');
+    const clearButton = document.getElementById('plan-clear-button');
+    const status = document.getElementById('plan-status');
+
+    const showStatus = (text) => {
+        status.textContent = text;
+        announce(text);
+    };
+
+    const openPlanner = () => {
+        const settings = loadPlan();
+        examDateInput.min = getToday();
+        examDateInput.value = settings?.examDate || '';
+        minutesInput.min = MIN_MINUTES;
+        minutesInput.max = MAX_MINUTES;
+        minutesInput.value = settings?.minutesPerDay || 30;
+        clearButton.style.display = settings ? 'inline-block' : 'none';
+        status.textContent = '';
+        renderUpcomingDays();
+        openModal(plannerModal);
+    };
+
+    plannerButton.addEventListener('click', openPlanner);
+    editButton.addEventListener('click', openPlanner);
+
+    saveButton.addEventListener('click', () => {
+        const examDate = examDateInput.value;
+        const minutesPerDay = Number(minutesInput.value);
+        if (!examDate || examDate <= getToday()) {
+            showStatus('Pick an exam date after today.');
+            examDateInput.focus();
+            return;
+        }
+        if (!Number.isInteger(minutesPerDay) || minutesPerDay < MIN_MINUTES || minutesPerDay > MAX_MINUTES) {
+            showStatus(`Choose between ${MIN_MINUTES} and ${MAX_MINUTES} minutes a day.`);
+            minutesInput.focus();
+            return;
+        }
+        savePlan({ examDate, minutesPerDay });
+        clearButton.style.display = 'inline-block';
+        renderUpcomingDays();
+        renderPlanProgress();
+        showStatus(`Plan saved: ${getQuestionsPerDay(minutesPerDay)} questions a day.`);
+    });
+
+    clearButton.addEventListener('click', () => {
+        clearPlan();
+        renderPlanProgress();
+        closeModal(plannerModal);
+    });
+
+    renderPlanProgress();
+}
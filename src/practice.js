@@ -1,23 +1,63 @@
+import { initModals } from './a11y.js';
+import { compareChallenge, decodeChallenge, getSessionChallenge } from './challenge.js';
+import { initChallengeShare, resetChallengeShare } from './challengeShare.js';
+import * as engine from './engine.js';
+import * as offline from './offline.js';
+import { showPassage } from './passage.js';
+import { createQuestionView } from './questionView.js';
+import { initReportForm } from './report.js';
+import { renderRichText, toPlainText } from './richtext.js';
+import { applySettings } from './settings.js';
+import { formatAnswer } from './questionTypes.js';
+import { DIFFICULTIES, SUBJECTS } from './subjects.js';
+
 // =================================================================================
 // DOM & UI ELEMENTS
 // =================================================================================
-const questionSubject = document.getElementById('question-subject');
-const questionDifficulty = document.getElementById('question-difficulty');
-const questionStem = document.getElementById('question-stem');
-const optionsContainer = document.getElementById('options-container');
-const feedbackText = document.getElementById('feedback-text');
-const explanationContainer = document.getElementById('explanation-container');
-const explanationText = document.getElementById('explanation-text');
+const questionView = createQuestionView({
+    canAnswer: (question) => sessionScreen.style.display !== 'none' && !engine.isAnswered(session, question),
+    onSubmit: handleAnswerSubmission,
+});
+
 const prevQuestionButton = document.getElementById('prev-question-button');
 const nextQuestionButton = document.getElementById('next-question-button');
+const finishSessionButton = document.getElementById('finish-session-button');
+const practiceScore = document.getElementById('practice-score');
+const practiceProgress = document.getElementById('practice-progress');
+const challengeBanner = document.getElementById('challenge-banner');
+
+// Screens
+const setupScreen = document.getElementById('practice-setup');
+const sessionScreen = document.getElementById('practice-session');
+const summaryScreen = document.getElementById('practice-summary');
+
+// Setup Elements
+const subjectFilters = document.getElementById('subject-filters');
+const difficultyFilters = document.getElementById('difficulty-filters');
+const questionCountInput = document.getElementById('question-count');
+const shuffleInput = document.getElementById('shuffle-questions');
+const matchingCount = document.getElementById('matching-count');
+const startSessionButton = document.getElementById('start-session-button');
+const reviewDueCount = document.getElementById('review-due-count');
+const startReviewButton = document.getElementById('start-review-button');
+
+// Summary Elements
+const summaryScore = document.getElementById('summary-score');
+const missedList = document.getElementById('missed-list');
+const newSessionButton = document.getElementById('new-session-button');
+const challengeComparison = document.getElementById('challenge-comparison');
+const challengeVerdict = document.getElementById('challenge-verdict');
+const challengeRows = document.querySelector('#challenge-table tbody');
+const challengeButton = document.getElementById('challenge-button');
 
 // =================================================================================
 // GAME STATE & DATA
 // =================================================================================
 let questions = [];
-let currentQuestionIndex = 0;
+let passagesById = new Map();
+let session = null;
 let currentQuestion = null;
-let gameFinished = false;
+let isCheckingAnswer = false;
 
 // =================================================================================
 // INITIALIZATION
@@ -27,11 +67,20 @@ let gameFinished = false;
  * Initializes the application.
  */
 async function init() {
-    const loadedQuestions = await fetchQuestions();
-    questions = loadedQuestions;
-    if (questions.length > 0) {
-        displayQuestion(questions[currentQuestionIndex]);
+    applySettings();
+    offline.registerServiceWorker();
+    initModals();
+    initReportForm(() => currentQuestion?.id ?? null);
+    initChallengeShare(() => (session ? getSessionChallenge(session) : null));
+    questions = await fetchQuestions();
+    renderFilters();
+    const challenge = decodeChallenge(window.location.search);
+    if (challenge && questions.length > 0) {
+        startChallenge(challenge);
+    } else {
+        showSetup();
     }
+    syncQueuedAnswers();
 }
 
 init();
@@ -41,117 +90,394 @@ init();
 // =================================================================================
 
 /**
- * Fetches the questions from the JSON file.
+ * Fetches the questions from the question bank API, along with the reading
+ * passages they refer to.
  * @returns {Promise<Array>} A promise that resolves to the array of questions.
  */
 async function fetchQuestions() {
     try {
-        const res = await fetch('/questions.json');
-        if (!res.ok) {
-            throw new Error(`HTTP error! status: ${res.status}`);
-        }
-        const data = await res.json();
-        return data.questions;
+        const bank = await engine.loadQuestionBank();
+        passagesById = bank.passagesById;
+        return bank.questions;
     } catch (error) {
         console.error("Could not fetch questions:", error);
-        questionStem.textContent = "Failed to load questions. Please try refreshing the page.";
+        matchingCount.textContent = "Failed to load questions. Please try refreshing the page.";
         return [];
     }
 }
 
+// =================================================================================
+// SESSION SETUP
+// =================================================================================
+
+function showScreen(screen) {
+    for (const s of [setupScreen, sessionScreen, summaryScreen]) {
+        s.style.display = s === screen ? 'block' : 'none';
+    }
+    if (screen !== sessionScreen) {
+        showPassage(null);
+    }
+}
+
+function showSetup() {
+    session = null;
+    updateReviewDueCount();
+    showScreen(setupScreen);
+}
+
+function updateReviewDueCount() {
+    const due = engine.getDueQuestions(questions).length;
+    reviewDueCount.textContent = due === 0
+        ? 'No cards due for review today.'
+        : `${due} card${due === 1 ? '' : 's'} due for review today.`;
+    startReviewButton.disabled = due === 0;
+}
+
+function createCheckbox(name, value) {
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.name = name;
+    input.value = value;
+    input.checked = true;
+    label.append(input, ` ${value}`);
+    return label;
+}
+
+/**
+ * Draws a checkbox for every subject and difficulty.
+ */
+function renderFilters() {
+    subjectFilters.querySelectorAll('label').forEach(label => label.remove());
+    difficultyFilters.querySelectorAll('label').forEach(label => label.remove());
+    SUBJECTS.forEach(subject => subjectFilters.appendChild(createCheckbox('subject', subject)));
+    DIFFICULTIES.forEach(difficulty => difficultyFilters.appendChild(createCheckbox('difficulty', difficulty)));
+    applyRequestedFilters();
+    updateMatchingCount();
+}
+
+/**
+ * Presets the filters from links such as the study plan's
+ * `practice.html?subject=Biology&count=5`.
+ */
+function applyRequestedFilters() {
+    const params = new URLSearchParams(window.location.search);
+    const subjects = params.getAll('subject').filter(subject => SUBJECTS.includes(subject));
+    if (subjects.length > 0) {
+        subjectFilters.querySelectorAll('input').forEach(input => {
+            input.checked = subjects.includes(input.value);
+        });
+    }
+    const count = parseInt(params.get('count'), 10);
+    if (count > 0) {
+        questionCountInput.value = count;
+    }
+}
+
+function checkedValues(container) {
+    return Array.from(container.querySelectorAll('input:checked'), input => input.value);
+}
+
+/**
+ * Finds the questions matching the chosen subjects and difficulties.
+ * @returns {Array} The matching questions, in bank order.
+ */
+function getMatchingQuestions() {
+    return engine.filterQuestions(questions, checkedValues(subjectFilters), checkedValues(difficultyFilters));
+}
+
+function updateMatchingCount() {
+    const available = getMatchingQuestions().length;
+    matchingCount.textContent = `${available} question${available === 1 ? '' : 's'} match.`;
+    questionCountInput.max = available;
+    startSessionButton.disabled = available === 0;
+}
+
+/**
+ * Starts a session with the chosen filters, count and order.
+ */
+function startSession() {
+    beginSession(engine.pickSessionQuestions(getMatchingQuestions(), {
+        shuffled: shuffleInput.checked,
+        count: parseInt(questionCountInput.value, 10),
+    }), false);
+}
+
+/**
+ * Starts a session over the review cards due today.
+ */
+function startReview() {
+    beginSession(engine.getDueQuestions(questions), true);
+}
+
+/**
+ * Starts a session over the questions of a challenge link, in the order they
+ * were sent.
+ * @param {Object} challenge - The challenge, as from `decodeChallenge`.
+ */
+function startChallenge(challenge) {
+    const byId = new Map(questions.map(q => [q.id, q]));
+    const selected = challenge.questionIds.map(id => byId.get(id)).filter(Boolean);
+    if (selected.length === 0) {
+        showSetup();
+        matchingCount.textContent = "This challenge's questions are no longer available.";
+        return;
+    }
+    beginSession(selected, false, challenge);
+}
+
+/**
+ * Shows the first question of a new session.
+ * @param {Array} selected - The session's questions, in order.
+ * @param {boolean} isReview - Whether answers move review cards between boxes.
+ * @param {Object|null} [challenge] - The challenge link it was started from.
+ */
+function beginSession(selected, isReview, challenge = null) {
+    if (selected.length === 0) return;
+    session = engine.createSession(selected, isReview, challenge);
+    showChallengeBanner();
+    showScreen(sessionScreen);
+    displayQuestion(session.questions[0]);
+}
+
 // =================================================================================
 // GAME LOGIC
 // =================================================================================
 
 /**
- * Displays the current question and options on the page.
+ * Displays the current question and options on the page. A question answered
+ * earlier in the session is shown with its result.
  * @param {Object} question - The question object to display.
  */
 function displayQuestion(question) {
-    if (!question) {
-        questionStem.textContent = "No questions available.";
-        return;
-    }
     currentQuestion = question;
-    gameFinished = false;
-    feedbackText.textContent = '';
-    explanationContainer.style.display = 'none';
-    questionSubject.textContent = question.subject;
-    questionDifficulty.textContent = question.difficulty;
-    questionStem.textContent = question.question;
-
-    optionsContainer.innerHTML = '';
-    for (const [key, value] of Object.entries(question.options)) {
-        const option = document.createElement('div');
-        option.className = 'option';
-        option.dataset.option = key;
-        option.innerHTML = `<span class="option-letter">${key}</span> <span class="option-text">${value}</span>`;
-        optionsContainer.appendChild(option);
+    questionView.show(question);
+    showPassage(passagesById.get(question.passageId) || null);
+
+    const saved = session.answers[question.id];
+    if (saved) {
+        questionView.reveal(saved.answer, saved.result, { animate: false });
+    } else if (Object.hasOwn(session.queued, question.id)) {
+        questionView.showQueued(session.queued[question.id]);
     }
+    updateSessionStatus();
 }
 
 /**
- * Handles the submission of an answer.
- * @param {string} selectedAnswer - The letter of the selected answer (A, B, C, or D).
+ * Handles the submission of an answer by checking it with the server.
+ * @param {*} selectedAnswer - The chosen option letter, the chosen letters for
+ * select-all questions, or the typed number for numeric questions.
  */
-function handleAnswerSubmission(selectedAnswer) {
-    if (gameFinished) return;
+async function handleAnswerSubmission(selectedAnswer) {
+    if (engine.isAnswered(session, currentQuestion) || isCheckingAnswer) return;
 
-    gameFinished = true;
-    const correctAnswer = currentQuestion.answer;
-    const isCorrect = selectedAnswer === correctAnswer;
+    isCheckingAnswer = true;
+    const question = currentQuestion;
+    const outcome = await engine.evaluateAnswer(question.id, selectedAnswer);
+    isCheckingAnswer = false;
+    if (outcome.offline) {
+        queueAnswer(question, selectedAnswer);
+        return;
+    }
+    if (outcome.error) {
+        console.error("Could not check answer:", outcome.error);
+        questionView.showFeedback("Could not check your answer. Please try again.");
+        return;
+    }
+
+    engine.answerQuestion(session, question, selectedAnswer, outcome.result);
+    updateSessionStatus();
+
+    // The player may have moved on while the answer was being checked.
+    if (question === currentQuestion) {
+        questionView.reveal(selectedAnswer, outcome.result);
+    }
+}
+
+// --- Offline Answers ---
 
-    const options = Array.from(optionsContainer.children);
-    options.forEach((option, index) => {
-        setTimeout(() => {
-            option.classList.add('reveal');
-            const optionLetter = option.dataset.option;
+/**
+ * Saves an answer given while offline, to be checked once the network is back.
+ * @param {Object} question - The question answered.
+ * @param {*} answer - The player's answer.
+ */
+function queueAnswer(question, answer) {
+    engine.queueQuestion(session, question, answer);
+    if (question === currentQuestion) {
+        questionView.showQueued(answer);
+    }
+    updateSessionStatus();
+}
+
+/**
+ * Checks the answers given while offline, including any from earlier visits,
+ * and shows the results of those in the current session. A question whose
+ * answer the server turned down can be answered again.
+ */
+function syncQueuedAnswers() {
+    offline.flushOutbox('practice', ({ questionId, answer, context }, result) => {
+        engine.recordPracticeAnswer({ id: questionId, ...context }, answer, result, context.isReview);
+        if (!session || !engine.resolveQueuedAnswer(session, questionId, answer, result)) return;
 
-            if (optionLetter === selectedAnswer) {
-                option.classList.add(isCorrect ? 'correct' : 'incorrect');
-            } else if (optionLetter === correctAnswer) {
-                option.classList.add('correct');
-            }
+        if (summaryScreen.style.display !== 'none') {
+            finishSession();
+            return;
+        }
+        updateSessionStatus();
+        if (currentQuestion.id === questionId) {
+            questionView.reveal(answer, result);
+        }
+    }, ({ questionId }) => {
+        if (!session || !engine.dropQueuedAnswer(session, questionId)) return;
 
-        }, index * 300);
+        if (summaryScreen.style.display !== 'none') {
+            finishSession();
+            return;
+        }
+        updateSessionStatus();
+        if (currentQuestion.id === questionId) {
+            displayQuestion(currentQuestion);
+            questionView.showFeedback("Your answer could not be checked. Please answer again.", true);
+        }
     });
+}
 
-    setTimeout(() => {
-        feedbackText.textContent = isCorrect ? "Correct!" : "Incorrect!";
-        explanationText.textContent = currentQuestion.explanation;
-        explanationContainer.style.display = 'block';
-    }, options.length * 300);
+/**
+ * Updates the running score, progress and navigation buttons.
+ */
+function updateSessionStatus() {
+    const { answered, correct, waiting } = engine.getSessionSummary(session);
+    practiceScore.textContent = `Score: ${correct}/${answered.length}`
+        + (waiting > 0 ? ` · ${waiting} waiting to be checked` : '');
+    practiceProgress.textContent = `Question ${session.index + 1} of ${session.questions.length}`;
+    const passage = passagesById.get(currentQuestion.passageId);
+    if (passage) {
+        const set = session.questions.filter(q => q.passageId === passage.id);
+        practiceProgress.textContent += ` · Passage question ${set.indexOf(currentQuestion) + 1} of ${set.length}`;
+    }
+    prevQuestionButton.disabled = session.index === 0;
+    nextQuestionButton.disabled = session.index === session.questions.length - 1;
+}
+
+function goToQuestion(index) {
+    if (index < 0 || index >= session.questions.length) return;
+    session.index = index;
+    displayQuestion(session.questions[index]);
 }
 
 // =================================================================================
-// EVENT LISTENERS
+// SESSION SUMMARY
 // =================================================================================
 
-optionsContainer.addEventListener('click', (event) => {
-    const selectedOption = event.target.closest('.option');
-    if (selectedOption && !gameFinished) {
-        handleAnswerSubmission(selectedOption.dataset.option);
+/**
+ * Ends the session and lists the questions that were missed.
+ */
+function finishSession() {
+    const { answered, missed, correct, waiting, skipped, percentage } = engine.getSessionSummary(session);
+
+    summaryScore.textContent = `You got ${correct} of ${answered.length} right (${percentage}%)`
+        + (skipped > 0 ? ` and skipped ${skipped}.` : '.')
+        + (waiting > 0 ? ` ${waiting} answer${waiting === 1 ? ' is' : 's are'} waiting to be checked when you're back online.` : '');
+
+    missedList.innerHTML = '';
+    if (missed.length === 0) {
+        const item = document.createElement('li');
+        item.textContent = answered.length > 0 ? 'No missed questions. Nice work!' : 'No questions answered.';
+        missedList.appendChild(item);
     }
-});
+    missed.forEach(question => {
+        const { answer, result } = session.answers[question.id];
+        const item = document.createElement('li');
+        item.className = 'missed-item';
+
+        const stem = document.createElement('p');
+        stem.className = 'missed-stem';
+        renderRichText(stem, question.question);
+
+        const answers = document.createElement('p');
+        answers.className = 'missed-answers';
+        renderRichText(answers, `Your answer: ${formatAnswer(question, answer, true)} · Correct: ${formatAnswer(question, result.answer, true)}`);
+
+        const explanation = document.createElement('p');
+        explanation.className = 'missed-explanation';
+        renderRichText(explanation, result.explanation);
+
+        item.append(stem, answers, explanation);
+        missedList.appendChild(item);
+    });
+
+    renderChallengeComparison();
+    resetChallengeShare();
+    challengeButton.textContent = session.challenge ? 'Send Your Score Back' : 'Challenge a Friend';
+    showScreen(summaryScreen);
+}
 
-document.addEventListener('keydown', (event) => {
-    if (gameFinished) return;
-    const key = event.key.toUpperCase();
-    if (['A', 'B', 'C', 'D'].includes(key)) {
-        handleAnswerSubmission(key);
+// --- Challenges ---
+
+function showChallengeBanner() {
+    challengeBanner.style.display = session.challenge ? 'block' : 'none';
+    if (!session.challenge) return;
+    const { theirs, total } = compareChallenge(session.challenge, session);
+    challengeBanner.textContent = theirs === null
+        ? `A friend challenged you to ${total} question${total === 1 ? '' : 's'}.`
+        : `A friend got ${theirs} of ${total} on this challenge. Can you beat them?`;
+}
+
+function formatChallengeResult(result) {
+    const cell = document.createElement('td');
+    cell.textContent = result === null ? '—' : result ? '✓' : '✗';
+    cell.className = result === null ? 'unanswered' : result ? 'correct' : 'incorrect';
+    cell.setAttribute('aria-label', result === null ? 'Not answered' : result ? 'Right' : 'Wrong');
+    return cell;
+}
+
+/**
+ * Puts the player's results next to the sender's at the end of a challenge.
+ */
+function renderChallengeComparison() {
+    challengeComparison.style.display = session.challenge ? 'block' : 'none';
+    if (!session.challenge) return;
+
+    const { rows, yours, theirs, total } = compareChallenge(session.challenge, session);
+    if (theirs === null) {
+        challengeVerdict.textContent = `You got ${yours} of ${total}. Your friend didn't send their score.`;
+    } else if (yours === theirs) {
+        challengeVerdict.textContent = `It's a tie: you both got ${yours} of ${total}.`;
+    } else {
+        challengeVerdict.textContent = yours > theirs
+            ? `You win, ${yours} to ${theirs}!`
+            : `Your friend wins, ${theirs} to ${yours}.`;
     }
-});
+
+    challengeRows.innerHTML = '';
+    rows.forEach((row, index) => {
+        const item = document.createElement('tr');
+        const stem = document.createElement('td');
+        const text = toPlainText(row.question.question);
+        stem.textContent = `${index + 1}. ${text.length > 60 ? `${text.slice(0, 60)}…` : text}`;
+        item.append(stem, formatChallengeResult(row.yours), formatChallengeResult(row.theirs));
+        challengeRows.appendChild(item);
+    });
+}
+
+// =================================================================================
+// EVENT LISTENERS
+// =================================================================================
+
+window.addEventListener('online', syncQueuedAnswers);
+
+subjectFilters.addEventListener('change', updateMatchingCount);
+difficultyFilters.addEventListener('change', updateMatchingCount);
+startSessionButton.addEventListener('click', startSession);
+startReviewButton.addEventListener('click', startReview);
+finishSessionButton.addEventListener('click', finishSession);
+
+newSessionButton.addEventListener('click', showSetup);
 
 prevQuestionButton.addEventListener('click', () => {
-    if (currentQuestionIndex > 0) {
-        currentQuestionIndex--;
-        displayQuestion(questions[currentQuestionIndex]);
-    }
+    goToQuestion(session.index - 1);
 });
 
 nextQuestionButton.addEventListener('click', () => {
-    if (currentQuestionIndex < questions.length - 1) {
-        currentQuestionIndex++;
-        displayQuestion(questions[currentQuestionIndex]);
-    }
+    goToQuestion(session.index + 1);
 });
@@ -0,0 +1,43 @@
+// =================================================================================
+// QUESTION RULES
+// =================================================================================
+// What kinds of question there are and how their options are lettered. Shared
+// by the pages and the API, so both agree on which questions are practice
+// only; the bank's full schema is in `api/_lib/schema.js`.
+
+/**
+ * The letters options are labelled with, in order. Options always start at A
+ * and leave no gaps.
+ */
+export const OPTION_LETTERS = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J'];
+/**
+ * The fewest options a choice or select-all question may have.
+ */
+export const MIN_OPTIONS = 2;
+
+/**
+ * The kinds of question the bank can hold:
+ * - `choice`: one correct option letter. Questions saved without a type are this.
+ * - `select-all`: every correct option letter must be picked. Practice only.
+ * - `numeric`: a typed number, correct within `tolerance` of `answer`.
+ */
+export const QUESTION_TYPES = ['choice', 'select-all', 'numeric'];
+
+/**
+ * Returns a question's type, treating untyped questions as multiple choice.
+ * @param {Object} question - The question.
+ * @returns {string} One of `QUESTION_TYPES`.
+ */
+export function getQuestionType(question) {
+    return question.type || 'choice';
+}
+
+/**
+ * Whether a question may only be used in practice mode, never as a daily puzzle
+ * or in a mock exam.
+ * @param {Object} question - The question.
+ * @returns {boolean}
+ */
+export function isPracticeOnly(question) {
+    return getQuestionType(question) === 'select-all';
+}
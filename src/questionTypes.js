@@ -0,0 +1,283 @@
+// =================================================================================
+// QUESTION TYPES
+// =================================================================================
+// Questions are multiple choice (`choice`, any number of options), select all
+// that apply (`select-all`, practice only) or typed numbers (`numeric`). This
+// module draws the answer controls for each type and reads answers back out of
+// them, so every page handles the types the same way.
+//
+// Options are exposed to screen readers as a radio group (or a group of
+// checkboxes for select-all questions). Arrow keys move between options and
+// Space picks the focused one; picking never submits on its own.
+import { getQuestionType } from './questionRules.js';
+import { renderRichText } from './richtext.js';
+import { loadSettings } from './settings.js';
+
+// The type rules themselves are shared with the API.
+export { getQuestionType, isPracticeOnly } from './questionRules.js';
+
+/**
+ * The letters of a question's options, in order. Numeric questions have none.
+ * @param {Object} question - The question.
+ * @returns {Array<string>}
+ */
+export function getOptionLetters(question) {
+    return Object.keys(question.options || {});
+}
+
+/**
+ * Whether an answer has been given. Numeric answers can be 0, so a plain
+ * truthiness check is not enough.
+ * @param {*} answer - The answer, if any.
+ * @returns {boolean}
+ */
+export function hasAnswer(answer) {
+    return answer !== null && answer !== undefined && !(Array.isArray(answer) && answer.length === 0);
+}
+
+/**
+ * Formats an answer for display.
+ * @param {Object} question - The question answered.
+ * @param {*} answer - An option letter, a list of letters or a number.
+ * @param {boolean} [withText] - Whether to include each option's text, as
+ * rich-text markup.
+ * @returns {string} E.g. `B`, `A, C`, `B. Energy production` or `60`.
+ */
+export function formatAnswer(question, answer, withText = false) {
+    if (!hasAnswer(answer)) return '—';
+    if (getQuestionType(question) === 'numeric') return String(answer);
+    const letters = Array.isArray(answer) ? answer : [answer];
+    return letters
+        .map(letter => (withText ? `${letter}. ${question.options[letter]}` : letter))
+        .join(withText ? '; ' : ', ');
+}
+
+/**
+ * Draws the controls for answering a question: option rows for multiple-choice
+ * and select-all questions, a text box for numeric ones.
+ * @param {HTMLElement} container - The element to draw into; emptied first.
+ * @param {Object} question - The question.
+ * @param {Object} [settings] - `{ submitLabel }`. When given, a submit button
+ * with this label is added so that picking an answer and confirming it are
+ * separate steps.
+ */
+export function renderAnswerInput(container, question, { submitLabel } = {}) {
+    const type = getQuestionType(question);
+    container.innerHTML = '';
+    container.classList.remove('locked');
+
+    if (type === 'numeric') {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.inputMode = 'decimal';
+        input.autocomplete = 'off';
+        input.className = 'numeric-input';
+        input.placeholder = 'Enter a number';
+        input.setAttribute('aria-label', 'Your answer');
+        container.appendChild(input);
+        if (question.tolerance) {
+            container.appendChild(createHint(`Answers within ±${question.tolerance} are accepted.`));
+        }
+    } else {
+        if (type === 'select-all') {
+            container.appendChild(createHint('Select all that apply.'));
+        }
+        const group = document.createElement('div');
+        group.className = 'option-list';
+        group.setAttribute('role', type === 'select-all' ? 'group' : 'radiogroup');
+        group.setAttribute('aria-label', 'Answer options');
+        group.addEventListener('keydown', handleOptionKeydown);
+
+        for (const [key, value] of Object.entries(question.options)) {
+            const option = document.createElement('div');
+            option.className = 'option';
+            option.dataset.option = key;
+            option.setAttribute('role', type === 'select-all' ? 'checkbox' : 'radio');
+            option.setAttribute('aria-checked', 'false');
+            // Only one radio is in the tab order at a time; arrows reach the rest.
+            option.tabIndex = type === 'select-all' || group.children.length === 0 ? 0 : -1;
+
+            const letter = document.createElement('span');
+            letter.className = 'option-letter';
+            letter.textContent = key;
+            const text = document.createElement('span');
+            text.className = 'option-text';
+            renderRichText(text, value);
+
+            option.append(letter, ' ', text);
+            group.appendChild(option);
+        }
+        container.appendChild(group);
+    }
+
+    if (submitLabel) {
+        const submit = document.createElement('button');
+        submit.className = 'submit-answer-button';
+        submit.textContent = submitLabel;
+        container.appendChild(submit);
+    }
+}
+
+/**
+ * Moves between options with the arrow keys, Home and End, and picks the
+ * focused option with Space. In a radio group, moving also picks the option,
+ * as screen reader users expect.
+ * @param {KeyboardEvent} event - The key press.
+ */
+function handleOptionKeydown(event) {
+    const option = event.target.closest('.option');
+    if (!option || event.ctrlKey || event.metaKey || event.altKey) return;
+    const options = Array.from(event.currentTarget.querySelectorAll('.option'));
+    const index = options.indexOf(option);
+    let next;
+    switch (event.key) {
+        case 'ArrowDown':
+        case 'ArrowRight':
+            next = options[(index + 1) % options.length];
+            break;
+        case 'ArrowUp':
+        case 'ArrowLeft':
+            next = options[(index - 1 + options.length) % options.length];
+            break;
+        case 'Home':
+            next = options[0];
+            break;
+        case 'End':
+            next = options[options.length - 1];
+            break;
+        case ' ':
+            event.preventDefault();
+            option.click();
+            return;
+        default:
+            return;
+    }
+    event.preventDefault();
+    next.focus();
+    if (next.getAttribute('role') === 'radio') {
+        next.click();
+    }
+}
+
+function createHint(text) {
+    const hint = document.createElement('p');
+    hint.className = 'answer-hint';
+    hint.textContent = text;
+    return hint;
+}
+
+/**
+ * Reads the answer currently entered in controls drawn by `renderAnswerInput`.
+ * @param {HTMLElement} container - The element the controls were drawn into.
+ * @param {Object} question - The question.
+ * @returns {*} The selected letter, the sorted selected letters, or the typed
+ * number; null if nothing (valid) has been entered.
+ */
+export function readAnswer(container, question) {
+    const type = getQuestionType(question);
+    if (type === 'numeric') {
+        const value = container.querySelector('.numeric-input').value.trim();
+        const number = Number(value);
+        return value !== '' && Number.isFinite(number) ? number : null;
+    }
+    const selected = Array.from(container.querySelectorAll('.option.selected'), option => option.dataset.option);
+    if (type === 'select-all') {
+        return selected.length > 0 ? selected.sort() : null;
+    }
+    return selected[0] ?? null;
+}
+
+/**
+ * Shows an answer in controls drawn by `renderAnswerInput`, e.g. when returning
+ * to a question already answered.
+ * @param {HTMLElement} container - The element the controls were drawn into.
+ * @param {Object} question - The question.
+ * @param {*} answer - The answer to show.
+ */
+export function showAnswer(container, question, answer) {
+    if (getQuestionType(question) === 'numeric') {
+        container.querySelector('.numeric-input').value = hasAnswer(answer) ? String(answer) : '';
+        return;
+    }
+    const letters = Array.isArray(answer) ? answer : [answer];
+    container.querySelectorAll('.option').forEach(option => {
+        markSelected(option, letters.includes(option.dataset.option));
+    });
+    // Keeps the chosen radio, or the first if none, as the one in the tab order.
+    const radios = Array.from(container.querySelectorAll('.option[role="radio"]'));
+    const focusable = radios.find(radio => radio.classList.contains('selected')) || radios[0];
+    radios.forEach(radio => radio.tabIndex = radio === focusable ? 0 : -1);
+}
+
+function markSelected(option, selected) {
+    option.classList.toggle('selected', selected);
+    option.setAttribute('aria-checked', String(selected));
+}
+
+/**
+ * Picks an option: selects it on a multiple-choice question, or toggles it on
+ * a select-all question.
+ * @param {HTMLElement} container - The element the controls were drawn into.
+ * @param {Object} question - The question.
+ * @param {string} letter - The option letter.
+ */
+export function selectOption(container, question, letter) {
+    if (getQuestionType(question) === 'select-all') {
+        const option = container.querySelector(`.option[data-option="${letter}"]`);
+        if (option) {
+            markSelected(option, !option.classList.contains('selected'));
+        }
+        return;
+    }
+    showAnswer(container, question, letter);
+}
+
+/**
+ * Stops any further input once a question has been answered.
+ * @param {HTMLElement} container - The element the controls were drawn into.
+ */
+export function lockAnswerInput(container) {
+    container.querySelectorAll('input, button').forEach(control => control.disabled = true);
+    container.querySelectorAll('.option').forEach(option => option.setAttribute('aria-disabled', 'true'));
+    container.classList.add('locked');
+}
+
+/**
+ * Works out how to mark an option once the correct answer is known.
+ * @param {Object} question - The question.
+ * @param {string} letter - The option's letter.
+ * @param {*} selectedAnswer - The player's answer.
+ * @param {*} correctAnswer - The correct answer.
+ * @returns {string|null} `correct`, `incorrect`, `missed` (a correct option the
+ * player left unselected on a select-all question) or null for no mark.
+ */
+export function getOptionMark(question, letter, selectedAnswer, correctAnswer) {
+    const selected = [].concat(selectedAnswer ?? []).includes(letter);
+    const correct = [].concat(correctAnswer).includes(letter);
+    if (selected) return correct ? 'correct' : 'incorrect';
+    if (!correct) return null;
+    return getQuestionType(question) === 'select-all' ? 'missed' : 'correct';
+}
+
+/**
+ * Turns a key press into an answer shortcut for the question on screen. Letters
+ * pick options, unless the player has turned shortcuts off; Enter submits the
+ * answer picked. Key presses in other fields, on links or in an open modal are
+ * ignored.
+ * @param {KeyboardEvent} event - The key press.
+ * @param {Object} question - The question on screen.
+ * @returns {Object|null} `{ letter }`, `{ submit: true }` or null.
+ */
+export function getAnswerShortcut(event, question) {
+    if (event.ctrlKey || event.metaKey || event.altKey) return null;
+    if (event.target.closest?.('.modal')) return null;
+    const field = event.target.closest?.('input, textarea, select, button, a');
+    if (event.key === 'Enter') {
+        const submits = !field || field.classList.contains('numeric-input');
+        return submits ? { submit: true } : null;
+    }
+    if (field && field.tagName !== 'BUTTON') return null;
+    if (!loadSettings().keyboardShortcuts) return null;
+    const letter = event.key.toUpperCase();
+    return getOptionLetters(question).includes(letter) ? { letter } : null;
+}
@@ -0,0 +1,190 @@
+// =================================================================================
+// QUESTION VIEW
+// =================================================================================
+// Draws a question and its result, and turns clicks and key presses into
+// answers. Shared by the daily and practice pages, which keep the game itself
+// in `src/engine.js` and tell the view what to show.
+import { announce } from './a11y.js';
+import { renderRichText, toPlainText } from './richtext.js';
+import { prefersReducedMotion } from './settings.js';
+import {
+    formatAnswer,
+    getAnswerShortcut,
+    getOptionMark,
+    getQuestionType,
+    lockAnswerInput,
+    readAnswer,
+    renderAnswerInput,
+    selectOption,
+    showAnswer,
+} from './questionTypes.js';
+
+const REVEAL_DELAY = 300;
+
+/**
+ * Creates the view over the page's question elements and starts listening
+ * for answers.
+ * @param {Object} options
+ * @param {Function} options.canAnswer - Whether the question on screen can be
+ * answered right now.
+ * @param {Function} options.onSubmit - Called with the player's answer once
+ * they confirm it.
+ * @returns {Object} The view.
+ */
+export function createQuestionView({ canAnswer, onSubmit }) {
+    const questionSubject = document.getElementById('question-subject');
+    const questionDifficulty = document.getElementById('question-difficulty');
+    const questionStem = document.getElementById('question-stem');
+    const optionsContainer = document.getElementById('options-container');
+    const feedbackText = document.getElementById('feedback-text');
+    const explanationContainer = document.getElementById('explanation-container');
+    const explanationText = document.getElementById('explanation-text');
+    let currentQuestion = null;
+
+    /**
+     * Displays a question and its options, with no answer given yet.
+     * @param {Object} question - The question.
+     */
+    function show(question) {
+        currentQuestion = question;
+        feedbackText.textContent = '';
+        explanationContainer.style.display = 'none';
+        questionSubject.textContent = question.subject;
+        questionDifficulty.textContent = question.difficulty;
+        renderRichText(questionStem, question.question);
+        renderAnswerInput(optionsContainer, question, { submitLabel: 'Submit' });
+    }
+
+    /**
+     * Shows a message in place of the question, e.g. when it failed to load.
+     * @param {string} text - The message.
+     */
+    function showMessage(text) {
+        currentQuestion = null;
+        questionStem.textContent = text;
+    }
+
+    /**
+     * Shows a line of feedback under the options.
+     * @param {string} text - The feedback; empty to clear it.
+     * @param {boolean} [shouldAnnounce] - Whether to read it out to screen readers.
+     */
+    function showFeedback(text, shouldAnnounce = false) {
+        feedbackText.textContent = text;
+        if (shouldAnnounce) {
+            announce(text);
+        }
+    }
+
+    /**
+     * Shows an answer given offline, locked until it can be checked.
+     * @param {*} answer - The player's answer.
+     */
+    function showQueued(answer) {
+        showAnswer(optionsContainer, currentQuestion, answer);
+        lockAnswerInput(optionsContainer);
+        showFeedback("You're offline. Your answer is saved and will be checked when you're back online.", true);
+    }
+
+    /**
+     * Marks the chosen and correct options, then shows the feedback and
+     * explanation.
+     * @param {*} answer - The player's answer.
+     * @param {Object} result - The server's verdict: `{ correct, answer, explanation }`.
+     * @param {Object} [options]
+     * @param {boolean} [options.animate] - Whether to play the reveal animation.
+     * Skipped anyway when the player prefers reduced motion.
+     * @param {boolean} [options.timedOut] - Whether time ran out on the question.
+     * @returns {Promise<boolean>} Resolves once the explanation is shown, to
+     * false if another question was shown first.
+     */
+    function reveal(answer, result, { animate = true, timedOut = false } = {}) {
+        const { correct: isCorrect, answer: correctAnswer } = result;
+        const question = currentQuestion;
+        animate = animate && !prefersReducedMotion();
+        const delay = animate ? REVEAL_DELAY : 0;
+        feedbackText.textContent = '';
+        showAnswer(optionsContainer, question, answer);
+        lockAnswerInput(optionsContainer);
+
+        const options = Array.from(optionsContainer.querySelectorAll('.option, .numeric-input'));
+        options.forEach((option, index) => {
+            setTimeout(() => {
+                if (animate) {
+                    option.classList.add('reveal');
+                }
+                const mark = option.dataset.option
+                    ? getOptionMark(question, option.dataset.option, answer, correctAnswer)
+                    : (isCorrect ? 'correct' : 'incorrect');
+                if (mark) {
+                    option.classList.add(mark);
+                }
+            }, index * delay);
+        });
+
+        // Show feedback and explanation after animation
+        return new Promise(resolve => setTimeout(() => {
+            if (question !== currentQuestion) {
+                resolve(false);
+                return;
+            }
+            feedbackText.textContent = isCorrect ? "Correct!" : timedOut ? "Time's up!" : "Incorrect!";
+            if (!isCorrect && getQuestionType(question) !== 'choice') {
+                feedbackText.textContent += ` The answer is ${formatAnswer(question, correctAnswer)}.`;
+            }
+            renderRichText(explanationText, result.explanation);
+            explanationContainer.style.display = 'block';
+            announce(`${feedbackText.textContent} ${toPlainText(result.explanation)}`);
+            resolve(true);
+        }, options.length * delay));
+    }
+
+    // --- Answer Input ---
+
+    /**
+     * Picks an option without answering yet: selects it on a multiple-choice
+     * question, or toggles it on a select-all question.
+     * @param {string} letter - The option letter.
+     */
+    function chooseOption(letter) {
+        feedbackText.textContent = '';
+        selectOption(optionsContainer, currentQuestion, letter);
+    }
+
+    /**
+     * Submits the answer picked or typed, once the player confirms it.
+     */
+    function submitEnteredAnswer() {
+        const answer = readAnswer(optionsContainer, currentQuestion);
+        if (answer === null) {
+            const type = getQuestionType(currentQuestion);
+            showFeedback(type === 'numeric' ? "Enter a number first."
+                : type === 'select-all' ? "Select at least one option first."
+                : "Select an option first.", true);
+            return;
+        }
+        onSubmit(answer);
+    }
+
+    optionsContainer.addEventListener('click', (event) => {
+        if (!currentQuestion || !canAnswer(currentQuestion)) return;
+        const selectedOption = event.target.closest('.option');
+        if (selectedOption) {
+            chooseOption(selectedOption.dataset.option);
+        } else if (event.target.closest('.submit-answer-button')) {
+            submitEnteredAnswer();
+        }
+    });
+
+    document.addEventListener('keydown', (event) => {
+        if (!currentQuestion || !canAnswer(currentQuestion)) return;
+        const shortcut = getAnswerShortcut(event, currentQuestion);
+        if (shortcut?.letter) {
+            chooseOption(shortcut.letter);
+        } else if (shortcut?.submit) {
+            submitEnteredAnswer();
+        }
+    });
+
+    return { optionsContainer, show, showMessage, showFeedback, showQueued, reveal };
+}
@@ -0,0 +1,59 @@
+// =================================================================================
+// PROBLEM REPORTS
+// =================================================================================
+// The "Report a problem" button under an explanation, and the form it opens.
+// Reports go to the admin review queue on the home page.
+import { announce, closeModal, openModal } from './a11y.js';
+import * as api from './api.js';
+import { isOfflineError } from './offline.js';
+
+/**
+ * Wires up the report button and the `#report-modal` form on a page.
+ * @param {Function} getQuestionId - Returns the id of the question on screen,
+ * or null if there is none.
+ */
+export function initReportForm(getQuestionId) {
+    const reportButton = document.getElementById('report-button');
+    const reportModal = document.getElementById('report-modal');
+    const categorySelect = document.getElementById('report-category');
+    const textInput = document.getElementById('report-text');
+    const submitButton = document.getElementById('report-submit-button');
+    const status = document.getElementById('report-status');
+    let questionId = null;
+
+    reportButton.addEventListener('click', () => {
+        questionId = getQuestionId();
+        if (questionId === null) return;
+        categorySelect.value = 'wrong-answer';
+        textInput.value = '';
+        status.textContent = '';
+        submitButton.disabled = false;
+        openModal(reportModal);
+    });
+
+    submitButton.addEventListener('click', async () => {
+        const category = categorySelect.value;
+        const text = textInput.value.trim();
+        if (category === 'other' && !text) {
+            status.textContent = 'Please describe the problem.';
+            announce(status.textContent);
+            textInput.focus();
+            return;
+        }
+
+        submitButton.disabled = true;
+        try {
+            await api.reportProblem(questionId, category, text);
+            status.textContent = "Thanks! We'll take a look.";
+            announce(status.textContent);
+            setTimeout(() => closeModal(reportModal), 1500);
+        } catch (error) {
+            console.error("Could not send report:", error);
+            status.textContent = isOfflineError(error)
+                ? "You're offline. Please try again once you're back online."
+                : `Could not send report: ${error.message}`;
+            announce(status.textContent);
+            submitButton.disabled = false;
+        }
+    });
+}
@@ -0,0 +1,75 @@
+// =================================================================================
+// SPACED REPETITION (LEITNER BOXES)
+// =================================================================================
+// A missed question becomes a card in box 1. Answering a due card correctly
+// moves it up a box, which pushes its next review further out; missing it
+// sends it back to box 1. A card answered correctly in the last box is retired.
+import { addDays, getToday } from './dates.js';
+import { readJson, writeJson } from './storage.js';
+
+const REVIEW_KEY = 'oatdleReview';
+
+/**
+ * Days until the next review, indexed by box number (box 1 is index 1).
+ */
+const BOX_INTERVALS = [0, 1, 2, 4, 8, 16];
+const LAST_BOX = BOX_INTERVALS.length - 1;
+
+/**
+ * Loads every card.
+ * @returns {Object<number, Object>} `{ box, due, lastReviewed }` keyed by
+ * question id. Dates are `YYYY-MM-DD`.
+ */
+export function loadCards() {
+    return readJson(REVIEW_KEY, {});
+}
+
+function saveCards(cards) {
+    writeJson(REVIEW_KEY, cards);
+}
+
+/**
+ * Puts a missed question back in box 1, due tomorrow.
+ * @param {number} questionId - The question id.
+ */
+export function addMissedQuestion(questionId) {
+    const today = getToday();
+    const cards = loadCards();
+    cards[questionId] = { box: 1, due: addDays(today, BOX_INTERVALS[1]), lastReviewed: today };
+    saveCards(cards);
+}
+
+/**
+ * Records the answer to a card reviewed in "Review due" mode.
+ * @param {number} questionId - The question id.
+ * @param {boolean} correct - Whether it was answered correctly.
+ */
+export function recordReview(questionId, correct) {
+    if (!correct) {
+        addMissedQuestion(questionId);
+        return;
+    }
+    const today = getToday();
+    const cards = loadCards();
+    const card = cards[questionId];
+    if (!card) return;
+    if (card.box >= LAST_BOX) {
+        delete cards[questionId];
+    } else {
+        const box = card.box + 1;
+        cards[questionId] = { box, due: addDays(today, BOX_INTERVALS[box]), lastReviewed: today };
+    }
+    saveCards(cards);
+}
+
+/**
+ * Lists the cards due for review, most overdue first.
+ * @param {string} [today] - Today's date, as `YYYY-MM-DD`.
+ * @returns {Array<number>} The question ids.
+ */
+export function getDueQuestionIds(today = getToday()) {
+    return Object.entries(loadCards())
+        .filter(([, card]) => card.due <= today)
+        .sort(([, a], [, b]) => a.due.localeCompare(b.due) || a.box - b.box)
+        .map(([id]) => Number(id));
+}
@@ -0,0 +1,286 @@
+// =================================================================================
+// RICH TEXT
+// =================================================================================
+// Question stems, options, explanations and passages are written in a small
+// markup language:
+//
+//   x^2, x^{n+1}        superscript (one number, letter or sign, or a {group})
+//   H_2, a_{max}        subscript
+//   \( ... \)           inline math, in a math font
+//   \frac{a}{b}         fraction
+//   \sqrt{x}            square root
+//   \times, \pm, \Delta, \alpha, ...   symbols (see SYMBOLS)
+//   \ce{H2SO4}          chemical formula: numbers after an element are
+//                       subscripts, a trailing + or - is a charge, `->` is an
+//                       arrow; write other charges as ^{2+}
+//   ![alt](/images/x.png)   image (same-site or https only)
+//   \^ \_ \\ \{ \} \[ \] \!   the character itself
+//
+// Markup is parsed into a tree and drawn with DOM methods only, never as HTML,
+// so nothing an author writes can run script on the page.
+
+const SYMBOLS = {
+    times: '×', cdot: '·', div: '÷', pm: '±', mp: '∓',
+    leq: '≤', geq: '≥', neq: '≠', approx: '≈', propto: '∝', infty: '∞',
+    to: '→', rightarrow: '→', leftarrow: '←', leftrightarrow: '↔', rightleftharpoons: '⇌',
+    degree: '°', angstrom: 'Å', partial: '∂', sum: '∑', int: '∫',
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', theta: 'θ',
+    lambda: 'λ', mu: 'μ', nu: 'ν', pi: 'π', rho: 'ρ', sigma: 'σ', tau: 'τ',
+    phi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+    Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Pi: 'Π', Sigma: 'Σ', Phi: 'Φ', Omega: 'Ω',
+};
+const ESCAPABLE = '\\^_{}[]!';
+const SAFE_DATA_IMAGE = /^data:image\/(png|jpeg|gif|webp);base64,[A-Za-z0-9+/=]+$/;
+
+// --- Parsing ---
+
+/**
+ * Parses rich-text markup into a tree.
+ * @param {string} source - The markup.
+ * @returns {Array<Object>} Nodes of `{ type: 'text', text }`, `{ type: 'sup' |
+ * 'sub' | 'math' | 'chem' | 'sqrt', children }`, `{ type: 'frac', numerator,
+ * denominator }` or `{ type: 'image', src, alt }`.
+ */
+export function parseRichText(source) {
+    return parseSequence({ source: String(source ?? ''), pos: 0 }, null, false);
+}
+
+/**
+ * Parses until `stop` (or the end), leaving the position on `stop`.
+ * @param {Object} state - `{ source, pos }`.
+ * @param {string|null} stop - The text that ends the sequence.
+ * @param {boolean} chem - Whether chemical formula rules apply.
+ * @returns {Array<Object>} The nodes.
+ */
+function parseSequence(state, stop, chem) {
+    const nodes = [];
+    let text = '';
+    const push = (node) => {
+        if (text) nodes.push({ type: 'text', text });
+        text = '';
+        nodes.push(node);
+    };
+
+    while (state.pos < state.source.length) {
+        const rest = state.source.slice(state.pos);
+        const ch = rest[0];
+        if (stop && rest.startsWith(stop)) break;
+
+        if (ch === '\\') {
+            if (rest.startsWith('\\(')) {
+                state.pos += 2;
+                const children = parseSequence(state, '\\)', false);
+                state.pos += 2;
+                push({ type: 'math', children });
+                continue;
+            }
+            if (rest.length > 1 && ESCAPABLE.includes(rest[1])) {
+                text += rest[1];
+                state.pos += 2;
+                continue;
+            }
+            const command = /^\\([A-Za-z]+)/.exec(rest);
+            if (command) {
+                state.pos += command[0].length;
+                const node = parseCommand(state, command[1], chem);
+                if (node) {
+                    push(node);
+                } else if (Object.hasOwn(SYMBOLS, command[1])) {
+                    text += SYMBOLS[command[1]];
+                } else {
+                    // Unknown commands are shown as typed.
+                    text += command[0];
+                }
+                continue;
+            }
+        }
+
+        if (ch === '^' || ch === '_') {
+            state.pos++;
+            const children = parseScript(state);
+            if (children) {
+                push({ type: ch === '^' ? 'sup' : 'sub', children });
+            } else {
+                text += ch;
+            }
+            continue;
+        }
+
+        if (!chem && ch === '!') {
+            const image = /^!\[([^\]]*)\]\(([^)\s]+)\)/.exec(rest);
+            if (image) {
+                state.pos += image[0].length;
+                push({ type: 'image', alt: image[1], src: image[2] });
+                continue;
+            }
+        }
+
+        if (chem) {
+            const previous = state.source[state.pos - 1] || '';
+            if (rest.startsWith('->')) {
+                text += '→';
+                state.pos += 2;
+                continue;
+            }
+            if (rest.startsWith('<=>')) {
+                text += '⇌';
+                state.pos += 3;
+                continue;
+            }
+            if (/[0-9]/.test(ch) && /[A-Za-z)\]]/.test(previous)) {
+                const digits = /^[0-9]+/.exec(rest)[0];
+                state.pos += digits.length;
+                push({ type: 'sub', children: [{ type: 'text', text: digits }] });
+                continue;
+            }
+            if (/[+-]/.test(ch) && /[A-Za-z0-9)\]]/.test(previous) && /^[+-]($|[\s\])}])/.test(rest)) {
+                state.pos++;
+                push({ type: 'sup', children: [{ type: 'text', text: ch === '-' ? '−' : '+' }] });
+                continue;
+            }
+        }
+
+        text += ch;
+        state.pos++;
+    }
+    if (text) nodes.push({ type: 'text', text });
+    return nodes;
+}
+
+function parseCommand(state, name, chem) {
+    const hasGroup = state.source[state.pos] === '{';
+    if (!hasGroup) return null;
+    switch (name) {
+        case 'ce':
+            return { type: 'chem', children: parseGroup(state, true) };
+        case 'sqrt':
+            return { type: 'sqrt', children: parseGroup(state, chem) };
+        case 'frac': {
+            const numerator = parseGroup(state, chem);
+            const denominator = state.source[state.pos] === '{' ? parseGroup(state, chem) : [];
+            return { type: 'frac', numerator, denominator };
+        }
+        default:
+            return null;
+    }
+}
+
+function parseGroup(state, chem) {
+    state.pos++;
+    const children = parseSequence(state, '}', chem);
+    state.pos++;
+    return children;
+}
+
+/**
+ * Parses what follows `^` or `_`: a `{group}`, a signed number, a single
+ * letter or a lone sign. Chemical formula rules stop at the script, so that
+ * `^{3+}` is a charge rather than a 3 with a charge of its own.
+ * @returns {Array<Object>|null} The nodes, or null if nothing follows.
+ */
+function parseScript(state) {
+    if (state.source[state.pos] === '{') {
+        return parseGroup(state, false);
+    }
+    const match = /^([+-]?(\d+(\.\d+)?|[A-Za-z])|[+-])/.exec(state.source.slice(state.pos));
+    if (!match) return null;
+    state.pos += match[0].length;
+    return [{ type: 'text', text: match[0].replace('-', '−') }];
+}
+
+// --- Output ---
+
+/**
+ * Reduces rich-text markup to plain text, e.g. for labels and `<option>`s.
+ * @param {string} source - The markup.
+ * @returns {string} The text.
+ */
+export function toPlainText(source) {
+    return nodesToText(parseRichText(source));
+}
+
+function nodesToText(nodes) {
+    return nodes.map(node => {
+        switch (node.type) {
+            case 'text': return node.text;
+            case 'sup': return `^${nodesToText(node.children)}`;
+            case 'frac': return `${nodesToText(node.numerator)}/${nodesToText(node.denominator)}`;
+            case 'sqrt': return `√(${nodesToText(node.children)})`;
+            case 'image': return `[${node.alt || 'image'}]`;
+            default: return nodesToText(node.children);
+        }
+    }).join('');
+}
+
+/**
+ * Returns an image address if it is safe to load: same-site, https, or an
+ * inline raster image.
+ * @param {string} src - The address as written.
+ * @returns {string|null} The address to use, or null to refuse it.
+ */
+function safeImageSource(src) {
+    if (SAFE_DATA_IMAGE.test(src)) return src;
+    try {
+        const url = new URL(src, window.location.href);
+        if (url.protocol === 'https:' || url.origin === window.location.origin) {
+            return url.href;
+        }
+    } catch {
+        // Not a URL at all.
+    }
+    return null;
+}
+
+function createElement(tag, className, children) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    element.append(...children);
+    return element;
+}
+
+function nodesToDom(nodes) {
+    return nodes.map(node => {
+        switch (node.type) {
+            case 'text':
+                return document.createTextNode(node.text);
+            case 'sup':
+            case 'sub':
+                return createElement(node.type, null, nodesToDom(node.children));
+            case 'math':
+                return createElement('span', 'math', nodesToDom(node.children));
+            case 'chem':
+                return createElement('span', 'chem', nodesToDom(node.children));
+            case 'sqrt':
+                return createElement('span', 'sqrt', [
+                    '√',
+                    createElement('span', 'sqrt-body', nodesToDom(node.children)),
+                ]);
+            case 'frac':
+                return createElement('span', 'frac', [
+                    createElement('span', 'frac-numerator', nodesToDom(node.numerator)),
+                    createElement('span', 'frac-denominator', nodesToDom(node.denominator)),
+                ]);
+            case 'image': {
+                const src = safeImageSource(node.src);
+                if (!src) return document.createTextNode(`[${node.alt || 'image'}]`);
+                const image = document.createElement('img');
+                image.className = 'rich-image';
+                image.src = src;
+                image.alt = node.alt;
+                image.loading = 'lazy';
+                return image;
+            }
+            default:
+                return document.createTextNode('');
+        }
+    });
+}
+
+/**
+ * Draws rich-text markup into an element, replacing its contents.
+ * @param {HTMLElement} element - The element to draw into.
+ * @param {string} source - The markup.
+ */
+export function renderRichText(element, source) {
+    element.replaceChildren(...nodesToDom(parseRichText(source)));
+}
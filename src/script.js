@@ -1,26 +1,62 @@
+import { announce, initModals, openModal } from './a11y.js';
+import * as api from './api.js';
+import { addDays, getToday } from './dates.js';
+import * as engine from './engine.js';
+import * as history from './history.js';
+import * as offline from './offline.js';
+import { showPassage } from './passage.js';
+import { initPlanner, renderPlanProgress } from './plannerView.js';
+import { createQuestionView } from './questionView.js';
+import { buildShareText, shareResultCard, shareText } from './share.js';
+import { initReportForm } from './report.js';
+import { renderRichText, toPlainText } from './richtext.js';
+import { applySettings, HARD_MODE_SECONDS, loadSettings, prefersReducedMotion, saveSettings } from './settings.js';
+import {
+    formatAnswer,
+    getQuestionType,
+    isPracticeOnly,
+    lockAnswerInput,
+    renderAnswerInput,
+} from './questionTypes.js';
+import { MIN_OPTIONS, OPTION_LETTERS } from './questionRules.js';
+
 // =================================================================================
 // DOM & UI ELEMENTS
 // =================================================================================
-const questionSubject = document.getElementById('question-subject');
-const questionDifficulty = document.getElementById('question-difficulty');
-const questionStem = document.getElementById('question-stem');
-const optionsContainer = document.getElementById('options-container');
-const feedbackText = document.getElementById('feedback-text');
-const explanationContainer = document.getElementById('explanation-container');
-const explanationText = document.getElementById('explanation-text');
+const questionView = createQuestionView({
+    canAnswer: () => !engine.isGameLocked(gameState),
+    onSubmit: handleAnswerSubmission,
+});
+
 const countdownTimer = document.getElementById('countdown-timer');
 const gamesPlayedEl = document.getElementById('games-played');
 const winPercentageEl = document.getElementById('win-percentage');
 const currentStreakEl = document.getElementById('current-streak');
 const maxStreakEl = document.getElementById('max-streak');
+const weakestSubjectEl = document.getElementById('weakest-subject');
+const globalSolveRateEl = document.getElementById('global-solve-rate');
+const subjectBreakdownEl = document.getElementById('subject-breakdown');
+const difficultyBreakdownEl = document.getElementById('difficulty-breakdown');
+const statsHeatmapEl = document.getElementById('stats-heatmap');
 const shareButton = document.getElementById('share-button');
+const shareImageButton = document.getElementById('share-image-button');
+const shareFallback = document.getElementById('share-fallback');
+const shareFallbackText = document.getElementById('share-fallback-text');
+const puzzleBanner = document.getElementById('puzzle-banner');
+const hardModeTimer = document.getElementById('hard-mode-timer');
+
+// Settings Elements
+const themeSetting = document.getElementById('setting-theme');
+const reducedMotionSetting = document.getElementById('setting-reduced-motion');
+const keyboardShortcutsSetting = document.getElementById('setting-keyboard-shortcuts');
+const hardModeSetting = document.getElementById('setting-hard-mode');
+const hardModeDescription = document.getElementById('hard-mode-description');
 
 // Modals
 const statsModal = document.getElementById('stats-modal');
 const settingsModal = document.getElementById('settings-modal');
 const helpModal = document.getElementById('help-modal');
 const adminModal = document.getElementById('admin-modal');
-const closeButtons = document.querySelectorAll('.close-button');
 
 // Header Buttons
 const helpButton = document.getElementById('help-button');
@@ -28,33 +64,83 @@ const statsButton = document.getElementById('stats-button');
 const settingsButton = document.getElementById('settings-button');
 
 // Admin Panel Elements
+const adminUsernameInput = document.getElementById('admin-username');
 const adminPasswordInput = document.getElementById('admin-password');
 const adminLoginButton = document.getElementById('admin-login-button');
+const adminLogoutButton = document.getElementById('admin-logout-button');
+const adminUserLabel = document.getElementById('admin-user');
+const auditLogList = document.getElementById('audit-log');
 const adminDashboard = document.getElementById('admin-dashboard');
 const adminLogin = document.getElementById('admin-login');
 const questionList = document.getElementById('question-list');
 const addQuestionButton = document.getElementById('add-question-button');
-const setDailyQuestionButton = document.getElementById('set-daily-question-button');
-const dailyQuestionIdInput = document.getElementById('daily-question-id');
+const cancelEditButton = document.getElementById('cancel-edit-button');
+const questionFormTitle = document.getElementById('question-form-title');
+const questionTypeSelect = document.getElementById('new-question-type');
+const questionPassageSelect = document.getElementById('new-question-passage');
+const passageList = document.getElementById('passage-list');
+const passageFormTitle = document.getElementById('passage-form-title');
+const passageTitleInput = document.getElementById('new-passage-title');
+const passageTextInput = document.getElementById('new-passage-text');
+const savePassageButton = document.getElementById('save-passage-button');
+const cancelPassageButton = document.getElementById('cancel-passage-button');
+const questionOptionsList = document.getElementById('new-question-options');
+const addOptionButton = document.getElementById('add-option-button');
+const questionAnswerInput = document.getElementById('new-question-answer');
+const questionToleranceInput = document.getElementById('new-question-tolerance');
+const addQuestionForm = document.getElementById('add-question-form');
+const previewStem = document.getElementById('preview-stem');
+const previewOptions = document.getElementById('preview-options');
+const previewAnswer = document.getElementById('preview-answer');
+const previewExplanation = document.getElementById('preview-explanation');
+const calendarTitle = document.getElementById('calendar-title');
+const calendarGrid = document.getElementById('calendar-grid');
+const calendarPrevButton = document.getElementById('calendar-prev');
+const calendarNextButton = document.getElementById('calendar-next');
+const scheduleGaps = document.getElementById('schedule-gaps');
+const scheduleEditor = document.getElementById('schedule-editor');
+const scheduleEditorDate = document.getElementById('schedule-editor-date');
+const scheduleQuestionSelect = document.getElementById('schedule-question');
+const scheduleSaveButton = document.getElementById('schedule-save-button');
+const scheduleClearButton = document.getElementById('schedule-clear-button');
+const analyticsSummary = document.getElementById('analytics-summary');
+const analyticsFlaggedOnly = document.getElementById('analytics-flagged-only');
+const analyticsList = document.getElementById('analytics-list');
+const reportQueueSummary = document.getElementById('report-queue-summary');
+const reportQueue = document.getElementById('report-queue');
+const resolveReportFields = document.getElementById('resolve-report-fields');
+const resolvingReportLabel = document.getElementById('resolving-report');
+const errataNoteInput = document.getElementById('errata-note');
+const questionErrata = document.getElementById('question-errata');
+const questionErrataList = document.getElementById('question-errata-list');
 
 // =================================================================================
 // GAME STATE & DATA
 // =================================================================================
 let questions = [];
+let passages = [];
+let currentPuzzle = null;
 let currentQuestion = null;
-let gameState = {
-    gameFinished: false,
-    lastPlayedTs: null,
-    lastPlayedAnswer: null,
-};
-let userStats = {
-    gamesPlayed: 0,
-    wins: 0,
-    currentStreak: 0,
-    maxStreak: 0,
-};
-const ADMIN_PASSWORD = "oat";
+let isArchive = false;
+let gameState = engine.createGameState();
+let isCheckingAnswer = false;
+let hardModeInterval = null;
+let hardModeRetry = null;
+let distribution = null;
 let isAdmin = false;
+let editingQuestionId = null;
+let editingPassageId = null;
+let calendarStart = null;
+let selectedScheduleDate = null;
+let analytics = null;
+let openReports = [];
+let resolvingReportId = null;
+
+const CALENDAR_WEEKS = 5;
+const HEATMAP_WEEKS = 12;
+const SHARE_DAYS = 7;
+const TIMEOUT_RETRY_MS = 1000;
+const MAX_TIMEOUT_RETRY_MS = 30 * 1000;
 
 // =================================================================================
 // INITIALIZATION
@@ -64,18 +150,39 @@ let isAdmin = false;
  * Initializes the application.
  */
 async function init() {
-    loadStats();
-    loadGameState();
-    const loadedQuestions = await fetchQuestions();
+    applySettings();
+    offline.registerServiceWorker();
+    history.migrateLegacyData();
 
     const urlParams = new URLSearchParams(window.location.search);
     if (urlParams.get('admin') === 'true') {
-        adminModal.style.display = 'block';
+        openModal(adminModal);
+    }
+    const session = await api.verifyAdminSession();
+    if (session) {
+        showAdminDashboard(session);
     }
     
-    const dailyQuestion = getDailyQuestion(loadedQuestions);
-    displayQuestion(dailyQuestion);
-    restoreGameState();
+    const requestedPuzzle = parseInt(urlParams.get('puzzle'), 10);
+    isArchive = Number.isInteger(requestedPuzzle);
+    currentPuzzle = isArchive ? await fetchArchivePuzzle(requestedPuzzle) : await fetchDailyPuzzle();
+    if (!currentPuzzle) return;
+    if (isArchive) {
+        gameState = engine.loadArchiveGame(currentPuzzle.puzzleNumber);
+        showArchiveBanner();
+    } else {
+        gameState = engine.loadDailyGame(currentPuzzle.date);
+    }
+    showPassage(currentPuzzle.passage);
+    displayQuestion(currentPuzzle.question);
+    if (gameState.gameFinished) {
+        restoreGameState();
+    } else if (gameState.queued) {
+        questionView.showQueued(gameState.lastPlayedAnswer);
+    } else {
+        startTimer();
+    }
+    syncQueuedAnswers();
 }
 
 init();
@@ -85,66 +192,152 @@ init();
 // =================================================================================
 
 /**
- * Fetches the questions from the JSON file.
+ * Fetches today's puzzle. Its answer stays on the server until the player
+ * submits one.
+ * @returns {Promise<Object|null>} The puzzle, or null if it could not be loaded.
+ */
+async function fetchDailyPuzzle() {
+    try {
+        return await api.getDailyPuzzle();
+    } catch (error) {
+        console.error("Could not fetch the daily question:", error);
+        questionView.showMessage(offline.isOfflineError(error)
+            ? "You're offline. Reconnect and refresh the page to load today's question."
+            : "Failed to load today's question. Please try refreshing the page.");
+        return null;
+    }
+}
+
+/**
+ * Fetches a past puzzle to play from the archive.
+ * @param {number} puzzleNumber - The puzzle number.
+ * @returns {Promise<Object|null>} The puzzle, or null if it could not be loaded.
+ */
+async function fetchArchivePuzzle(puzzleNumber) {
+    try {
+        return await api.getArchivePuzzle(puzzleNumber);
+    } catch (error) {
+        console.error("Could not fetch the archive puzzle:", error);
+        if (error.status === 404) {
+            questionView.showMessage(`Puzzle #${puzzleNumber} is not in the archive.`);
+        } else if (error.status === 410) {
+            questionView.showMessage(`Puzzle #${puzzleNumber} is no longer available.`);
+        } else {
+            questionView.showMessage("Failed to load the puzzle. Please try refreshing the page.");
+        }
+        return null;
+    }
+}
+
+/**
+ * Fetches the full question bank for the admin dashboard.
  * @returns {Promise<Array>} A promise that resolves to the array of questions.
  */
 async function fetchQuestions() {
     try {
-        const res = await fetch('/questions.json');
-        if (!res.ok) {
-            throw new Error(`HTTP error! status: ${res.status}`);
-        }
-        const data = await res.json();
-        questions = data.questions;
-        return questions;
+        questions = await api.listQuestions();
     } catch (error) {
         console.error("Could not fetch questions:", error);
-        questionStem.textContent = "Failed to load questions. Please try refreshing the page.";
-        return [];
+        alert("Failed to load questions.");
     }
+    return questions;
 }
 
 /**
- * Gets the question for the current day based on the day of the year.
- * @param {Array} questions - The array of questions.
- * @returns {Object|null} The question for the current day, or null if not found.
+ * Fetches the reading passages for the admin panel.
+ * @returns {Promise<Array>} The passages.
  */
-function getDailyQuestion(questions) {
-    if (!questions || questions.length === 0) return null;
-    const now = new Date();
-    const start = new Date(now.getFullYear(), 0, 0);
-    const diff = now - start;
-    const oneDay = 1000 * 60 * 60 * 24;
-    const dayOfYear = Math.floor(diff / oneDay);
-    const questionIndex = dayOfYear % questions.length;
-    return questions[questionIndex];
+async function fetchPassages() {
+    try {
+        passages = await api.listPassages();
+    } catch (error) {
+        console.error("Could not fetch passages:", error);
+        alert("Failed to load passages.");
+    }
+    return passages;
 }
 
-// --- Local Storage Functions ---
+// --- Timer ---
 
-function saveStats() {
-    localStorage.setItem('oatdleStats', JSON.stringify(userStats));
+/**
+ * Starts the clock on the puzzle, along with the hard mode countdown if the
+ * puzzle is played in hard mode.
+ */
+function startTimer() {
+    engine.startGame(gameState, currentPuzzle, { archive: isArchive, hardMode: loadSettings().hardMode });
+    if (gameState.hardMode) {
+        startHardModeTimer();
+    }
 }
 
-function loadStats() {
-    const stats = localStorage.getItem('oatdleStats');
-    if (stats) {
-        userStats = JSON.parse(stats);
-    }
+// --- Hard Mode ---
+
+/**
+ * Counts down the time left to answer in hard mode, and ends the puzzle once
+ * it runs out.
+ */
+function startHardModeTimer() {
+    stopHardModeTimer();
+    hardModeTimer.style.display = 'block';
+    const tick = () => {
+        if (engine.isGameLocked(gameState)) {
+            stopHardModeTimer();
+            return;
+        }
+        const remaining = Math.max(0, Math.ceil((engine.getHardModeDeadline(gameState) - Date.now()) / 1000));
+        hardModeTimer.textContent = `Hard mode: ${remaining}s left`;
+        hardModeTimer.classList.toggle('low', remaining <= 10);
+        if (remaining === 0) {
+            clearInterval(hardModeInterval);
+            handleTimeout();
+        }
+    };
+    tick();
+    hardModeInterval = setInterval(tick, 250);
 }
 
-function saveGameState() {
-    localStorage.setItem('oatdleGameState', JSON.stringify(gameState));
+function stopHardModeTimer() {
+    clearInterval(hardModeInterval);
+    clearTimeout(hardModeRetry);
+    hardModeTimer.style.display = 'none';
 }
 
-function loadGameState() {
-    const state = localStorage.getItem('oatdleGameState');
-    if (state) {
-        const savedState = JSON.parse(state);
-        if (new Date(savedState.lastPlayedTs).toDateString() === new Date().toDateString()) {
-            gameState = savedState;
+/**
+ * Ends a hard mode puzzle as a loss once time runs out, then reveals the
+ * answer. Offline, the loss is queued like any other answer. If the server
+ * fails, the answer is asked for again, waiting twice as long each time; if
+ * it turns the answer down, e.g. because the puzzle is gone, that is final.
+ * @param {number} [retryDelay] - How long to wait before asking again.
+ */
+async function handleTimeout(retryDelay = TIMEOUT_RETRY_MS) {
+    if (engine.isGameLocked(gameState) || isCheckingAnswer) return;
+
+    isCheckingAnswer = true;
+    const outcome = await engine.evaluateAnswer(currentQuestion.id, null, { check: engine.submitToPuzzle(currentPuzzle, isArchive) });
+    isCheckingAnswer = false;
+    if (outcome.error) {
+        console.error("Could not fetch the answer:", outcome.error);
+        if (outcome.error.status >= 500) {
+            questionView.showFeedback("Time's up! Could not load the answer. Retrying...");
+            hardModeRetry = setTimeout(() => handleTimeout(Math.min(retryDelay * 2, MAX_TIMEOUT_RETRY_MS)), retryDelay);
+        } else {
+            stopHardModeTimer();
+            questionView.showFeedback(`Time's up! Could not load the answer: ${outcome.error.message}`);
         }
+        return;
     }
+    stopHardModeTimer();
+    gameState.timedOut = true;
+    settleAnswer(null, outcome);
+}
+
+function showArchiveBanner() {
+    const date = new Date(currentPuzzle.date).toLocaleDateString(undefined, { dateStyle: 'medium', timeZone: 'UTC' });
+    const todayLink = document.createElement('a');
+    todayLink.href = '/';
+    todayLink.textContent = "Play today's puzzle";
+    puzzleBanner.replaceChildren(`Archive · Puzzle #${currentPuzzle.puzzleNumber} · ${date} · `, todayLink);
+    puzzleBanner.style.display = 'block';
 }
 
 // =================================================================================
@@ -157,106 +350,173 @@ function loadGameState() {
  */
 function displayQuestion(question) {
     if (!question) {
-        questionStem.textContent = "No question available for today.";
+        questionView.showMessage("No question available for today.");
         return;
     }
     currentQuestion = question;
-    questionSubject.textContent = question.subject;
-    questionDifficulty.textContent = question.difficulty;
-    questionStem.textContent = question.question;
+    questionView.show(question);
+}
 
-    optionsContainer.innerHTML = '';
-    for (const [key, value] of Object.entries(question.options)) {
-        const option = document.createElement('div');
-        option.className = 'option';
-        option.dataset.option = key;
-        option.innerHTML = `<span class="option-letter">${key}</span> <span class="option-text">${value}</span>`;
-        optionsContainer.appendChild(option);
+/**
+ * Handles the submission of an answer by checking it with the server.
+ * @param {*} selectedAnswer - The chosen option letter, or the typed number
+ * for numeric questions.
+ */
+async function handleAnswerSubmission(selectedAnswer) {
+    if (engine.isGameLocked(gameState) || isCheckingAnswer) return;
+    if (engine.isPastHardModeDeadline(gameState)) {
+        handleTimeout();
+        return;
+    }
+
+    isCheckingAnswer = true;
+    const outcome = await engine.evaluateAnswer(currentQuestion.id, selectedAnswer, { check: engine.submitToPuzzle(currentPuzzle, isArchive) });
+    isCheckingAnswer = false;
+    if (outcome.error) {
+        console.error("Could not check answer:", outcome.error);
+        questionView.showFeedback("Could not check your answer. Please try again.");
+        return;
     }
+    settleAnswer(selectedAnswer, outcome);
 }
 
 /**
- * Handles the submission of an answer.
- * @param {string} selectedAnswer - The letter of the selected answer (A, B, C, or D).
+ * Finishes the puzzle once its answer is checked, or saves the answer to be
+ * checked later if the player is offline.
+ * @param {*} selectedAnswer - The player's answer, or null if time ran out.
+ * @param {Object} outcome - From `engine.evaluateAnswer`.
  */
-function handleAnswerSubmission(selectedAnswer) {
-    if (gameState.gameFinished) return;
+function settleAnswer(selectedAnswer, outcome) {
+    if (outcome.offline) {
+        engine.queueGame(gameState, currentPuzzle, currentQuestion, selectedAnswer, isArchive);
+        questionView.showQueued(selectedAnswer);
+        return;
+    }
+    engine.noteAnswer(gameState, currentPuzzle, currentQuestion, selectedAnswer);
+    finishGame(outcome.result);
+}
 
-    gameState.gameFinished = true;
-    gameState.lastPlayedTs = new Date().getTime();
-    gameState.lastPlayedAnswer = selectedAnswer;
+/**
+ * Saves and logs the finished puzzle on screen, then reveals the answer.
+ * @param {Object} result - The server's verdict: `{ correct, answer, explanation }`.
+ */
+function finishGame(result) {
+    engine.finishGame(gameState, result, isArchive);
+    renderPlanProgress();
+    revealAnswer();
+    // The answer was added to everyone's results when it was submitted.
+    showDistribution(api.getResults(currentPuzzle.puzzleNumber));
+}
 
-    const correctAnswer = currentQuestion.answer;
-    const isCorrect = selectedAnswer === correctAnswer;
+// --- Offline Answers ---
 
-    updateStats(isCorrect);
-    
-    // Animate the answer reveal
-    const options = Array.from(optionsContainer.children);
-    options.forEach((option, index) => {
-        setTimeout(() => {
-            option.classList.add('reveal');
-            const optionLetter = option.dataset.option;
-
-            if (optionLetter === selectedAnswer) {
-                option.classList.add(isCorrect ? 'correct' : 'incorrect');
-            } else if (optionLetter === correctAnswer) {
-                option.classList.add('correct');
-            }
+/**
+ * Checks the answers given while offline. The one for the puzzle on screen is
+ * revealed; any others are saved and logged quietly. A puzzle whose answer the
+ * server turned down can be answered again.
+ */
+function syncQueuedAnswers() {
+    const isOnScreen = ({ archive, state }) => gameState.queued && archive === isArchive
+        && state.puzzleNumber === currentPuzzle?.puzzleNumber;
 
-        }, index * 300);
+    offline.flushOutbox('daily', ({ context }, result) => {
+        const { archive, state: { queued, ...state } } = context;
+        if (isOnScreen(context)) {
+            finishGame(result);
+        } else {
+            engine.saveFinishedGame({ ...state, gameFinished: true, result }, archive);
+            renderPlanProgress();
+        }
+    }, ({ context }) => {
+        const onScreen = isOnScreen(context);
+        const unlocked = engine.dropQueuedGame(context.state, context.archive);
+        if (!onScreen || !unlocked) return;
+        gameState = unlocked;
+        questionView.show(currentQuestion);
+        questionView.showFeedback("Your answer could not be checked. Please answer again.", true);
+        startTimer();
     });
-
-    // Show feedback and explanation after animation
-    setTimeout(() => {
-        feedbackText.textContent = isCorrect ? "Correct!" : "Incorrect!";
-        explanationText.textContent = currentQuestion.explanation;
-        explanationContainer.style.display = 'block';
-
-        saveStats();
-        saveGameState();
-        
-        document.getElementById('countdown-container').style.display = 'block';
-        startCountdown();
-    }, options.length * 300);
 }
 
+// --- Answer Distribution ---
+
 /**
- * Updates the user's statistics based on the result of the game.
- * @param {boolean} isCorrect - Whether the user's answer was correct.
+ * Shows how everyone answered once the tally arrives: the share of players
+ * picking each option, and the solve rate in the stats modal. The tally is
+ * extra, so failing to load it is only logged.
+ * @param {Promise<Object>} request - The pending tally.
  */
-function updateStats(isCorrect) {
-    userStats.gamesPlayed += 1;
-    if (isCorrect) {
-        userStats.wins += 1;
-        userStats.currentStreak += 1;
-    } else {
-        userStats.currentStreak = 0;
+async function showDistribution(request) {
+    try {
+        distribution = await request;
+    } catch (error) {
+        console.error("Could not load how others answered:", error);
+        return;
     }
+    renderOptionPercentages();
+    updateGlobalSolveRate();
+}
+
+function renderOptionPercentages() {
+    if (!distribution || distribution.total === 0) return;
+    questionView.optionsContainer.querySelectorAll('.option').forEach(option => {
+        const count = distribution.counts[option.dataset.option] || 0;
+        let label = option.querySelector('.option-percentage');
+        if (!label) {
+            label = document.createElement('span');
+            label.className = 'option-percentage';
+            option.appendChild(label);
+        }
+        label.textContent = `${Math.round((count / distribution.total) * 100)}%`;
+        label.title = `${count} of ${distribution.total} player${distribution.total === 1 ? '' : 's'} picked this`;
+    });
+}
+
+function updateGlobalSolveRate() {
+    const total = distribution?.total || 0;
+    globalSolveRateEl.style.display = total > 0 ? 'block' : 'none';
+    if (total === 0) return;
+    const solveRate = Math.round((distribution.correct / total) * 100);
+    globalSolveRateEl.textContent = `${solveRate}% of ${total} player${total === 1 ? '' : 's'} solved puzzle #${distribution.puzzleNumber}.`;
+}
 
-    if (userStats.currentStreak > userStats.maxStreak) {
-        userStats.maxStreak = userStats.currentStreak;
+/**
+ * Reveals the answer, then shows the countdown to the next puzzle.
+ */
+async function revealAnswer() {
+    await questionView.reveal(gameState.lastPlayedAnswer, gameState.result, { timedOut: gameState.timedOut });
+    if (!isArchive) {
+        document.getElementById('countdown-container').style.display = 'block';
+        startCountdown();
     }
 }
 
 /**
  * If a game was already played today, this function restores the visual state.
+ * Games saved before results were kept locally are checked with the server again.
  */
-function restoreGameState() {
-    if (gameState.gameFinished && currentQuestion) {
-        gameState.gameFinished = false;
-        handleAnswerSubmission(gameState.lastPlayedAnswer);
+async function restoreGameState() {
+    if (!gameState.gameFinished || !currentQuestion) return;
+
+    try {
+        await engine.restoreResult(gameState, currentPuzzle, isArchive);
+    } catch (error) {
+        console.error("Could not restore result:", error);
+        questionView.showFeedback("Could not load today's result. Please try refreshing the page.");
+        return;
     }
+    revealAnswer();
+    showDistribution(api.getResults(currentPuzzle.puzzleNumber));
 }
 
 /**
- * Starts the countdown timer to the next day.
+ * Starts the countdown timer to the next puzzle, which rolls over at the same
+ * moment (UTC midnight) for everyone.
  */
 function startCountdown() {
+    const nextPuzzleAt = Date.parse(currentPuzzle.nextPuzzleAt);
     const interval = setInterval(() => {
-        const now = new Date();
-        const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
-        const diff = tomorrow - now;
+        const diff = nextPuzzleAt - Date.now();
 
         if (diff <= 0) {
             clearInterval(interval);
@@ -279,166 +539,1071 @@ function startCountdown() {
 // =================================================================================
 
 // --- Game Interactions ---
-optionsContainer.addEventListener('click', (event) => {
-    const selectedOption = event.target.closest('.option');
-    if (selectedOption && !gameState.gameFinished) {
-        handleAnswerSubmission(selectedOption.dataset.option);
-    }
-});
-
-document.addEventListener('keydown', (event) => {
-    if (gameState.gameFinished) return;
-    const key = event.key.toUpperCase();
-    if (['A', 'B', 'C', 'D'].includes(key)) {
-        handleAnswerSubmission(key);
-    }
-});
+window.addEventListener('online', syncQueuedAnswers);
 
 // --- Modal Controls ---
-helpButton.onclick = () => helpModal.style.display = 'block';
+helpButton.onclick = () => openModal(helpModal);
 statsButton.onclick = () => {
     updateStatsModal();
-    statsModal.style.display = 'block';
+    openModal(statsModal);
 };
 settingsButton.onclick = () => {
     if (isAdmin) {
-        adminModal.style.display = 'block';
+        openModal(adminModal);
     } else {
-        settingsModal.style.display = 'block';
+        showSettings();
+        openModal(settingsModal);
     }
 };
 
-closeButtons.forEach(button => {
-    button.onclick = () => {
-        button.closest('.modal').style.display = 'none';
-    }
-});
+initModals();
+initReportForm(() => currentQuestion?.id ?? null);
+initPlanner();
 
-window.onclick = (event) => {
-    if (event.target.classList.contains('modal')) {
-        event.target.style.display = 'none';
-    }
+// --- Settings ---
+
+/**
+ * Fills the settings modal in from the saved settings.
+ */
+function showSettings() {
+    const settings = loadSettings();
+    themeSetting.value = settings.theme;
+    reducedMotionSetting.checked = prefersReducedMotion(settings);
+    keyboardShortcutsSetting.checked = settings.keyboardShortcuts;
+    hardModeSetting.checked = settings.hardMode;
+    hardModeDescription.textContent = `Hard mode gives you ${HARD_MODE_SECONDS} seconds to answer; `
+        + "running out of time counts as a loss. It applies from the next puzzle you start.";
 }
 
+themeSetting.addEventListener('change', () => saveSettings({ theme: themeSetting.value }));
+reducedMotionSetting.addEventListener('change', () => saveSettings({ reducedMotion: reducedMotionSetting.checked }));
+keyboardShortcutsSetting.addEventListener('change', () => saveSettings({ keyboardShortcuts: keyboardShortcutsSetting.checked }));
+hardModeSetting.addEventListener('change', () => saveSettings({ hardMode: hardModeSetting.checked }));
+
 // --- Share Functionality ---
-shareButton.addEventListener('click', () => {
-    if (!gameState.gameFinished) {
+
+/**
+ * Collects what the share text and result card show about the finished puzzle.
+ * @returns {Object|null} The details, or null (after telling the player) if
+ * there is nothing to share yet.
+ */
+function getShareDetails() {
+    if (!gameState.gameFinished || !gameState.result) {
         alert("You must complete the daily question before sharing!");
-        return;
+        return null;
     }
-
-    const isCorrect = gameState.lastPlayedAnswer === currentQuestion.answer;
-    const emoji = isCorrect ? '✅' : '❌';
-    
-    const now = new Date();
-    const start = new Date(now.getFullYear(), 0, 0);
-    const diff = now - start;
-    const oneDay = 1000 * 60 * 60 * 24;
-    const dayOfYear = Math.floor(diff / oneDay);
-
-    const shareText = `OATdle #${dayOfYear}
-${emoji}`;
-
-    navigator.clipboard.writeText(shareText).then(() => {
-        shareButton.textContent = 'Copied!';
-        setTimeout(() => {
-            shareButton.textContent = 'Share';
-        }, 2000);
-    }, (err) => {
-        console.error('Could not copy text: ', err);
+    const results = new Map(history.loadDailyHistory().map(e => [e.date, e.correct]));
+    const recent = isArchive ? [] : Array.from({ length: SHARE_DAYS }, (_, i) => {
+        const date = addDays(currentPuzzle.date, i - SHARE_DAYS + 1);
+        return results.has(date) ? results.get(date) : null;
     });
+    const timeTaken = gameState.timeTaken
+        ?? (gameState.startedTs && gameState.lastPlayedTs ? gameState.lastPlayedTs - gameState.startedTs : null);
+    return {
+        puzzleNumber: currentPuzzle.puzzleNumber,
+        archive: isArchive,
+        hardMode: Boolean(gameState.hardMode),
+        timedOut: Boolean(gameState.timedOut),
+        correct: gameState.result.correct,
+        subject: currentQuestion.subject,
+        difficulty: currentQuestion.difficulty,
+        timeTaken,
+        // Archive plays never count towards the streak.
+        streak: isArchive ? null : history.getStats(currentPuzzle.date).currentStreak,
+        recent,
+        url: isArchive ? `${window.location.origin}/?puzzle=${currentPuzzle.puzzleNumber}` : window.location.origin,
+    };
+}
+
+function flashButtonText(button, text) {
+    const original = button.textContent;
+    button.textContent = text;
+    setTimeout(() => {
+        button.textContent = original;
+    }, 2000);
+}
+
+shareButton.addEventListener('click', async () => {
+    const details = getShareDetails();
+    if (!details) return;
+    const text = buildShareText(details);
+    shareFallback.style.display = 'none';
+
+    const outcome = await shareText(text);
+    if (outcome === 'copied') {
+        flashButtonText(shareButton, 'Copied!');
+        announce("Result copied to the clipboard.");
+    } else if (outcome === 'manual') {
+        // No share sheet and no clipboard access: let the player copy it by hand.
+        shareFallbackText.value = text;
+        shareFallback.style.display = 'block';
+        shareFallbackText.focus();
+        shareFallbackText.select();
+    }
+});
+
+shareImageButton.addEventListener('click', async () => {
+    const details = getShareDetails();
+    if (!details) return;
+    try {
+        if (await shareResultCard(details) === 'downloaded') {
+            flashButtonText(shareImageButton, 'Saved!');
+        }
+    } catch (error) {
+        console.error("Could not create the result card:", error);
+        alert("Could not create the result image.");
+    }
 });
 
 /**
  * Updates the content of the statistics modal.
  */
 function updateStatsModal() {
+    const userStats = history.getStats(isArchive ? undefined : currentPuzzle?.date);
     gamesPlayedEl.textContent = userStats.gamesPlayed;
     const winPercentage = userStats.gamesPlayed > 0 ? Math.round((userStats.wins / userStats.gamesPlayed) * 100) : 0;
     winPercentageEl.textContent = `${winPercentage}%`;
     currentStreakEl.textContent = userStats.currentStreak;
     maxStreakEl.textContent = userStats.maxStreak;
+
+    const breakdown = history.getBreakdown();
+    weakestSubjectEl.textContent = breakdown.weakestSubject
+        ? `Weakest subject: ${breakdown.weakestSubject}. Head to Practice to work on it.`
+        : '';
+    weakestSubjectEl.style.display = breakdown.weakestSubject ? 'block' : 'none';
+    renderBreakdown(subjectBreakdownEl, breakdown.bySubject);
+    renderBreakdown(difficultyBreakdownEl, breakdown.byDifficulty);
+    renderHeatmap();
+    updateGlobalSolveRate();
+}
+
+/**
+ * Draws one accuracy bar per label.
+ * @param {HTMLElement} container - Where to draw the bars.
+ * @param {Object<string, Object>} totals - `{ answered, correct }` keyed by label.
+ */
+function renderBreakdown(container, totals) {
+    container.innerHTML = '';
+    for (const [label, { answered, correct }] of Object.entries(totals)) {
+        const accuracy = answered > 0 ? Math.round((correct / answered) * 100) : 0;
+        const row = document.createElement('div');
+        row.className = 'breakdown-row';
+
+        const name = document.createElement('span');
+        name.className = 'breakdown-label';
+        name.textContent = label;
+
+        const bar = document.createElement('span');
+        bar.className = 'breakdown-bar';
+        const fill = document.createElement('span');
+        fill.className = 'breakdown-fill';
+        fill.style.width = `${accuracy}%`;
+        bar.appendChild(fill);
+
+        const value = document.createElement('span');
+        value.className = 'breakdown-value';
+        value.textContent = answered > 0 ? `${correct}/${answered} (${accuracy}%)` : '–';
+
+        row.append(name, bar, value);
+        container.appendChild(row);
+    }
+}
+
+/**
+ * Draws the daily results of the last few weeks as a grid: one column per
+ * week, one row per weekday.
+ */
+function renderHeatmap() {
+    const today = currentPuzzle && !isArchive ? currentPuzzle.date : getToday();
+    const results = new Map(history.loadDailyHistory().map(e => [e.date, e.correct]));
+    const lastWeekStart = startOfWeek(today);
+    const firstDay = addDays(lastWeekStart, -(HEATMAP_WEEKS - 1) * 7);
+
+    statsHeatmapEl.innerHTML = '';
+    for (let i = 0; i < HEATMAP_WEEKS * 7; i++) {
+        const date = addDays(firstDay, i);
+        const cell = document.createElement('span');
+        cell.className = 'heatmap-day';
+        let label = 'not played';
+        if (date > today) {
+            cell.classList.add('future');
+            label = 'upcoming';
+        } else if (results.has(date)) {
+            const won = results.get(date);
+            cell.classList.add(won ? 'won' : 'lost');
+            label = won ? 'won' : 'lost';
+        }
+        cell.title = `${formatShortDate(date)}: ${label}`;
+        statsHeatmapEl.appendChild(cell);
+    }
 }
 
 // =================================================================================
 // ADMIN PANEL LOGIC
 // =================================================================================
-adminLoginButton.addEventListener('click', () => {
-    if (adminPasswordInput.value === ADMIN_PASSWORD) {
-        showAdminDashboard();
-    } else {
-        alert('Incorrect password');
+adminLoginButton.addEventListener('click', async () => {
+    try {
+        const session = await api.login(adminUsernameInput.value.trim(), adminPasswordInput.value);
+        showAdminDashboard(session);
+    } catch (error) {
+        alert(error.message);
+    } finally {
         adminPasswordInput.value = '';
     }
 });
 
-function showAdminDashboard() {
+adminLogoutButton.addEventListener('click', async () => {
+    try {
+        await api.logout();
+    } catch (error) {
+        console.error("Logout failed:", error);
+    }
+    hideAdminDashboard();
+});
+
+async function showAdminDashboard(session) {
     adminLogin.style.display = 'none';
     adminDashboard.style.display = 'block';
+    adminUserLabel.textContent = session.username;
     document.querySelector('h1').textContent = 'OATdle Admin';
     isAdmin = true;
+    await Promise.all([fetchQuestions(), fetchPassages()]);
+    resetQuestionForm();
+    resetPassageForm();
     renderQuestionList();
+    renderPassageList();
+    renderAuditLog();
+    renderCalendar();
+    renderAnalytics();
+    renderReportQueue();
+}
+
+function hideAdminDashboard() {
+    adminDashboard.style.display = 'none';
+    adminLogin.style.display = 'block';
+    document.querySelector('h1').textContent = 'OATdle';
+    isAdmin = false;
+    resetQuestionForm();
+}
+
+/**
+ * Shows who recently changed which question.
+ */
+async function renderAuditLog() {
+    try {
+        const entries = await api.listAuditLog();
+        auditLogList.innerHTML = '';
+        entries.slice(0, 20).forEach(entry => {
+            const item = document.createElement('li');
+            const target = entry.questionId ? ` question ${entry.questionId}`
+                : entry.passageId ? ` ${entry.passageId}` : '';
+            const date = entry.date ? ` for ${entry.date}` : '';
+            item.textContent = `${new Date(entry.at).toLocaleString()}: ${entry.username} ${entry.action}${target}${date}`;
+            auditLogList.appendChild(item);
+        });
+    } catch (error) {
+        console.error("Could not fetch audit log:", error);
+    }
 }
 
 function renderQuestionList() {
-    questionList.innerHTML = '<em>Note: Changes are temporary for this session.</em>';
-    questions.forEach(q => {
+    questionList.innerHTML = '';
+    questions.forEach((q, index) => {
         const qElement = document.createElement('div');
         qElement.className = 'question-item';
-        qElement.innerHTML = `
-            <span>${q.id}: ${q.question.substring(0, 40)}...</span>
-            <button data-id="${q.id}" class="delete-question-button">Delete</button>
-        `;
+        if (q.id === editingQuestionId) {
+            qElement.classList.add('editing');
+        }
+
+        const label = document.createElement('span');
+        label.textContent = `${q.id}: ${toPlainText(q.question).substring(0, 40)}...`;
+        qElement.appendChild(label);
+
+        const actions = document.createElement('span');
+        actions.className = 'question-actions';
+        actions.append(
+            createQuestionAction('↑', 'move-up-button', q.id, index === 0),
+            createQuestionAction('↓', 'move-down-button', q.id, index === questions.length - 1),
+            createQuestionAction('Edit', 'edit-question-button', q.id),
+            createQuestionAction('Delete', 'delete-question-button', q.id),
+        );
+        qElement.appendChild(actions);
         questionList.appendChild(qElement);
     });
 }
 
-questionList.addEventListener('click', (event) => {
-    if (event.target.classList.contains('delete-question-button')) {
-        const questionId = parseInt(event.target.dataset.id, 10);
-        questions = questions.filter(q => q.id !== questionId);
+function createQuestionAction(label, className, questionId, disabled = false) {
+    const button = document.createElement('button');
+    button.className = className;
+    button.dataset.id = questionId;
+    button.textContent = label;
+    button.disabled = disabled;
+    return button;
+}
+
+/**
+ * Runs an admin change against the question bank API, reporting failures.
+ * @param {Function} action - An async function performing the change.
+ * @returns {Promise<boolean>} Whether the change succeeded.
+ */
+async function runAdminAction(action) {
+    try {
+        await action();
+        return true;
+    } catch (error) {
+        console.error("Admin action failed:", error);
+        alert(`Could not save changes: ${error.message}`);
+        if (error.status === 401) {
+            hideAdminDashboard();
+        }
+        return false;
+    } finally {
+        if (isAdmin) {
+            renderAuditLog();
+        }
+    }
+}
+
+/**
+ * Moves a question one place up or down and saves the new order.
+ * @param {number} questionId - The question to move.
+ * @param {number} offset - -1 to move up, 1 to move down.
+ */
+async function moveQuestion(questionId, offset) {
+    const ids = questions.map(q => q.id);
+    const from = ids.indexOf(questionId);
+    const to = from + offset;
+    if (from === -1 || to < 0 || to >= ids.length) return;
+    [ids[from], ids[to]] = [ids[to], ids[from]];
+    await runAdminAction(async () => {
+        questions = await api.reorderQuestions(ids);
+    });
+    renderQuestionList();
+}
+
+questionList.addEventListener('click', async (event) => {
+    const button = event.target.closest('button');
+    if (!button) return;
+    const questionId = parseInt(button.dataset.id, 10);
+
+    if (button.classList.contains('delete-question-button')) {
+        if (!confirm(`Delete question ${questionId}?`)) return;
+        await runAdminAction(async () => {
+            await api.deleteQuestion(questionId);
+            questions = questions.filter(q => q.id !== questionId);
+            if (editingQuestionId === questionId) {
+                resetQuestionForm();
+            }
+        });
         renderQuestionList();
+        renderPassageList();
+    } else if (button.classList.contains('edit-question-button')) {
+        startEditingQuestion(questionId);
+    } else if (button.classList.contains('move-up-button')) {
+        moveQuestion(questionId, -1);
+    } else if (button.classList.contains('move-down-button')) {
+        moveQuestion(questionId, 1);
     }
 });
 
-addQuestionButton.addEventListener('click', () => {
-    const newQuestion = {
-        id: questions.length > 0 ? Math.max(...questions.map(q => q.id)) + 1 : 1,
+// --- Question Form ---
+
+// The OAT itself uses five options.
+const DEFAULT_OPTION_COUNT = 5;
+
+const ANSWER_PLACEHOLDERS = {
+    'choice': 'Correct Answer (e.g. B)',
+    'select-all': 'Correct Answers (e.g. A, C)',
+    'numeric': 'Correct Answer (a number)',
+};
+
+/**
+ * Fills the option inputs, one per value, lettered from A.
+ * @param {Array<string>} values - The option texts.
+ */
+function renderOptionInputs(values) {
+    questionOptionsList.innerHTML = '';
+    values.forEach((value, index) => {
+        const row = document.createElement('div');
+        row.className = 'option-row';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'option-input';
+        input.placeholder = `Option ${OPTION_LETTERS[index]}`;
+        input.value = value;
+
+        const remove = document.createElement('button');
+        remove.className = 'remove-option-button';
+        remove.textContent = '×';
+        remove.title = `Remove option ${OPTION_LETTERS[index]}`;
+        remove.disabled = values.length <= MIN_OPTIONS;
+
+        row.append(input, remove);
+        questionOptionsList.appendChild(row);
+    });
+    addOptionButton.disabled = values.length >= OPTION_LETTERS.length;
+}
+
+function getOptionInputValues() {
+    return Array.from(questionOptionsList.querySelectorAll('.option-input'), input => input.value);
+}
+
+/**
+ * Shows the fields that apply to the chosen question type.
+ */
+function updateQuestionTypeFields() {
+    const type = questionTypeSelect.value;
+    const isNumeric = type === 'numeric';
+    questionOptionsList.style.display = isNumeric ? 'none' : 'block';
+    addOptionButton.style.display = isNumeric ? 'none' : 'inline-block';
+    questionToleranceInput.style.display = isNumeric ? 'block' : 'none';
+    questionAnswerInput.placeholder = ANSWER_PLACEHOLDERS[type];
+}
+
+/**
+ * Reads the question form into the shape the question bank API expects.
+ * @returns {Object} The question without an id.
+ */
+function readQuestionForm() {
+    const type = questionTypeSelect.value;
+    const answer = questionAnswerInput.value.trim();
+    const question = {
+        type,
         subject: document.getElementById('new-question-subject').value,
         difficulty: document.getElementById('new-question-difficulty').value,
         question: document.getElementById('new-question-stem').value,
-        options: {
-            A: document.getElementById('new-option-A').value,
-            B: document.getElementById('new-option-B').value,
-            C: document.getElementById('new-option-C').value,
-            D: document.getElementById('new-option-D').value
-        },
-        answer: document.getElementById('new-question-answer').value.toUpperCase(),
-        explanation: document.getElementById('new-question-explanation').value
+        explanation: document.getElementById('new-question-explanation').value,
+        passageId: questionPassageSelect.value ? parseInt(questionPassageSelect.value, 10) : null,
     };
-
-    if (newQuestion.question && newQuestion.answer && newQuestion.options.A && newQuestion.options.B && newQuestion.options.C && newQuestion.options.D) {
-        questions.push(newQuestion);
-        renderQuestionList();
-        document.getElementById('add-question-form').reset();
+    if (type === 'numeric') {
+        question.answer = answer;
+        question.tolerance = questionToleranceInput.value.trim();
     } else {
+        const values = getOptionInputValues();
+        question.options = Object.fromEntries(values.map((value, index) => [OPTION_LETTERS[index], value]));
+        question.answer = type === 'select-all'
+            ? answer.toUpperCase().split(/[\s,]+/).filter(Boolean)
+            : answer.toUpperCase();
+    }
+    return question;
+}
+
+/**
+ * Shows the question being written the way players will see it.
+ */
+function renderQuestionPreview() {
+    const question = readQuestionForm();
+    renderRichText(previewStem, question.question);
+    renderAnswerInput(previewOptions, question);
+    lockAnswerInput(previewOptions);
+    previewAnswer.textContent = question.answer.length > 0
+        ? `Answer: ${formatAnswer(question, question.answer)}`
+        : '';
+    if (question.type === 'numeric' && question.tolerance) {
+        previewAnswer.textContent += ` (±${question.tolerance})`;
+    }
+    renderRichText(previewExplanation, question.explanation);
+}
+
+questionTypeSelect.addEventListener('change', updateQuestionTypeFields);
+addQuestionForm.addEventListener('input', renderQuestionPreview);
+
+addOptionButton.addEventListener('click', () => {
+    renderOptionInputs([...getOptionInputValues(), '']);
+    renderQuestionPreview();
+});
+
+questionOptionsList.addEventListener('click', (event) => {
+    const button = event.target.closest('.remove-option-button');
+    if (!button) return;
+    const rows = Array.from(questionOptionsList.children);
+    const values = getOptionInputValues();
+    values.splice(rows.indexOf(button.closest('.option-row')), 1);
+    renderOptionInputs(values);
+    renderQuestionPreview();
+});
+
+/**
+ * Loads an existing question into the form so it can be edited in place.
+ * @param {number} questionId - The question to edit.
+ */
+function startEditingQuestion(questionId) {
+    const question = questions.find(q => q.id === questionId);
+    if (!question) return;
+    editingQuestionId = questionId;
+    const type = getQuestionType(question);
+    questionTypeSelect.value = type;
+    document.getElementById('new-question-subject').value = question.subject;
+    document.getElementById('new-question-difficulty').value = question.difficulty;
+    document.getElementById('new-question-stem').value = question.question;
+    questionPassageSelect.value = question.passageId || '';
+    renderOptionInputs(type === 'numeric'
+        ? Array(DEFAULT_OPTION_COUNT).fill('')
+        : Object.values(question.options));
+    questionAnswerInput.value = formatAnswer(question, question.answer);
+    questionToleranceInput.value = type === 'numeric' ? String(question.tolerance || 0) : '';
+    updateQuestionTypeFields();
+    document.getElementById('new-question-explanation').value = question.explanation;
+    renderQuestionPreview();
+    questionFormTitle.textContent = `Edit Question ${questionId}`;
+    addQuestionButton.textContent = 'Save Changes';
+    cancelEditButton.style.display = 'inline-block';
+    resolvingReportId = null;
+    resolveReportFields.style.display = 'none';
+    renderQuestionList();
+    renderQuestionErrata(questionId);
+}
+
+function resetQuestionForm() {
+    editingQuestionId = null;
+    addQuestionForm
+        .querySelectorAll('input, textarea')
+        .forEach(field => field.value = '');
+    questionTypeSelect.value = 'choice';
+    questionPassageSelect.value = '';
+    renderPassageOptions();
+    renderOptionInputs(Array(DEFAULT_OPTION_COUNT).fill(''));
+    updateQuestionTypeFields();
+    renderQuestionPreview();
+    questionFormTitle.textContent = 'Add New Question';
+    addQuestionButton.textContent = 'Add Question';
+    cancelEditButton.style.display = 'none';
+    resolvingReportId = null;
+    resolveReportFields.style.display = 'none';
+    questionErrata.style.display = 'none';
+}
+
+cancelEditButton.addEventListener('click', () => {
+    resetQuestionForm();
+    renderQuestionList();
+});
+
+addQuestionButton.addEventListener('click', async () => {
+    const formQuestion = readQuestionForm();
+    const options = Object.values(formQuestion.options || {});
+
+    if (!(formQuestion.question && formQuestion.answer.length > 0 && options.every(Boolean))) {
         alert('Please fill out all fields for the new question.');
+        return;
+    }
+
+    const saved = await runAdminAction(async () => {
+        if (editingQuestionId === null) {
+            questions.push(await api.createQuestion(formQuestion));
+        } else if (resolvingReportId !== null) {
+            const { question: updated } = await api.closeReport(resolvingReportId, {
+                status: 'resolved',
+                note: errataNoteInput.value,
+                question: formQuestion,
+            });
+            questions = questions.map(q => q.id === updated.id ? updated : q);
+        } else {
+            const updated = await api.updateQuestion(editingQuestionId, formQuestion);
+            questions = questions.map(q => q.id === updated.id ? updated : q);
+        }
+    });
+    if (saved) {
+        resetQuestionForm();
+        renderAnalytics();
+        renderReportQueue();
     }
+    renderQuestionList();
+    renderPassageList();
 });
 
-setDailyQuestionButton.addEventListener('click', () => {
-    const questionId = parseInt(dailyQuestionIdInput.value, 10);
+// --- Passages ---
+
+/**
+ * Fills the question form's passage picker, keeping the current choice.
+ */
+function renderPassageOptions() {
+    const selected = questionPassageSelect.value;
+    questionPassageSelect.innerHTML = '';
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = 'No passage';
+    questionPassageSelect.appendChild(none);
+    passages.forEach(passage => {
+        const option = document.createElement('option');
+        option.value = passage.id;
+        option.textContent = `Passage ${passage.id}: ${passage.title}`;
+        questionPassageSelect.appendChild(option);
+    });
+    questionPassageSelect.value = passages.some(p => String(p.id) === selected) ? selected : '';
+}
+
+function renderPassageList() {
+    passageList.innerHTML = '';
+    passages.forEach(passage => {
+        const item = document.createElement('div');
+        item.className = 'question-item';
+        if (passage.id === editingPassageId) {
+            item.classList.add('editing');
+        }
+
+        const used = questions.filter(q => q.passageId === passage.id).length;
+        const label = document.createElement('span');
+        label.textContent = `${passage.id}: ${passage.title} (${used} question${used === 1 ? '' : 's'})`;
+        item.appendChild(label);
+
+        const actions = document.createElement('span');
+        actions.className = 'question-actions';
+        actions.append(
+            createQuestionAction('Edit', 'edit-passage-button', passage.id),
+            createQuestionAction('Delete', 'delete-passage-button', passage.id, used > 0),
+        );
+        item.appendChild(actions);
+        passageList.appendChild(item);
+    });
+    renderPassageOptions();
+}
+
+/**
+ * Loads an existing passage into the passage form so it can be edited in place.
+ * @param {number} passageId - The passage to edit.
+ */
+function startEditingPassage(passageId) {
+    const passage = passages.find(p => p.id === passageId);
+    if (!passage) return;
+    editingPassageId = passageId;
+    passageTitleInput.value = passage.title;
+    passageTextInput.value = passage.text;
+    passageFormTitle.textContent = `Edit Passage ${passageId}`;
+    savePassageButton.textContent = 'Save Changes';
+    cancelPassageButton.style.display = 'inline-block';
+    renderPassageList();
+}
+
+function resetPassageForm() {
+    editingPassageId = null;
+    passageTitleInput.value = '';
+    passageTextInput.value = '';
+    passageFormTitle.textContent = 'Add New Passage';
+    savePassageButton.textContent = 'Add Passage';
+    cancelPassageButton.style.display = 'none';
+}
+
+passageList.addEventListener('click', async (event) => {
+    const button = event.target.closest('button');
+    if (!button) return;
+    const passageId = parseInt(button.dataset.id, 10);
+
+    if (button.classList.contains('delete-passage-button')) {
+        if (!confirm(`Delete passage ${passageId}?`)) return;
+        await runAdminAction(async () => {
+            await api.deletePassage(passageId);
+            passages = passages.filter(p => p.id !== passageId);
+            if (editingPassageId === passageId) {
+                resetPassageForm();
+            }
+        });
+        renderPassageList();
+    } else if (button.classList.contains('edit-passage-button')) {
+        startEditingPassage(passageId);
+    }
+});
+
+cancelPassageButton.addEventListener('click', () => {
+    resetPassageForm();
+    renderPassageList();
+});
+
+savePassageButton.addEventListener('click', async () => {
+    const formPassage = { title: passageTitleInput.value, text: passageTextInput.value };
+    if (!(formPassage.title.trim() && formPassage.text.trim())) {
+        alert('Please give the passage a title and text.');
+        return;
+    }
+
+    const saved = await runAdminAction(async () => {
+        if (editingPassageId === null) {
+            passages.push(await api.createPassage(formPassage));
+        } else {
+            const updated = await api.updatePassage(editingPassageId, formPassage);
+            passages = passages.map(p => p.id === updated.id ? updated : p);
+        }
+    });
+    if (saved) {
+        resetPassageForm();
+    }
+    renderPassageList();
+});
+
+// --- Schedule Calendar ---
+
+/**
+ * The Monday on or before a date, so calendar rows line up with weeks.
+ * @param {string} date - The date, as `YYYY-MM-DD`.
+ * @returns {string} The Monday.
+ */
+function startOfWeek(date) {
+    const weekday = (new Date(date).getUTCDay() + 6) % 7;
+    return addDays(date, -weekday);
+}
+
+function formatShortDate(date) {
+    return new Date(date).toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Draws the schedule for the weeks shown, highlighting gaps from today onwards.
+ */
+async function renderCalendar() {
+    const today = getToday();
+    if (!calendarStart) {
+        calendarStart = startOfWeek(today);
+    }
+    const calendarEnd = addDays(calendarStart, CALENDAR_WEEKS * 7 - 1);
+
+    let schedule;
+    try {
+        schedule = await api.getSchedule(calendarStart, calendarEnd);
+    } catch (error) {
+        console.error("Could not fetch schedule:", error);
+        calendarGrid.textContent = 'Failed to load the schedule.';
+        return;
+    }
+
+    calendarTitle.textContent = `${formatShortDate(calendarStart)} – ${formatShortDate(calendarEnd)}`;
+    calendarGrid.innerHTML = '';
+    ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].forEach(day => {
+        const heading = document.createElement('div');
+        heading.className = 'calendar-heading';
+        heading.textContent = day;
+        calendarGrid.appendChild(heading);
+    });
+
+    let gaps = 0;
+    schedule.entries.forEach(entry => {
+        const cell = document.createElement('button');
+        cell.className = 'calendar-day';
+        cell.dataset.date = entry.date;
+        cell.disabled = entry.date < schedule.today;
+        const isGap = entry.questionId === null && !cell.disabled;
+        if (isGap) gaps++;
+        cell.classList.toggle('gap', isGap);
+        cell.classList.toggle('today', entry.date === schedule.today);
+        cell.classList.toggle('selected', entry.date === selectedScheduleDate);
+        cell.dataset.questionId = entry.questionId ?? '';
+        cell.title = `Puzzle #${entry.puzzleNumber}`;
+        const day = document.createElement('span');
+        day.className = 'calendar-date';
+        day.textContent = new Date(entry.date).getUTCDate();
+        const question = document.createElement('span');
+        question.className = 'calendar-question';
+        question.textContent = entry.questionId === null ? '—' : `Q${entry.questionId}`;
+        cell.append(day, question);
+        calendarGrid.appendChild(cell);
+    });
+
+    scheduleGaps.textContent = gaps === 0
+        ? 'Every upcoming day in view is scheduled.'
+        : `${gaps} upcoming day${gaps === 1 ? '' : 's'} in view ${gaps === 1 ? 'has' : 'have'} no question scheduled.`;
+}
+
+/**
+ * Opens the editor for a date picked on the calendar.
+ * @param {HTMLElement} cell - The calendar cell that was clicked.
+ */
+function selectScheduleDate(cell) {
+    selectedScheduleDate = cell.dataset.date;
+    calendarGrid.querySelectorAll('.calendar-day').forEach(day => {
+        day.classList.toggle('selected', day === cell);
+    });
+
+    scheduleQuestionSelect.innerHTML = '';
+    questions.filter(q => !isPracticeOnly(q)).forEach(q => {
+        const option = document.createElement('option');
+        option.value = q.id;
+        option.textContent = `${q.id}: ${q.subject} – ${toPlainText(q.question).substring(0, 30)}...`;
+        scheduleQuestionSelect.appendChild(option);
+    });
+    scheduleQuestionSelect.value = cell.dataset.questionId;
+
+    scheduleEditorDate.textContent = `${selectedScheduleDate} (${cell.title})`;
+    scheduleEditor.style.display = 'block';
+}
+
+async function saveScheduleEntry(questionId) {
+    const saved = await runAdminAction(() => api.setScheduleEntry(selectedScheduleDate, questionId));
+    if (saved) {
+        renderCalendar();
+    }
+}
+
+calendarGrid.addEventListener('click', (event) => {
+    const cell = event.target.closest('.calendar-day');
+    if (cell && !cell.disabled) {
+        selectScheduleDate(cell);
+    }
+});
+
+calendarPrevButton.addEventListener('click', () => {
+    calendarStart = addDays(calendarStart, -CALENDAR_WEEKS * 7);
+    renderCalendar();
+});
+
+calendarNextButton.addEventListener('click', () => {
+    calendarStart = addDays(calendarStart, CALENDAR_WEEKS * 7);
+    renderCalendar();
+});
+
+scheduleSaveButton.addEventListener('click', () => {
+    saveScheduleEntry(parseInt(scheduleQuestionSelect.value, 10));
+});
+
+scheduleClearButton.addEventListener('click', () => {
+    saveScheduleEntry(null);
+});
+
+// --- Question Analytics ---
+
+function formatPercent(fraction) {
+    return `${Math.round(fraction * 100)}%`;
+}
+
+/**
+ * Describes why a question was flagged.
+ * @param {Object} entry - The question's analytics.
+ * @returns {Array<string>} One sentence per flag.
+ */
+function describeFlags(entry) {
+    return entry.flags.map(flag => {
+        if (flag === 'difficulty') {
+            return `Plays as ${entry.observedDifficulty}, but is labelled ${entry.difficulty}.`;
+        }
+        const letters = entry.unusedDistractors.join(', ');
+        return entry.unusedDistractors.length === 1
+            ? `Nobody has picked option ${letters}.`
+            : `Nobody has picked options ${letters}.`;
+    });
+}
+
+function createAnalyticsItem(entry) {
+    const item = document.createElement('div');
+    item.className = 'analytics-item';
+    item.classList.toggle('flagged', entry.flags.length > 0);
+
+    const heading = document.createElement('p');
+    heading.className = 'analytics-heading';
+    heading.textContent = `${entry.questionId}: ${entry.subject} · ${entry.difficulty} · `
+        + `${formatPercent(entry.solveRate)} solved (${entry.total} answer${entry.total === 1 ? '' : 's'})`;
+    item.appendChild(heading);
+
+    const letters = Object.keys(questions.find(q => q.id === entry.questionId)?.options || {});
+    if (letters.length > 0) {
+        const picks = document.createElement('p');
+        picks.className = 'analytics-picks';
+        picks.textContent = letters
+            .map(letter => `${letter} ${formatPercent((entry.counts[letter] || 0) / entry.total)}`)
+            .join(' · ');
+        item.appendChild(picks);
+    }
+
+    describeFlags(entry).forEach(text => {
+        const flag = document.createElement('p');
+        flag.className = 'analytics-flag';
+        flag.textContent = text;
+        item.appendChild(flag);
+    });
+
+    if (entry.flags.includes('difficulty')) {
+        const button = document.createElement('button');
+        button.className = 'relabel-button';
+        button.dataset.id = entry.questionId;
+        button.dataset.difficulty = entry.observedDifficulty;
+        button.textContent = `Relabel as ${entry.observedDifficulty}`;
+        item.appendChild(button);
+    }
+    return item;
+}
+
+/**
+ * Shows how each question has played as a daily puzzle, flagging questions
+ * whose solve rate disagrees with their difficulty label or that have an
+ * option nobody picks.
+ * @param {boolean} [refetch] - Whether to fetch fresh numbers first.
+ */
+async function renderAnalytics(refetch = true) {
+    if (refetch || !analytics) {
+        try {
+            analytics = await api.getQuestionAnalytics();
+        } catch (error) {
+            console.error("Could not fetch question analytics:", error);
+            analyticsSummary.textContent = 'Failed to load question analytics.';
+            return;
+        }
+    }
+
+    const answered = analytics.questions.filter(entry => entry.total > 0);
+    const flagged = answered.filter(entry => entry.flags.length > 0);
+    analyticsSummary.textContent = `${answered.length} of ${analytics.questions.length} questions have been answered; `
+        + `${flagged.length} flagged. Questions are flagged once they have ${analytics.minResponses} answers.`;
+
+    analyticsList.innerHTML = '';
+    const shown = analyticsFlaggedOnly.checked ? flagged : answered;
+    shown.forEach(entry => analyticsList.appendChild(createAnalyticsItem(entry)));
+    if (shown.length === 0) {
+        analyticsList.textContent = analyticsFlaggedOnly.checked ? 'No questions are flagged.' : 'No answers yet.';
+    }
+}
+
+/**
+ * Changes a question's difficulty label to the one its solve rate suggests.
+ * @param {number} questionId - The question.
+ * @param {string} difficulty - The new label.
+ */
+async function relabelQuestion(questionId, difficulty) {
     const question = questions.find(q => q.id === questionId);
-    if (question) {
-        displayQuestion(question);
-        // Reset game state for the new question
-        gameState.gameFinished = false;
-        feedbackText.textContent = '';
-        explanationContainer.style.display = 'none';
-        document.getElementById('countdown-container').style.display = 'none';
-        adminModal.style.display = 'none';
-    } else {
-        alert('Question not found.');
+    if (!question) return;
+    const saved = await runAdminAction(async () => {
+        const updated = await api.updateQuestion(questionId, { ...question, difficulty });
+        questions = questions.map(q => q.id === updated.id ? updated : q);
+    });
+    if (saved) {
+        // Keeps any unsaved edits to the question in the form.
+        if (editingQuestionId === questionId) {
+            document.getElementById('new-question-difficulty').value = difficulty;
+        }
+        renderAnalytics();
+    }
+}
+
+analyticsFlaggedOnly.addEventListener('change', () => {
+    renderAnalytics(false);
+});
+
+analyticsList.addEventListener('click', (event) => {
+    const button = event.target.closest('.relabel-button');
+    if (button) {
+        relabelQuestion(parseInt(button.dataset.id, 10), button.dataset.difficulty);
     }
 });
 
+// --- Problem Reports ---
+
+const REPORT_CATEGORY_LABELS = {
+    'wrong-answer': 'The answer is wrong',
+    'typo': "There's a typo",
+    'ambiguous': "It's ambiguous",
+    'other': 'Something else',
+};
+
+function createReportItem(report) {
+    const item = document.createElement('div');
+    item.className = 'report-item';
+
+    const heading = document.createElement('p');
+    heading.className = 'report-heading';
+    heading.textContent = `#${report.id} · Question ${report.questionId} · ${REPORT_CATEGORY_LABELS[report.category]} · `
+        + new Date(report.createdAt).toLocaleDateString();
+    item.appendChild(heading);
+
+    if (report.text) {
+        const text = document.createElement('p');
+        text.className = 'report-text';
+        text.textContent = report.text;
+        item.appendChild(text);
+    }
+
+    const actions = document.createElement('span');
+    actions.className = 'question-actions';
+    actions.append(
+        createQuestionAction('Fix Question', 'resolve-report-button', report.id),
+        createQuestionAction('Dismiss', 'dismiss-report-button', report.id),
+    );
+    item.appendChild(actions);
+    return item;
+}
+
+/**
+ * Shows the reports still waiting to be looked at, oldest first.
+ */
+async function renderReportQueue() {
+    try {
+        openReports = await api.listReports('open');
+    } catch (error) {
+        console.error("Could not fetch problem reports:", error);
+        reportQueueSummary.textContent = 'Failed to load problem reports.';
+        return;
+    }
+    reportQueueSummary.textContent = openReports.length === 0
+        ? 'No reports are waiting.'
+        : `${openReports.length} report${openReports.length === 1 ? ' is' : 's are'} waiting.`;
+    reportQueue.innerHTML = '';
+    openReports.forEach(report => reportQueue.appendChild(createReportItem(report)));
+}
+
+/**
+ * Opens a reported question in the question form. Saving it resolves the
+ * report and adds the correction to the question's errata.
+ * @param {Object} report - The report.
+ */
+function startResolvingReport(report) {
+    if (!questions.some(q => q.id === report.questionId)) {
+        alert(`Question ${report.questionId} no longer exists. Dismiss the report instead.`);
+        return;
+    }
+    startEditingQuestion(report.questionId);
+    resolvingReportId = report.id;
+    resolvingReportLabel.textContent = `Resolving report #${report.id}: ${REPORT_CATEGORY_LABELS[report.category]}`
+        + (report.text ? ` – "${report.text}"` : '');
+    errataNoteInput.value = '';
+    resolveReportFields.style.display = 'block';
+    addQuestionButton.textContent = 'Save and Resolve';
+    addQuestionForm.scrollIntoView({ behavior: prefersReducedMotion() ? 'auto' : 'smooth' });
+}
+
+async function dismissReport(report) {
+    const note = prompt(`Dismiss report #${report.id}? You can add a note saying why.`, '');
+    if (note === null) return;
+    const saved = await runAdminAction(() => api.closeReport(report.id, { status: 'dismissed', note }));
+    if (saved) {
+        if (resolvingReportId === report.id) {
+            resetQuestionForm();
+            renderQuestionList();
+        }
+        renderReportQueue();
+    }
+}
+
+/**
+ * Lists the corrections made to the question being edited.
+ * @param {number} questionId - The question.
+ */
+async function renderQuestionErrata(questionId) {
+    questionErrata.style.display = 'none';
+    let errata;
+    try {
+        errata = await api.listErrata(questionId);
+    } catch (error) {
+        console.error("Could not fetch errata:", error);
+        return;
+    }
+    if (editingQuestionId !== questionId || errata.length === 0) return;
+
+    questionErrataList.innerHTML = '';
+    errata.forEach(erratum => {
+        const item = document.createElement('li');
+        const changes = erratum.changes.length > 0 ? erratum.changes.join(', ') : 'nothing';
+        item.textContent = `${new Date(erratum.at).toLocaleString()}: ${erratum.username} corrected ${changes} `
+            + `(report #${erratum.reportId}, ${REPORT_CATEGORY_LABELS[erratum.category].toLowerCase()})`
+            + (erratum.note ? ` – ${erratum.note}` : '');
+        questionErrataList.appendChild(item);
+    });
+    questionErrata.style.display = 'block';
+}
+
+reportQueue.addEventListener('click', (event) => {
+    const button = event.target.closest('button');
+    if (!button) return;
+    const report = openReports.find(r => r.id === parseInt(button.dataset.id, 10));
+    if (!report) return;
+
+    if (button.classList.contains('resolve-report-button')) {
+        startResolvingReport(report);
+    } else if (button.classList.contains('dismiss-report-button')) {
+        dismissReport(report);
+    }
+});
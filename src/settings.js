@@ -0,0 +1,64 @@
+// =================================================================================
+// SETTINGS (LOCAL STORAGE)
+// =================================================================================
+import { readJson, writeJson } from './storage.js';
+
+const SETTINGS_KEY = 'oatdleSettings';
+
+/**
+ * The colour themes, as applied to `<html data-theme>`.
+ */
+export const THEMES = ['light', 'dark', 'high-contrast'];
+
+/**
+ * How long hard mode gives for each question.
+ */
+export const HARD_MODE_SECONDS = 60;
+
+const DEFAULT_SETTINGS = {
+    theme: 'light',
+    // Null follows the operating system's reduced motion preference.
+    reducedMotion: null,
+    keyboardShortcuts: true,
+    hardMode: false,
+};
+
+/**
+ * Loads the player's settings, filling in defaults for anything not yet set.
+ * @returns {Object} `{ theme, reducedMotion, keyboardShortcuts, hardMode }`.
+ */
+export function loadSettings() {
+    return { ...DEFAULT_SETTINGS, ...readJson(SETTINGS_KEY, {}) };
+}
+
+/**
+ * Saves changes to the settings and applies them to the page.
+ * @param {Object} changes - The settings to change.
+ * @returns {Object} The full settings after the change.
+ */
+export function saveSettings(changes) {
+    const settings = { ...loadSettings(), ...changes };
+    writeJson(SETTINGS_KEY, settings);
+    applySettings(settings);
+    return settings;
+}
+
+/**
+ * Whether animations should be skipped, by choice or by system preference.
+ * @param {Object} [settings] - The settings; loaded if not given.
+ * @returns {boolean}
+ */
+export function prefersReducedMotion(settings = loadSettings()) {
+    return settings.reducedMotion ?? window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+/**
+ * Applies the theme and motion settings to the page. Every page calls this as
+ * soon as it loads.
+ * @param {Object} [settings] - The settings; loaded if not given.
+ */
+export function applySettings(settings = loadSettings()) {
+    const theme = THEMES.includes(settings.theme) ? settings.theme : DEFAULT_SETTINGS.theme;
+    document.documentElement.dataset.theme = theme;
+    document.documentElement.classList.toggle('reduced-motion', prefersReducedMotion(settings));
+}
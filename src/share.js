@@ -0,0 +1,191 @@
+// =================================================================================
+// SHARING
+// =================================================================================
+// Builds the share text and the result card image for a finished puzzle, and
+// hands them to the share sheet, the clipboard or a download, whichever the
+// browser supports. Neither the text nor the card gives the answer away.
+
+const CARD_WIDTH = 1200;
+const CARD_HEIGHT = 630;
+const CARD_PADDING = 80;
+
+/**
+ * What a share shows about a finished puzzle.
+ * @typedef {Object} ShareDetails
+ * @property {number} puzzleNumber - The puzzle number.
+ * @property {boolean} archive - Whether it was played from the archive.
+ * @property {boolean} hardMode - Whether it was played in hard mode.
+ * @property {boolean} timedOut - Whether time ran out in hard mode.
+ * @property {boolean} correct - Whether the answer was right.
+ * @property {string} subject - The question's subject.
+ * @property {string} difficulty - The question's difficulty.
+ * @property {number|null} timeTaken - Milliseconds taken to answer, if known.
+ * @property {number|null} streak - The current streak; null for archive plays.
+ * @property {Array<boolean|null>} recent - Results of the last few days up to
+ * the puzzle, oldest first; null for days not played.
+ * @property {string} url - The address to invite others to.
+ */
+
+function formatDuration(ms) {
+    const totalSeconds = Math.max(0, Math.round(ms / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
+function getResultLabel(details) {
+    if (details.correct) return 'Solved';
+    return details.timedOut ? "Time's up" : 'Missed';
+}
+
+function getTitle(details) {
+    const labels = [details.archive && 'Archive', details.hardMode && 'Hard mode'].filter(Boolean);
+    return [`OATdle #${details.puzzleNumber}`, ...labels].join(' · ');
+}
+
+// --- Text ---
+
+/**
+ * Builds the text to share, e.g.:
+ *
+ *     OATdle #42 · Hard mode
+ *     ✅ Biology · Medium
+ *     ⏱️ 0:48 · 🔥 5
+ *     🟥🟩⬜🟩🟩🟩🟩
+ *     https://oatdle.example
+ *
+ * @param {ShareDetails} details - The puzzle's result.
+ * @returns {string} The text.
+ */
+export function buildShareText(details) {
+    const emoji = details.correct ? '✅' : details.timedOut ? '⌛' : '❌';
+    const lines = [getTitle(details), `${emoji} ${details.subject} · ${details.difficulty}`];
+
+    const stats = [];
+    if (details.timeTaken !== null) stats.push(`⏱️ ${formatDuration(details.timeTaken)}`);
+    if (details.streak) stats.push(`🔥 ${details.streak}`);
+    if (stats.length > 0) lines.push(stats.join(' · '));
+
+    if (details.recent.length > 0) {
+        lines.push(details.recent.map(won => (won === null ? '⬜' : won ? '🟩' : '🟥')).join(''));
+    }
+    lines.push(details.url);
+    return lines.join('\n');
+}
+
+/**
+ * Shares text through the native share sheet, or copies it to the clipboard
+ * where there is no share sheet.
+ * @param {string} text - The text to share.
+ * @returns {Promise<string>} `shared`, `copied`, `cancelled` if the player
+ * closed the share sheet, or `manual` if the text has to be copied by hand.
+ */
+export async function shareText(text) {
+    if (navigator.share) {
+        try {
+            await navigator.share({ text });
+            return 'shared';
+        } catch (error) {
+            if (error.name === 'AbortError') return 'cancelled';
+            console.error("Could not open the share sheet:", error);
+        }
+    }
+    try {
+        await navigator.clipboard.writeText(text);
+        return 'copied';
+    } catch (error) {
+        console.error("Could not copy text:", error);
+        return 'manual';
+    }
+}
+
+// --- Result Card ---
+
+function readColor(name) {
+    return getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+}
+
+/**
+ * Draws the result card: the puzzle, whether it was solved, the subject and
+ * the player's stats, in the current theme's colours.
+ * @param {ShareDetails} details - The puzzle's result.
+ * @returns {HTMLCanvasElement} The card.
+ */
+export function drawResultCard(details) {
+    const canvas = document.createElement('canvas');
+    canvas.width = CARD_WIDTH;
+    canvas.height = CARD_HEIGHT;
+    const context = canvas.getContext('2d');
+    const font = getComputedStyle(document.body).fontFamily;
+    const text = readColor('--color-text');
+    const muted = readColor('--color-muted');
+    const correct = readColor('--color-correct');
+    const incorrect = readColor('--color-incorrect');
+
+    context.fillStyle = readColor('--color-background');
+    context.fillRect(0, 0, CARD_WIDTH, CARD_HEIGHT);
+    context.fillStyle = readColor('--color-accent');
+    context.fillRect(0, 0, CARD_WIDTH, 16);
+
+    context.textBaseline = 'alphabetic';
+    context.fillStyle = text;
+    context.font = `bold 64px ${font}`;
+    context.fillText(getTitle(details), CARD_PADDING, 150);
+
+    context.fillStyle = details.correct ? correct : incorrect;
+    context.font = `bold 120px ${font}`;
+    context.fillText(getResultLabel(details), CARD_PADDING, 300);
+
+    context.fillStyle = text;
+    context.font = `44px ${font}`;
+    context.fillText(`${details.subject} · ${details.difficulty}`, CARD_PADDING, 380);
+
+    const stats = [];
+    if (details.timeTaken !== null) stats.push(`Time ${formatDuration(details.timeTaken)}`);
+    if (details.streak) stats.push(`Streak ${details.streak}`);
+    context.fillStyle = muted;
+    context.font = `36px ${font}`;
+    context.fillText(stats.join('   '), CARD_PADDING, 440);
+
+    // One square per recent day, like the share text's grid.
+    const size = 48;
+    details.recent.forEach((won, index) => {
+        context.fillStyle = won === null ? readColor('--color-border') : won ? correct : incorrect;
+        context.fillRect(CARD_PADDING + index * (size + 12), 490, size, size);
+    });
+
+    context.fillStyle = muted;
+    context.font = `32px ${font}`;
+    context.textAlign = 'right';
+    context.fillText(details.url.replace(/^https?:\/\//, ''), CARD_WIDTH - CARD_PADDING, CARD_HEIGHT - 50);
+    return canvas;
+}
+
+/**
+ * Shares the result card as a PNG through the native share sheet, or
+ * downloads it where files cannot be shared.
+ * @param {ShareDetails} details - The puzzle's result.
+ * @returns {Promise<string>} `shared`, `cancelled` or `downloaded`.
+ */
+export async function shareResultCard(details) {
+    const canvas = drawResultCard(details);
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    const file = new File([blob], `oatdle-${details.puzzleNumber}.png`, { type: 'image/png' });
+
+    if (navigator.canShare?.({ files: [file] })) {
+        try {
+            await navigator.share({ files: [file] });
+            return 'shared';
+        } catch (error) {
+            if (error.name === 'AbortError') return 'cancelled';
+            console.error("Could not open the share sheet:", error);
+        }
+    }
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = file.name;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    return 'downloaded';
+}
@@ -0,0 +1,59 @@
+// =================================================================================
+// DEVICE STORAGE
+// =================================================================================
+// Everything the game keeps on the device goes through one adapter with the
+// `localStorage` interface (`getItem`, `setItem`, `removeItem`). Pages use
+// `localStorage` itself; tests swap in an in-memory adapter so the game logic
+// runs without a browser.
+
+let adapter = null;
+
+/**
+ * Returns the storage adapter in use.
+ * @returns {Object} `localStorage`, unless another adapter has been set.
+ */
+export function getStorage() {
+    return adapter || globalThis.localStorage;
+}
+
+/**
+ * Replaces the storage adapter, e.g. with `createMemoryStorage()` in tests.
+ * @param {Object|null} storage - The adapter, or null to go back to `localStorage`.
+ */
+export function setStorage(storage) {
+    adapter = storage;
+}
+
+/**
+ * Creates an adapter that keeps everything in memory.
+ * @param {Object<string, string>} [items] - Values to start with, keyed by key.
+ * @returns {Object} The adapter.
+ */
+export function createMemoryStorage(items = {}) {
+    const values = new Map(Object.entries(items));
+    return {
+        getItem: (key) => (values.has(key) ? values.get(key) : null),
+        setItem: (key, value) => values.set(key, String(value)),
+        removeItem: (key) => values.delete(key),
+    };
+}
+
+/**
+ * Reads a JSON value.
+ * @param {string} key - The key.
+ * @param {*} fallback - What to return if nothing is stored under the key.
+ * @returns {*} The value.
+ */
+export function readJson(key, fallback) {
+    const value = getStorage().getItem(key);
+    return value ? JSON.parse(value) : fallback;
+}
+
+/**
+ * Writes a value as JSON.
+ * @param {string} key - The key.
+ * @param {*} value - The value.
+ */
+export function writeJson(key, value) {
+    getStorage().setItem(key, JSON.stringify(value));
+}
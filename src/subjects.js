@@ -0,0 +1,20 @@
+// =================================================================================
+// OAT SECTIONS
+// =================================================================================
+
+/**
+ * The subjects questions are tagged with, in the order the OAT tests them.
+ */
+export const SUBJECTS = [
+    'Biology',
+    'General Chemistry',
+    'Organic Chemistry',
+    'Reading Comprehension',
+    'Physics',
+    'Quantitative Reasoning',
+];
+
+/**
+ * The difficulty labels, easiest first.
+ */
+export const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
@@ -0,0 +1,132 @@
+// =================================================================================
+// SERVICE WORKER
+// =================================================================================
+// Keeps OATdle usable offline:
+// - The app shell (every page, script, stylesheet and icon in the build) is
+//   cached on install. Pages are fetched from the network first so updates
+//   show up straight away, and served from the cache when offline.
+// - The question bank is cached on install and served from the cache, then
+//   refreshed in the background, so practice works offline.
+// - The daily puzzle and archive are fetched from the network first, falling
+//   back to the last copy seen. A saved daily puzzle from an earlier day is
+//   never served as today's.
+// Answer checks are never cached; pages queue them while offline (see
+// `src/offline.js`).
+//
+// The build (`plugins/service-worker.js`) replaces the placeholder below with
+// `{ version, files }`.
+
+const { version, files } = self.__PRECACHE_MANIFEST;
+
+const SHELL_CACHE = `oatdle-shell-${version}`;
+const DATA_CACHE = 'oatdle-data';
+const BANK_URLS = ['/api/questions', '/api/passages'];
+const NETWORK_FIRST_URLS = ['/api/daily', '/api/archive'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(files);
+        // The bank is optional here: a failure must not stop the worker installing.
+        await Promise.allSettled(BANK_URLS.map(url => refresh(url)));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        const stale = names.filter(name => name.startsWith('oatdle-shell-') && name !== SHELL_CACHE);
+        await Promise.all(stale.map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+    // Admin responses include answers, so they never go near the cache.
+    if (request.headers.has('Authorization')) return;
+
+    if (BANK_URLS.includes(url.pathname)) {
+        event.respondWith(staleWhileRevalidate(event));
+    } else if (NETWORK_FIRST_URLS.includes(url.pathname)) {
+        const isToday = url.pathname === '/api/daily' && !url.searchParams.has('puzzle');
+        event.respondWith(networkFirst(request, DATA_CACHE, isToday ? isTodaysPuzzle : undefined));
+    } else if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    } else if (!url.pathname.startsWith('/api/')) {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+// Pages ask for a refresh of the question bank when the network comes back.
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'refresh-bank') {
+        event.waitUntil(Promise.allSettled(BANK_URLS.map(url => refresh(url))));
+    }
+});
+
+// --- Strategies ---
+
+/**
+ * Fetches a URL and stores the response in the data cache if it succeeded.
+ * @param {Request|string} request - The request.
+ * @returns {Promise<Response>} The network response.
+ */
+async function refresh(request) {
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(DATA_CACHE);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+async function staleWhileRevalidate(event) {
+    const cached = await caches.match(event.request, { cacheName: DATA_CACHE });
+    const update = refresh(event.request);
+    if (!cached) return update;
+    event.waitUntil(update.catch(() => {}));
+    return cached;
+}
+
+/**
+ * Whether a saved `/api/daily` response is today's puzzle. Puzzles roll over
+ * at UTC midnight, so an older copy would be played as the wrong day.
+ * @param {Response} response - The cached response.
+ * @returns {Promise<boolean>}
+ */
+async function isTodaysPuzzle(response) {
+    const { date } = await response.clone().json();
+    return date === new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Tries the network, falling back to the cache when offline. API responses
+ * are stored as they arrive. Navigations are matched without their query
+ * string, so `/?puzzle=12` finds the cached `/`.
+ * @param {Request} request - The request.
+ * @param {string} cacheName - The cache to fall back to.
+ * @param {Function} [isFresh] - Whether a cached response may still be used.
+ * @returns {Promise<Response>} The response.
+ */
+async function networkFirst(request, cacheName, isFresh = async () => true) {
+    const isPage = request.mode === 'navigate';
+    try {
+        // Pages come from the network, but unlike API responses they are not
+        // stored: a fresh page may need assets that only the next version of
+        // this worker has cached. Offline, the copy precached at install is used.
+        return isPage ? await fetch(request) : await refresh(request);
+    } catch (error) {
+        const cached = await caches.match(request, { cacheName, ignoreSearch: isPage });
+        if (cached && await isFresh(cached)) return cached;
+        throw error;
+    }
+}
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request, { cacheName: SHELL_CACHE });
+    return cached || fetch(request);
+}
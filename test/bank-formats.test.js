@@ -0,0 +1,103 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { readSeed } from '../api/_lib/seed.js';
+import { formatDelimited, fromAnki, fromCsv, parseDelimited, toAnki, toCsv } from '../scripts/bank-formats.js';
+
+const QUESTIONS = [
+    {
+        id: 1,
+        subject: 'Biology',
+        difficulty: 'Easy',
+        question: 'Which organelle makes "ATP"?',
+        options: { A: 'Ribosome', B: 'Mitochondrion, mostly', C: 'Golgi <body>' },
+        answer: 'B',
+        explanation: 'Mitochondria.\nThey respire.',
+    },
+    {
+        id: 2,
+        type: 'select-all',
+        subject: 'Reading Comprehension',
+        difficulty: 'Medium',
+        question: 'Which are true?',
+        options: { A: 'One', B: 'Two' },
+        answer: ['A', 'B'],
+        explanation: 'Both.',
+        passageId: 3,
+    },
+    {
+        id: 3,
+        type: 'numeric',
+        subject: 'Physics',
+        difficulty: 'Hard',
+        question: 'What is g in m/s²?',
+        answer: 9.8,
+        tolerance: 0.1,
+        explanation: 'Gravity & such.',
+    },
+];
+
+describe('delimited text', () => {
+    test('reads quoted separators, line breaks and quotes', () => {
+        const text = 'a,"b, c","say ""hi""\nthere"\r\n\nd,,e\n';
+        assert.deepEqual(parseDelimited(text, ','), [['a', 'b, c', 'say "hi"\nthere'], ['d', '', 'e']]);
+    });
+
+    test('round-trips through formatDelimited', () => {
+        const rows = [['1', 'tab\there', 'quote "q"'], ['', 'line\nbreak', 'plain']];
+        assert.deepEqual(parseDelimited(formatDelimited(rows, '\t'), '\t'), rows);
+    });
+});
+
+describe('CSV', () => {
+    test('round-trips every question type', () => {
+        assert.deepEqual(fromCsv(toCsv(QUESTIONS)), QUESTIONS);
+    });
+
+    test('round-trips the seed bank', async () => {
+        const { questions } = await readSeed();
+        assert.deepEqual(fromCsv(toCsv(questions)), questions);
+    });
+
+    test('reads columns in any order and treats rows without an id as new', () => {
+        const csv = 'answer,question,subject,difficulty,b,a,explanation\nb,Pick B,Biology,Easy,Yes,No,Because.\n';
+        assert.deepEqual(fromCsv(csv), [{
+            subject: 'Biology',
+            difficulty: 'Easy',
+            question: 'Pick B',
+            options: { A: 'No', B: 'Yes' },
+            answer: 'B',
+            explanation: 'Because.',
+        }]);
+    });
+
+    test('rejects unknown columns', () => {
+        assert.throws(() => fromCsv('id,colour\n1,red\n'), /Unknown CSV columns: colour/);
+    });
+});
+
+describe('Anki', () => {
+    test('round-trips every question type', () => {
+        assert.deepEqual(fromAnki(toAnki(QUESTIONS)), QUESTIONS);
+    });
+
+    test('round-trips the seed bank', async () => {
+        const { questions } = await readSeed();
+        assert.deepEqual(fromAnki(toAnki(questions)), questions);
+    });
+
+    test('reads notes written by hand in Anki', () => {
+        const text = [
+            '#separator:tab',
+            '#html:true',
+            'Pick the base<div><br></div><div>A) HCl</div><div>B) NaOH</div>\tAnswer: b<br><br>It takes H&lt;sup&gt;+&lt;/sup&gt;.\tsubject::General_Chemistry difficulty::Easy',
+        ].join('\n');
+        assert.deepEqual(fromAnki(text), [{
+            subject: 'General Chemistry',
+            difficulty: 'Easy',
+            question: 'Pick the base',
+            options: { A: 'HCl', B: 'NaOH' },
+            answer: 'B',
+            explanation: 'It takes H<sup>+</sup>.',
+        }]);
+    });
+});
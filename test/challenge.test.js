@@ -0,0 +1,78 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import * as challenge from '../src/challenge.js';
+import { answerQuestion, createSession, queueQuestion } from '../src/engine.js';
+import { createMemoryStorage, setStorage } from '../src/storage.js';
+
+const RIGHT = { correct: true, answer: 'A', explanation: '' };
+const WRONG = { correct: false, answer: 'A', explanation: '' };
+
+describe('challenge links', () => {
+    test('round-trip the questions and score', () => {
+        const sent = { questionIds: [12, 40, 7], results: [true, false, null] };
+        const search = challenge.encodeChallenge(sent);
+        assert.equal(search, 'challenge=12,40,7&score=10-');
+        assert.deepEqual(challenge.decodeChallenge(`?${search}`), sent);
+    });
+
+    test('can leave the score out', () => {
+        const search = challenge.encodeChallenge({ questionIds: [3, 4], results: null });
+        assert.deepEqual(challenge.decodeChallenge(search), { questionIds: [3, 4], results: null });
+    });
+
+    test('drop a score that does not match the questions', () => {
+        assert.equal(challenge.decodeChallenge('challenge=1,2&score=1').results, null);
+        assert.equal(challenge.decodeChallenge('challenge=1,2&score=1x').results, null);
+    });
+
+    test('reject links without a valid set of questions', () => {
+        assert.equal(challenge.decodeChallenge(''), null);
+        assert.equal(challenge.decodeChallenge('challenge='), null);
+        assert.equal(challenge.decodeChallenge('challenge=1,abc'), null);
+        assert.equal(challenge.decodeChallenge('challenge=1,1'), null);
+        assert.equal(challenge.decodeChallenge('challenge=0'), null);
+        const tooMany = Array.from({ length: challenge.MAX_CHALLENGE_QUESTIONS + 1 }, (_, i) => i + 1);
+        assert.equal(challenge.decodeChallenge(`challenge=${tooMany.join(',')}`), null);
+    });
+
+    test('point at the practice page', () => {
+        const url = challenge.getChallengeUrl({ questionIds: [5], results: [true] }, 'https://oatdle.example');
+        assert.equal(url, 'https://oatdle.example/practice.html?challenge=5&score=1');
+        const text = challenge.buildChallengeText({ questionIds: [5, 6], results: [true, false] }, 'https://oatdle.example');
+        assert.match(text, /I got 1\/2/);
+        assert.ok(text.endsWith(url.replace('challenge=5&score=1', 'challenge=5,6&score=10')));
+    });
+});
+
+describe('compareChallenge', () => {
+    const questions = [{ id: 1 }, { id: 2 }, { id: 3 }];
+
+    test('puts both results side by side', () => {
+        setStorage(createMemoryStorage());
+        const sent = { questionIds: [1, 2, 3], results: [true, true, false] };
+        const session = createSession(questions, false, sent);
+        answerQuestion(session, questions[0], 'A', RIGHT);
+        answerQuestion(session, questions[1], 'B', WRONG);
+        queueQuestion(session, questions[2], 'C');
+
+        const comparison = challenge.compareChallenge(sent, session);
+        assert.deepEqual(comparison.rows.map(row => [row.yours, row.theirs]), [[true, true], [false, true], [null, false]]);
+        assert.equal(comparison.yours, 1);
+        assert.equal(comparison.theirs, 2);
+        assert.equal(comparison.total, 3);
+        assert.deepEqual(challenge.getSessionChallenge(session), { questionIds: [1, 2, 3], results: [true, false, null] });
+    });
+
+    test('leaves out questions no longer in the bank', () => {
+        const sent = { questionIds: [9, 1], results: [true, false] };
+        const session = createSession([questions[0]], false, sent);
+        const comparison = challenge.compareChallenge(sent, session);
+        assert.equal(comparison.total, 1);
+        assert.equal(comparison.theirs, 0);
+    });
+
+    test('has no score for the sender if none was sent', () => {
+        const sent = { questionIds: [1], results: null };
+        assert.equal(challenge.compareChallenge(sent, createSession([questions[0]], false, sent)).theirs, null);
+    });
+});
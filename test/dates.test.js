@@ -0,0 +1,23 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { addDays, daysBetween, getToday, toDate } from '../src/dates.js';
+
+describe('dates', () => {
+    test('roll over at UTC midnight', () => {
+        assert.equal(getToday(new Date('2025-03-01T23:59:59Z')), '2025-03-01');
+        assert.equal(getToday(new Date('2025-03-02T00:00:00Z')), '2025-03-02');
+        assert.equal(toDate(Date.UTC(2025, 2, 1, 12)), '2025-03-01');
+    });
+
+    test('move across months and years', () => {
+        assert.equal(addDays('2025-02-28', 1), '2025-03-01');
+        assert.equal(addDays('2024-02-28', 1), '2024-02-29');
+        assert.equal(addDays('2025-01-01', -1), '2024-12-31');
+    });
+
+    test('count the days between two dates', () => {
+        assert.equal(daysBetween('2025-01-01', '2025-03-01'), 59);
+        assert.equal(daysBetween('2025-03-01', '2025-03-01'), 0);
+        assert.equal(daysBetween('2025-03-02', '2025-03-01'), -1);
+    });
+});
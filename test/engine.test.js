@@ -0,0 +1,252 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, test } from 'node:test';
+import * as engine from '../src/engine.js';
+import * as history from '../src/history.js';
+import { listQueued } from '../src/offline.js';
+import * as review from '../src/review.js';
+import { createMemoryStorage, getStorage, readJson, setStorage } from '../src/storage.js';
+
+const QUESTION = { id: 7, subject: 'Biology', difficulty: 'Easy', question: 'Which organelle makes ATP?' };
+const RIGHT = { correct: true, answer: 'B', explanation: 'Mitochondria.' };
+const WRONG = { correct: false, answer: 'B', explanation: 'Mitochondria.' };
+
+function puzzle(date, puzzleNumber) {
+    return { date, puzzleNumber, question: QUESTION };
+}
+
+/**
+ * Plays a daily puzzle from start to finish.
+ * @param {string} date - The puzzle date.
+ * @param {number} puzzleNumber - The puzzle number.
+ * @param {Object} result - The verdict to finish with.
+ * @returns {Object} The finished game state.
+ */
+function playDaily(date, puzzleNumber, result) {
+    const state = engine.loadDailyGame(date);
+    const now = Date.parse(`${date}T12:00:00Z`);
+    engine.startGame(state, puzzle(date, puzzleNumber), { archive: false, hardMode: false, now });
+    engine.noteAnswer(state, puzzle(date, puzzleNumber), QUESTION, result.correct ? 'B' : 'A', now + 5000);
+    engine.finishGame(state, result, false);
+    return state;
+}
+
+beforeEach(() => {
+    setStorage(createMemoryStorage());
+});
+
+describe('daily game', () => {
+    test('starts fresh when nothing is saved', () => {
+        assert.deepEqual(engine.loadDailyGame('2025-03-01'), engine.createGameState());
+    });
+
+    test('restores a game finished earlier the same day', () => {
+        playDaily('2025-03-01', 10, RIGHT);
+        const restored = engine.loadDailyGame('2025-03-01');
+        assert.equal(restored.gameFinished, true);
+        assert.equal(restored.lastPlayedAnswer, 'B');
+        assert.deepEqual(restored.result, RIGHT);
+        assert.equal(engine.isGameLocked(restored), true);
+    });
+
+    test('rolls over to a fresh game on the next day', () => {
+        playDaily('2025-03-01', 10, RIGHT);
+        const next = engine.loadDailyGame('2025-03-02');
+        assert.equal(next.gameFinished, false);
+        assert.equal(engine.isGameLocked(next), false);
+    });
+
+    test('rolls over undated games at local midnight', () => {
+        const playedAt = new Date(2025, 2, 1, 9, 0).getTime();
+        getStorage().setItem('oatdleGameState', JSON.stringify({ gameFinished: true, lastPlayedTs: playedAt, lastPlayedAnswer: 'B' }));
+        assert.equal(engine.loadDailyGame('2025-03-01', new Date(2025, 2, 1, 23, 0).getTime()).gameFinished, true);
+        assert.equal(engine.loadDailyGame('2025-03-02', new Date(2025, 2, 2, 0, 30).getTime()).gameFinished, false);
+    });
+
+    test('keeps the start time across reloads', () => {
+        const state = engine.loadDailyGame('2025-03-01');
+        engine.startGame(state, puzzle('2025-03-01', 10), { archive: false, hardMode: true, now: 1000 });
+        const reloaded = engine.loadDailyGame('2025-03-01');
+        engine.startGame(reloaded, puzzle('2025-03-01', 10), { archive: false, hardMode: false, now: 9000 });
+        assert.equal(reloaded.startedTs, 1000);
+        assert.equal(reloaded.hardMode, true);
+    });
+
+    test('runs out of time in hard mode', () => {
+        const state = engine.createGameState();
+        engine.startGame(state, puzzle('2025-03-01', 10), { archive: false, hardMode: true, now: 0 });
+        const deadline = engine.getHardModeDeadline(state);
+        assert.equal(engine.isPastHardModeDeadline(state, deadline - 1), false);
+        assert.equal(engine.isPastHardModeDeadline(state, deadline), true);
+        state.hardMode = false;
+        assert.equal(engine.isPastHardModeDeadline(state, deadline), false);
+    });
+
+    test('re-submits a finished game saved without its result', async () => {
+        const state = { gameFinished: true, lastPlayedTs: 0, lastPlayedAnswer: 'A', puzzleDate: '2025-03-01' };
+        const submitted = [];
+        const result = await engine.restoreResult(state, puzzle('2025-03-01', 10), false, async (puzzleNumber, answer, options) => {
+            submitted.push({ puzzleNumber, answer, ...options });
+            return WRONG;
+        });
+        assert.deepEqual(submitted, [{ puzzleNumber: 10, answer: 'A', tally: false }]);
+        assert.deepEqual(result, WRONG);
+        assert.deepEqual(readJson('oatdleGameState', null).result, WRONG);
+    });
+
+    test('does not re-check a game that has its result', async () => {
+        const state = playDaily('2025-03-01', 10, RIGHT);
+        const result = await engine.restoreResult(state, puzzle('2025-03-01', 10), false, () => assert.fail('should not check'));
+        assert.deepEqual(result, RIGHT);
+    });
+
+    test('queues an answer given offline and locks the game', () => {
+        const state = engine.createGameState();
+        engine.queueGame(state, puzzle('2025-03-01', 10), QUESTION, 'C', false);
+        assert.equal(engine.isGameLocked(state), true);
+        assert.equal(engine.loadDailyGame('2025-03-01').queued, true);
+        const [queued] = listQueued('daily');
+        assert.equal(queued.questionId, QUESTION.id);
+        assert.equal(queued.answer, 'C');
+    });
+
+    test('unlocks a game whose queued answer was turned down', () => {
+        const state = engine.createGameState();
+        engine.queueGame(state, puzzle('2025-03-01', 10), QUESTION, 'C', false);
+        const [{ context }] = listQueued('daily');
+        const unlocked = engine.dropQueuedGame(context.state, false);
+        assert.equal(engine.isGameLocked(unlocked), false);
+        assert.equal(unlocked.lastPlayedAnswer, null);
+        assert.equal(engine.isGameLocked(engine.loadDailyGame('2025-03-01')), false);
+        assert.equal(engine.dropQueuedGame(context.state, false), null);
+    });
+
+    test('leaves a newer day alone when an old queued answer is turned down', () => {
+        const old = engine.createGameState();
+        engine.queueGame(old, puzzle('2025-03-01', 10), QUESTION, 'C', false);
+        const newer = engine.createGameState();
+        engine.queueGame(newer, puzzle('2025-03-02', 11), QUESTION, 'B', false);
+        assert.equal(engine.dropQueuedGame(listQueued('daily')[0].context.state, false), null);
+        assert.equal(engine.loadDailyGame('2025-03-02').queued, true);
+    });
+
+    test('a late check does not overwrite a newer day', () => {
+        const old = engine.createGameState();
+        engine.queueGame(old, puzzle('2025-03-01', 10), QUESTION, 'B', false);
+        playDaily('2025-03-02', 11, RIGHT);
+        engine.saveFinishedGame({ ...old, gameFinished: true, result: RIGHT }, false);
+        assert.equal(readJson('oatdleGameState', null).puzzleDate, '2025-03-02');
+        assert.equal(history.loadDailyHistory().length, 2);
+    });
+});
+
+describe('stats', () => {
+    test('count wins and streaks as games finish', () => {
+        playDaily('2025-03-01', 10, RIGHT);
+        playDaily('2025-03-02', 11, RIGHT);
+        assert.deepEqual(history.getStats('2025-03-02'), { gamesPlayed: 2, wins: 2, currentStreak: 2, maxStreak: 2 });
+
+        playDaily('2025-03-03', 12, WRONG);
+        assert.deepEqual(history.getStats('2025-03-03'), { gamesPlayed: 3, wins: 2, currentStreak: 0, maxStreak: 2 });
+    });
+
+    test('log the time taken and missed questions', () => {
+        playDaily('2025-03-01', 10, WRONG);
+        const [entry] = history.loadDailyHistory();
+        assert.equal(entry.timeTaken, 5000);
+        assert.equal(entry.correct, false);
+        assert.ok(review.loadCards()[QUESTION.id]);
+    });
+
+    test('leave out archive plays', () => {
+        const state = engine.loadArchiveGame(10);
+        engine.startGame(state, puzzle('2025-03-01', 10), { archive: true, hardMode: false, now: 0 });
+        engine.noteAnswer(state, puzzle('2025-03-01', 10), QUESTION, 'B', 1000);
+        engine.finishGame(state, RIGHT, true);
+        assert.equal(history.getStats('2025-03-01').gamesPlayed, 0);
+        assert.equal(engine.loadArchiveGame(10).gameFinished, true);
+    });
+
+    test('show a puzzle played on its day as finished in the archive', () => {
+        playDaily('2025-03-01', 10, RIGHT);
+        const state = engine.loadArchiveGame(10);
+        assert.equal(state.gameFinished, true);
+        assert.equal(state.playedAsDaily, true);
+        assert.equal(state.result, null);
+    });
+});
+
+describe('answers', () => {
+    test('returns the verdict', async () => {
+        const outcome = await engine.evaluateAnswer(7, 'B', { check: async () => RIGHT });
+        assert.deepEqual(outcome, { result: RIGHT });
+    });
+
+    test('tells a dropped connection apart from a rejected answer', async () => {
+        const failing = { check: async () => { throw new Error('failed'); } };
+        assert.deepEqual(await engine.evaluateAnswer(7, 'B', { ...failing, isOffline: () => true }), { offline: true });
+        const { error } = await engine.evaluateAnswer(7, 'B', { ...failing, isOffline: () => false });
+        assert.equal(error.message, 'failed');
+    });
+});
+
+describe('practice', () => {
+    const bank = [
+        { id: 1, subject: 'Biology', difficulty: 'Easy' },
+        { id: 2, subject: 'Physics', difficulty: 'Hard' },
+        { id: 3, subject: 'Biology', difficulty: 'Hard', passageId: 1 },
+        { id: 4, subject: 'Biology', difficulty: 'Hard', passageId: 1 },
+    ];
+
+    test('filters by subject and difficulty', () => {
+        assert.deepEqual(engine.filterQuestions(bank, ['Biology'], ['Hard']).map(q => q.id), [3, 4]);
+    });
+
+    test('keeps passage questions together when picking', () => {
+        const picked = engine.pickSessionQuestions(bank, { shuffled: true, random: () => 0 });
+        const index = picked.findIndex(q => q.id === 3);
+        assert.equal(picked[index + 1].id, 4);
+        assert.equal(picked.length, bank.length);
+        assert.equal(engine.pickSessionQuestions(bank, { count: 2 }).length, 2);
+    });
+
+    test('sums up a session', () => {
+        const session = engine.createSession(bank, false);
+        engine.answerQuestion(session, bank[0], 'A', RIGHT);
+        engine.answerQuestion(session, bank[1], 'A', WRONG);
+        engine.queueQuestion(session, bank[2], 'C');
+        assert.equal(engine.isAnswered(session, bank[2]), true);
+        assert.equal(engine.isAnswered(session, bank[3]), false);
+
+        const summary = engine.getSessionSummary(session);
+        assert.deepEqual(summary.missed.map(q => q.id), [2]);
+        assert.equal(summary.correct, 1);
+        assert.equal(summary.waiting, 1);
+        assert.equal(summary.skipped, 1);
+        assert.equal(summary.percentage, 50);
+        assert.equal(history.loadPracticeHistory().length, 2);
+    });
+
+    test('settles queued answers once checked', () => {
+        const session = engine.createSession(bank, false);
+        engine.queueQuestion(session, bank[0], 'A');
+        assert.equal(engine.resolveQueuedAnswer(session, 1, 'A', RIGHT), true);
+        assert.equal(engine.resolveQueuedAnswer(session, 2, 'A', RIGHT), false);
+        assert.equal(engine.getSessionSummary(session).correct, 1);
+    });
+
+    test('lets a question be answered again once its queued answer is turned down', () => {
+        const session = engine.createSession(bank, false);
+        engine.queueQuestion(session, bank[0], 'A');
+        assert.equal(engine.dropQueuedAnswer(session, 1), true);
+        assert.equal(engine.isAnswered(session, bank[0]), false);
+        assert.equal(engine.dropQueuedAnswer(session, 1), false);
+    });
+
+    test('moves review cards in review sessions', () => {
+        review.addMissedQuestion(1);
+        assert.deepEqual(engine.getDueQuestions(bank, '2999-01-01').map(q => q.id), [1]);
+        const session = engine.createSession([bank[0]], true);
+        engine.answerQuestion(session, bank[0], 'A', RIGHT);
+        assert.equal(review.loadCards()[1].box, 2);
+    });
+});
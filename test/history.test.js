@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, test } from 'node:test';
+import { getToday } from '../src/dates.js';
+import * as history from '../src/history.js';
+import { createMemoryStorage, getStorage, setStorage } from '../src/storage.js';
+
+function saveLegacyStats(items) {
+    setStorage(createMemoryStorage({
+        oatdleStats: JSON.stringify({ gamesPlayed: 10, wins: 8, currentStreak: 4, maxStreak: 6 }),
+        ...items,
+    }));
+    history.migrateLegacyData();
+}
+
+beforeEach(() => {
+    setStorage(createMemoryStorage());
+});
+
+describe('legacy stats', () => {
+    test('keep their streak when no game was saved with them', () => {
+        saveLegacyStats({});
+        assert.deepEqual(history.getStats(), { gamesPlayed: 10, wins: 8, currentStreak: 4, maxStreak: 6 });
+        assert.equal(getStorage().getItem('oatdleStats'), null);
+    });
+
+    test('keep their streak when the saved game was never finished', () => {
+        saveLegacyStats({ oatdleGameState: JSON.stringify({ gameFinished: false, lastPlayedTs: null }) });
+        assert.equal(history.getStats().currentStreak, 4);
+    });
+
+    test('carry their streak on into the daily log', () => {
+        saveLegacyStats({});
+        history.recordDailyResult({ date: getToday(), puzzleNumber: 1, questionId: 1, correct: true });
+        assert.deepEqual(history.getStats(), { gamesPlayed: 11, wins: 9, currentStreak: 5, maxStreak: 6 });
+    });
+
+    test('keep their streak when the saved game was finished today', () => {
+        saveLegacyStats({ oatdleGameState: JSON.stringify({ gameFinished: true, lastPlayedTs: Date.now() }) });
+        assert.equal(history.getStats().currentStreak, 4);
+        history.recordDailyResult({ date: getToday(), puzzleNumber: 1, questionId: 1, correct: true });
+        assert.equal(history.getStats().currentStreak, 4);
+    });
+
+    test('date the saved game by its UTC puzzle day', () => {
+        const lastPlayedTs = Date.parse(`${getToday()}T00:30:00Z`) - 1000 * 60 * 60;
+        saveLegacyStats({ oatdleGameState: JSON.stringify({ gameFinished: true, lastPlayedTs }) });
+        assert.equal(history.getStats().currentStreak, 4);
+        history.recordDailyResult({ date: getToday(), puzzleNumber: 1, questionId: 1, correct: true });
+        assert.equal(history.getStats().currentStreak, 5);
+    });
+
+    test('end their streak when the last finished game was days ago', () => {
+        const lastPlayedTs = Date.now() - 3 * 1000 * 60 * 60 * 24;
+        saveLegacyStats({ oatdleGameState: JSON.stringify({ gameFinished: true, lastPlayedTs }) });
+        assert.equal(history.getStats().currentStreak, 0);
+        assert.equal(history.getStats().maxStreak, 6);
+    });
+});
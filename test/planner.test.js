@@ -0,0 +1,114 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, test } from 'node:test';
+import * as history from '../src/history.js';
+import * as planner from '../src/planner.js';
+import { createMemoryStorage, setStorage } from '../src/storage.js';
+import { SUBJECTS } from '../src/subjects.js';
+
+const TODAY = '2025-03-01';
+
+function even() {
+    return Object.fromEntries(SUBJECTS.map(subject => [subject, 0.5]));
+}
+
+function totalsBySubject(plan) {
+    const totals = {};
+    for (const day of plan) {
+        for (const { subject, questions } of day.sessions) {
+            totals[subject] = (totals[subject] || 0) + questions;
+        }
+    }
+    return totals;
+}
+
+let puzzleNumber = 0;
+
+function recordDaily(date, subject, correct) {
+    puzzleNumber++;
+    history.recordDailyResult({ date, puzzleNumber, questionId: puzzleNumber, subject, difficulty: 'Easy', correct });
+}
+
+beforeEach(() => {
+    setStorage(createMemoryStorage());
+});
+
+describe('plan settings', () => {
+    test('are saved and removed', () => {
+        assert.equal(planner.loadPlan(), null);
+        planner.savePlan({ examDate: '2025-04-01', minutesPerDay: 30 });
+        assert.deepEqual(planner.loadPlan(), { examDate: '2025-04-01', minutesPerDay: 30 });
+        planner.clearPlan();
+        assert.equal(planner.loadPlan(), null);
+    });
+
+    test('count the days left before the exam', () => {
+        assert.equal(planner.getDaysLeft('2025-03-11', TODAY), 10);
+        assert.equal(planner.getDaysLeft(TODAY, TODAY), 0);
+        assert.equal(planner.getDaysLeft('2025-02-01', TODAY), 0);
+    });
+});
+
+describe('buildPlan', () => {
+    test('plans every day up to the exam within the budget', () => {
+        const plan = planner.buildPlan({ examDate: '2025-03-08', minutesPerDay: 30 }, even(), TODAY);
+        assert.equal(plan.length, 7);
+        assert.equal(plan[0].date, TODAY);
+        assert.equal(plan[6].date, '2025-03-07');
+        for (const day of plan) {
+            assert.equal(day.total, planner.getQuestionsPerDay(30));
+            assert.equal(day.sessions.reduce((sum, s) => sum + s.questions, 0), day.total);
+        }
+    });
+
+    test('spreads subjects evenly when they are missed equally', () => {
+        const plan = planner.buildPlan({ examDate: '2025-03-07', minutesPerDay: 30 }, even(), TODAY);
+        const totals = totalsBySubject(plan);
+        assert.deepEqual(Object.keys(totals).sort(), [...SUBJECTS].sort());
+        assert.equal(new Set(Object.values(totals)).size, 1);
+    });
+
+    test('gives more practice to weaker subjects', () => {
+        const weights = { ...even(), Physics: 0.9, Biology: 0.1 };
+        const totals = totalsBySubject(planner.buildPlan({ examDate: '2025-04-01', minutesPerDay: 30 }, weights, TODAY));
+        assert.ok(totals.Physics > totals['General Chemistry']);
+        assert.ok(totals['General Chemistry'] > totals.Biology);
+        assert.ok(totals.Biology > 0);
+    });
+
+    test('is empty on or after the exam day', () => {
+        assert.deepEqual(planner.buildPlan({ examDate: TODAY, minutesPerDay: 30 }, even(), TODAY), []);
+    });
+});
+
+describe('weights and progress', () => {
+    test('weigh subjects by earlier misses only', () => {
+        recordDaily('2025-02-27', 'Physics', false);
+        recordDaily('2025-02-28', 'Physics', false);
+        recordDaily('2025-02-28', 'Biology', true);
+        recordDaily(TODAY, 'Biology', false);
+        const weights = planner.getSubjectWeights(TODAY);
+        assert.equal(weights.Physics, 3 / 4);
+        assert.equal(weights.Biology, 1 / 3);
+        assert.equal(weights['Organic Chemistry'], 1 / 2);
+    });
+
+    test('rebalance the next day as results come in', () => {
+        planner.savePlan({ examDate: '2025-03-20', minutesPerDay: 60 });
+        const before = totalsBySubject(planner.getPlan('2025-03-02'));
+        for (let i = 0; i < 5; i++) {
+            recordDaily(TODAY, 'Physics', false);
+        }
+        const after = totalsBySubject(planner.getPlan('2025-03-02'));
+        assert.ok(after.Physics > before.Physics);
+        assert.deepEqual(planner.getPlan(TODAY), planner.buildPlan(planner.loadPlan(), planner.getSubjectWeights(TODAY), TODAY));
+    });
+
+    test('count today\'s answers towards today\'s sessions', () => {
+        const day = { date: TODAY, total: 10, sessions: [{ subject: 'Physics', questions: 5 }, { subject: 'Biology', questions: 5 }] };
+        recordDaily(TODAY, 'Physics', true);
+        recordDaily('2025-02-28', 'Biology', true);
+        const progress = planner.getDayProgress(day);
+        assert.equal(progress.done, 1);
+        assert.deepEqual(progress.sessions.map(s => s.done), [1, 0]);
+    });
+});
@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, beforeEach, describe, test } from 'node:test';
+import { createPassage, deletePassage } from '../api/_lib/passages.js';
+import { createQuestion, deleteQuestion, importQuestions, listQuestions, updateQuestion } from '../api/_lib/questions.js';
+import { readSeed } from '../api/_lib/seed.js';
+
+// The store is created on first use, so pointing it at a scratch directory
+// here keeps these tests away from `.data/`.
+const dataDir = mkdtempSync(path.join(tmpdir(), 'oatdle-test-'));
+process.env.OATDLE_DATA_DIR = dataDir;
+delete process.env.KV_REST_API_URL;
+
+const INPUT = {
+    subject: 'Biology',
+    difficulty: 'Easy',
+    question: ' Which organelle makes ATP? ',
+    options: { A: 'Ribosome', B: 'Mitochondrion' },
+    answer: 'b',
+    explanation: 'Mitochondria.',
+};
+
+beforeEach(() => {
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+after(() => {
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('admin saves', () => {
+    test('tidy the question before storing it', async () => {
+        const stored = await createQuestion(INPUT);
+        assert.deepEqual(stored, {
+            id: (await readSeed()).questions.length + 1,
+            type: 'choice',
+            subject: 'Biology',
+            difficulty: 'Easy',
+            question: 'Which organelle makes ATP?',
+            options: { A: 'Ribosome', B: 'Mitochondrion' },
+            answer: 'B',
+            explanation: 'Mitochondria.',
+        });
+    });
+
+    test('are checked against the bank schema', async () => {
+        await assert.rejects(createQuestion({ ...INPUT, subject: 'Astronomy' }), { status: 400, message: /^Subject must be one of .*not "Astronomy"\.$/ });
+        await assert.rejects(updateQuestion(1, { ...INPUT, difficulty: 'Trivial' }), { status: 400, message: /^Difficulty must be one of/ });
+        await assert.rejects(createQuestion({ ...INPUT, options: { A: 'Only' }, answer: 'A' }), { status: 400, message: /^Options must be lettered/ });
+    });
+
+    test('never hand out the id of a deleted question again', async () => {
+        const first = await createQuestion(INPUT);
+        await deleteQuestion(first.id);
+        const second = await createQuestion(INPUT);
+        assert.equal(second.id, first.id + 1);
+    });
+
+    test('never hand out the id of a deleted passage again', async () => {
+        const first = await createPassage({ title: 'Vision', text: 'The eye focuses light.' });
+        await deletePassage(first.id);
+        const second = await createPassage({ title: 'Hearing', text: 'The ear hears.' });
+        assert.equal(second.id, first.id + 1);
+    });
+});
+
+describe('importQuestions', () => {
+    test('replaces questions by id and adds the rest with new ids', async () => {
+        const { questions } = await readSeed();
+        const { id, type, ...fresh } = await createQuestion(INPUT);
+        await deleteQuestion(id);
+
+        const result = await importQuestions([{ ...questions[0], difficulty: 'Hard' }, fresh]);
+        assert.deepEqual(result, { problems: [], added: 1, replaced: 1 });
+        const bank = await listQuestions();
+        assert.equal(bank[0].difficulty, 'Hard');
+        assert.deepEqual(bank.at(-1), { id: id + 1, ...fresh });
+        assert.equal((await createQuestion(INPUT)).id, id + 2);
+    });
+
+    test('saves nothing unless the whole bank is valid', async () => {
+        const { questions } = await readSeed();
+        const result = await importQuestions([{ ...INPUT, answer: 'B', subject: 'Astronomy' }, { ...questions[1], id: 999 }]);
+        assert.equal(result.problems.length, 2);
+        assert.match(result.problems[0], /^Question 999: no question has this id/);
+        assert.match(result.problems[1], /subject must be one of/);
+        assert.deepEqual(await listQuestions(), questions);
+    });
+});
@@ -0,0 +1,40 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, beforeEach, describe, test } from 'node:test';
+import { createReport, listReports } from '../api/_lib/reports.js';
+
+// The store is created on first use, so pointing it at a scratch directory
+// here keeps these tests away from `.data/`.
+const dataDir = mkdtempSync(path.join(tmpdir(), 'oatdle-test-'));
+process.env.OATDLE_DATA_DIR = dataDir;
+delete process.env.KV_REST_API_URL;
+
+const REPORT = { questionId: 1, category: 'typo' };
+
+beforeEach(() => {
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+after(() => {
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('createReport', () => {
+    test('files a report in the open queue', async () => {
+        const report = await createReport({ ...REPORT, text: ' Misspelt. ' }, '10.0.0.1');
+        assert.equal(report.status, 'open');
+        assert.equal(report.text, 'Misspelt.');
+        assert.deepEqual(await listReports('open'), [report]);
+    });
+
+    test('does not let one client lock everyone else out of the queue', async () => {
+        const attempts = await Promise.allSettled(Array.from({ length: 20 }, () => createReport(REPORT, '10.0.0.1')));
+        const filed = attempts.filter(attempt => attempt.status === 'fulfilled');
+        assert.equal(filed.length, 5);
+        assert.ok(attempts.filter(attempt => attempt.status === 'rejected').every(({ reason }) => reason.status === 429));
+
+        assert.equal((await createReport(REPORT, '10.0.0.2')).status, 'open');
+    });
+});
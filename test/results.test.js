@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, beforeEach, describe, test } from 'node:test';
+import { getQuestionTallies, getResults, submitAnswer } from '../api/_lib/results.js';
+import { getPuzzle, getPuzzleNumber, setScheduleEntry } from '../api/_lib/schedule.js';
+import { getToday } from '../src/dates.js';
+
+// The store is created on first use, so pointing it at a scratch directory
+// here keeps these tests away from `.data/`.
+const dataDir = mkdtempSync(path.join(tmpdir(), 'oatdle-test-'));
+process.env.OATDLE_DATA_DIR = dataDir;
+delete process.env.KV_REST_API_URL;
+
+beforeEach(async () => {
+    rmSync(dataDir, { recursive: true, force: true });
+    // Question 1 is multiple choice, so its answers are counted by option.
+    await setScheduleEntry(getToday(), 1);
+});
+
+after(() => {
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('daily tallies', () => {
+    test('count every answer that arrives at once', async () => {
+        const { question } = await getPuzzle(getToday());
+        const puzzleNumber = getPuzzleNumber(getToday());
+        const wrong = Object.keys(question.options).find(letter => letter !== question.answer);
+        await Promise.all(Array.from({ length: 20 }, (_, i) => (
+            submitAnswer(puzzleNumber, i < 15 ? question.answer : wrong, { tally: true, address: `10.0.0.${i}` })
+        )));
+
+        assert.deepEqual(await getResults(puzzleNumber), {
+            puzzleNumber,
+            total: 20,
+            correct: 15,
+            counts: { [question.answer]: 15, [wrong]: 5 },
+        });
+        assert.deepEqual((await getQuestionTallies())[question.id], { total: 20, correct: 15, counts: { [question.answer]: 15, [wrong]: 5 } });
+    });
+
+    test('count one answer per client and none from archive plays', async () => {
+        const { question } = await getPuzzle(getToday());
+        const puzzleNumber = getPuzzleNumber(getToday());
+        await submitAnswer(puzzleNumber, question.answer, { tally: true, address: '10.0.0.1' });
+        await submitAnswer(puzzleNumber, question.answer, { tally: true, address: '10.0.0.1' });
+        await submitAnswer(puzzleNumber, question.answer, { tally: false, address: '10.0.0.2' });
+        await submitAnswer(puzzleNumber, null, { tally: true, address: '10.0.0.3' });
+
+        const results = await getResults(puzzleNumber);
+        assert.equal(results.total, 2);
+        assert.deepEqual(results.counts, { [question.answer]: 1 });
+    });
+});
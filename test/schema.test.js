@@ -0,0 +1,83 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { checkQuestionContent, validateBank } from '../api/_lib/schema.js';
+import { readSeed } from '../api/_lib/seed.js';
+
+const CHOICE = {
+    id: 1,
+    subject: 'Biology',
+    difficulty: 'Easy',
+    question: 'Which organelle makes ATP?',
+    options: { A: 'Ribosome', B: 'Mitochondrion' },
+    answer: 'B',
+    explanation: 'Mitochondria.',
+};
+
+function bank(...questions) {
+    return { questions, passages: [{ id: 1, title: 'Vision', text: 'The eye focuses light.' }] };
+}
+
+describe('validateBank', () => {
+    test('accepts the seed file', async () => {
+        assert.deepEqual(validateBank(await readSeed()), []);
+    });
+
+    test('accepts every question type', () => {
+        const numeric = { id: 2, type: 'numeric', subject: 'Physics', difficulty: 'Hard', question: 'g?', answer: 9.8, tolerance: 0.1, explanation: 'Gravity.' };
+        const selectAll = { ...CHOICE, id: 3, type: 'select-all', answer: ['A', 'B'], passageId: 1 };
+        assert.deepEqual(validateBank(bank(CHOICE, numeric, selectAll)), []);
+    });
+
+    test('rejects a bank without a question list', () => {
+        assert.deepEqual(validateBank({}), ['The bank must have a "questions" list.']);
+        assert.deepEqual(validateBank({ questions: [], passages: {} }), ['"passages" must be a list.']);
+    });
+
+    test('checks subjects and difficulties against the known ones', () => {
+        const errors = validateBank(bank({ ...CHOICE, subject: 'Astronomy', difficulty: 'Trivial' }));
+        assert.equal(errors.length, 2);
+        assert.match(errors[0], /^Question 1: subject must be one of .*not "Astronomy"$/);
+        assert.match(errors[1], /^Question 1: difficulty must be one of .*not "Trivial"$/);
+    });
+
+    test('lists every problem with the question it belongs to', () => {
+        const errors = validateBank(bank(
+            CHOICE,
+            { ...CHOICE, answer: 'E', extra: true },
+            { ...CHOICE, id: 2, passageId: 9, explanation: undefined },
+        ));
+        assert.deepEqual(errors, [
+            'Question 1: id is used more than once',
+            'Question 1: extra is not a known field',
+            'Question 1: answer "E" is not one of the options (A, B)',
+            'Question 2: explanation is missing',
+            'Question 2: passageId 9 does not match any passage',
+        ]);
+    });
+
+    test('checks options and answers by question type', () => {
+        const errors = validateBank(bank(
+            { ...CHOICE, options: { A: 'One', C: 'Three' }, answer: 'A' },
+            { ...CHOICE, id: 2, type: 'numeric', answer: 'B' },
+            { ...CHOICE, id: 3, type: 'select-all', answer: [] },
+        ));
+        assert.deepEqual(errors, [
+            'Question 1: options must be lettered A, B, C and so on, with 2 to 10 of them',
+            'Question 2: options are not allowed on a numeric question',
+            'Question 2: answer must be a number',
+            'Question 3: answer must be a list of option letters',
+        ]);
+    });
+});
+
+describe('checkQuestionContent', () => {
+    test('lets a question that is not saved yet leave out its id', () => {
+        const { id, ...unsaved } = CHOICE;
+        assert.deepEqual(checkQuestionContent(unsaved), []);
+        assert.deepEqual(checkQuestionContent({ ...unsaved, id: 0 }), ['id must be at least 1']);
+    });
+
+    test('does not look up passages', () => {
+        assert.deepEqual(checkQuestionContent({ ...CHOICE, passageId: 9 }), []);
+    });
+});
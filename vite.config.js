@@ -1,6 +1,10 @@
 import { defineConfig } from 'vite'
+import devApi from './plugins/dev-api.js'
+import serviceWorker from './plugins/service-worker.js'
+import validateQuestionBank from './plugins/validate-bank.js'
 
 export default defineConfig({
+  plugins: [validateQuestionBank(), devApi(), serviceWorker()],
   server: {
     fs: {
       strict: false
@@ -10,7 +14,9 @@ export default defineConfig({
     rollupOptions: {
       input: {
         main: 'index.html',
-        practice: 'practice.html'
+        practice: 'practice.html',
+        archive: 'archive.html',
+        mock: 'mock.html'
       }
     }
   }